@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Frame Analyser CLI - runs the plugin's analysis on a Figma REST file JSON export and
+// writes the same LVGL stylesheet JSON as the plugin's "Export Stylesheet" button.
+
+const fs = require('fs');
+const path = require('path');
+const { createRestFigma, selectFrames } = require('./rest-adapter');
+
+const USAGE = `Usage: frame-analyser <file.json> [options]
+
+Options:
+  -f, --frame <name|id>  Frame to analyse (repeatable). Defaults to every top-level frame
+  -p, --page <name>      Only consider frames on this page
+  --variables <path>     Local variables JSON (GET /v1/files/:key/variables/local) to
+                         resolve colors and values bound to Figma Variables
+  --spacing-scale <px>   Flag spacing values that are not multiples of this (default 4)
+  --display-profile <path>
+                         Display profile JSON ({ "name", "width", "height", "dpi",
+                         "colorFormat" }) the frames target. Defaults to RGB565 at 160 dpi
+  -o, --out <path>       Write the stylesheet JSON here instead of stdout
+  -v, --verbose          Print analysis progress to stderr
+  -h, --help             Show this help`;
+
+function parseArgs(argv) {
+  const options = {
+    file: null,
+    frames: [],
+    page: null,
+    variables: null,
+    spacingScale: null,
+    displayProfile: null,
+    out: null,
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') options.help = true;
+    else if (arg === '-v' || arg === '--verbose') options.verbose = true;
+    else if (arg === '-f' || arg === '--frame') options.frames.push(next());
+    else if (arg === '-p' || arg === '--page') options.page = next();
+    else if (arg === '-o' || arg === '--out') options.out = next();
+    else if (arg === '--variables') options.variables = next();
+    else if (arg === '--display-profile') options.displayProfile = next();
+    else if (arg === '--spacing-scale') {
+      options.spacingScale = Number(next());
+      if (!(options.spacingScale > 0)) throw new Error(`Invalid spacing scale: ${argv[i]}`);
+    }
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+
+  return options;
+}
+
+// Analyse the selected frames of a REST file JSON and return the LVGL stylesheet. A display
+// profile is assigned to every selected frame, as the plugin's Display panel would.
+async function analyseFile(fileJson, { frames = [], page = null, variables = null, spacingScale = null, displayProfile = null } = {}) {
+  global.figma = createRestFigma(fileJson, variables);
+
+  // code.js looks up the `figma` global on every call, so the file installed above is analysed
+  const analyser = require('../code.js');
+  analyser.globalAnalysisData.clear();
+  analyser.setSpacingScale(spacingScale);
+
+  const selected = selectFrames(global.figma, frames, page);
+  if (displayProfile) {
+    const profile = analyser.saveDisplayProfile(displayProfile).find(saved => saved.name === displayProfile.name.trim());
+    selected.forEach(frame => analyser.setFrameDisplayProfile(frame, profile.name));
+  }
+
+  const analysed = [];
+  for (const frame of selected) {
+    if (frame.children.length === 0) {
+      console.log(`Skipping empty frame: ${frame.name}`);
+      continue;
+    }
+
+    const analysisData = analyser.normalizeComponentIconClassification(await analyser.analyzeFrame(frame));
+    analyser.storeAnalysisData(frame.id, analysisData);
+    analysed.push({ id: frame.id, name: frame.name });
+  }
+
+  return {
+    frames: analysed,
+    stylesheet: analyser.generateLVGLJson()
+  };
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help || !options.file) {
+    (options.help ? console.log : console.error)(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  // The analysis core logs progress with console.log; keep stdout for the JSON output
+  const log = console.log;
+  const warn = console.warn;
+  console.log = options.verbose ? console.error : () => {};
+  console.warn = options.verbose ? console.warn : () => {};
+
+  try {
+    const fileJson = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    const variables = options.variables ? JSON.parse(fs.readFileSync(options.variables, 'utf8')) : null;
+    const displayProfile = options.displayProfile ? JSON.parse(fs.readFileSync(options.displayProfile, 'utf8')) : null;
+    const { frames, stylesheet } = await analyseFile(fileJson, Object.assign({}, options, { variables, displayProfile }));
+    const output = JSON.stringify(stylesheet, null, 2) + '\n';
+
+    if (options.out) {
+      fs.writeFileSync(path.resolve(options.out), output);
+      console.error(`Analysed ${frames.length} frame${frames.length === 1 ? '' : 's'}: ` +
+        `${Object.keys(stylesheet.typography).length} typography styles, ${Object.keys(stylesheet.colors).length} colors, ` +
+        `${Object.keys(stylesheet.themes).length} themes, ${Object.keys(stylesheet.shadows).length} shadows, ` +
+        `${Object.keys(stylesheet.spacing).length} spacing values, ` +
+        `${Object.keys(stylesheet.components).length} component sets -> ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`frame-analyser: ${error.message}`);
+    return 1;
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { parseArgs, analyseFile, main };
@@ -0,0 +1,349 @@
+// Adapter from Figma REST API file JSON (GET /v1/files/:key) to the plugin API shape that
+// code.js reads, so the analysis core runs unchanged on exported file JSON.
+
+const { parseVariantProperties } = require('../code.js');
+
+const STYLE_TYPES = {
+  FILL: 'PAINT',
+  TEXT: 'TEXT',
+  EFFECT: 'EFFECT',
+  GRID: 'GRID'
+};
+
+// Text properties that can vary between styled ranges
+const TEXT_RANGE_FIELDS = [
+  'fontName', 'fontSize', 'textStyleId', 'fills', 'fillStyleId',
+  'lineHeight', 'letterSpacing', 'textCase', 'textDecoration'
+];
+
+// Common weight names used when a REST TypeStyle has no fontStyle/PostScript suffix
+const FONT_WEIGHT_NAMES = {
+  100: 'Thin',
+  200: 'ExtraLight',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'SemiBold',
+  700: 'Bold',
+  800: 'ExtraBold',
+  900: 'Black'
+};
+
+// Derive the plugin API style name ("Bold", "SemiBold Italic") from a REST TypeStyle
+function fontStyleName(style) {
+  if (style.fontStyle) return style.fontStyle;
+
+  const postScript = style.fontPostScriptName || '';
+  const dash = postScript.lastIndexOf('-');
+  if (dash !== -1 && dash < postScript.length - 1) {
+    // "Inter-SemiBoldItalic" -> "SemiBold Italic"
+    return postScript.slice(dash + 1).replace(/([a-z])(Italic)$/, '$1 $2');
+  }
+
+  const weight = FONT_WEIGHT_NAMES[Math.round((style.fontWeight || 400) / 100) * 100] || 'Regular';
+  return style.italic ? (weight === 'Regular' ? 'Italic' : `${weight} Italic`) : weight;
+}
+
+// Map REST TypeStyle line height to the plugin's LineHeight ({ unit: 'AUTO' } or value + unit)
+function restLineHeight(style) {
+  if (style.lineHeightUnit === 'PIXELS' && typeof style.lineHeightPx === 'number') {
+    return { value: style.lineHeightPx, unit: 'PIXELS' };
+  }
+  if (style.lineHeightUnit === 'FONT_SIZE_%' && typeof style.lineHeightPercentFontSize === 'number') {
+    return { value: style.lineHeightPercentFontSize, unit: 'PERCENT' };
+  }
+  return { unit: 'AUTO' };
+}
+
+// Split REST text into styled ranges using characterStyleOverrides / styleOverrideTable.
+// Ranges whose override changes typography lose the node's text style; fill-only overrides keep it.
+function buildTextSegments(data) {
+  const characters = data.characters || '';
+  const baseStyle = data.style || {};
+  const overrides = data.characterStyleOverrides || [];
+  const table = data.styleOverrideTable || {};
+  const nodeStyles = data.styles || {};
+
+  const segmentFor = (overrideId, start, end) => {
+    const override = overrideId ? (table[overrideId] || {}) : {};
+    const style = Object.assign({}, baseStyle, override);
+    const changesType = Object.keys(override).some(key => key !== 'fills');
+    return {
+      characters: characters.slice(start, end),
+      start: start,
+      end: end,
+      fontName: { family: style.fontFamily || 'Unknown', style: fontStyleName(style) },
+      fontSize: style.fontSize,
+      textStyleId: changesType ? '' : (nodeStyles.text || ''),
+      fills: override.fills || data.fills || [],
+      fillStyleId: override.fills ? '' : (nodeStyles.fill || nodeStyles.fills || ''),
+      lineHeight: restLineHeight(style),
+      // REST letter spacing is always in pixels
+      letterSpacing: { value: style.letterSpacing || 0, unit: 'PIXELS' },
+      textCase: style.textCase || 'ORIGINAL',
+      textDecoration: style.textDecoration || 'NONE',
+      boundVariables: Object.assign({}, data.boundVariables, override.boundVariables)
+    };
+  };
+
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= characters.length; i++) {
+    // Characters past the end of characterStyleOverrides use the base style (override 0)
+    if (i === characters.length || (overrides[i] || 0) !== (overrides[start] || 0)) {
+      segments.push(segmentFor(overrides[start] || 0, start, i));
+      start = i;
+    }
+  }
+
+  return segments.length > 0 ? segments : [segmentFor(0, 0, 0)];
+}
+
+class RestNode {
+  constructor(data, parent, context) {
+    this.id = data.id;
+    this.type = data.type === 'CANVAS' ? 'PAGE' : data.type;
+    this.name = data.name || '';
+    this.visible = data.visible !== false;
+    this.removed = false;
+    this.parent = parent;
+    this._data = data;
+    this._context = context;
+    this._pluginData = {};
+
+    const box = data.absoluteBoundingBox;
+    const parentBox = parent && parent._data ? parent._data.absoluteBoundingBox : null;
+    this.width = box ? box.width : 0;
+    this.height = box ? box.height : 0;
+    this.x = box ? box.x - (parentBox ? parentBox.x : 0) : 0;
+    this.y = box ? box.y - (parentBox ? parentBox.y : 0) : 0;
+    this.absoluteBoundingBox = box || null;
+    this.opacity = data.opacity !== undefined ? data.opacity : 1;
+
+    this.boundVariables = data.boundVariables || {};
+    this.fills = data.fills || [];
+    this.strokes = data.strokes || [];
+    this.effects = data.effects || [];
+    if (data.strokeWeight !== undefined) this.strokeWeight = data.strokeWeight;
+    if (data.cornerRadius !== undefined) this.cornerRadius = data.cornerRadius;
+    if (Array.isArray(data.rectangleCornerRadii)) {
+      // REST lists per-corner radii clockwise from top left; differing corners read as mixed
+      const corners = data.rectangleCornerRadii;
+      ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius'].forEach((field, index) => {
+        this[field] = corners[index];
+      });
+      this.cornerRadius = corners.every(corner => corner === corners[0]) ? corners[0] : context.mixed;
+    }
+    if (data.strokeAlign !== undefined) this.strokeAlign = data.strokeAlign;
+    if (Array.isArray(data.strokeDashes)) this.dashPattern = data.strokeDashes;
+    if (data.individualStrokeWeights) {
+      const sides = data.individualStrokeWeights;
+      this.strokeTopWeight = sides.top;
+      this.strokeRightWeight = sides.right;
+      this.strokeBottomWeight = sides.bottom;
+      this.strokeLeftWeight = sides.left;
+      const weights = [sides.top, sides.right, sides.bottom, sides.left];
+      this.strokeWeight = weights.every(weight => weight === weights[0]) ? weights[0] : context.mixed;
+    }
+    // REST omits layoutMode on frames without auto layout
+    if (data.layoutMode !== undefined) this.layoutMode = data.layoutMode;
+    ['itemSpacing', 'counterAxisSpacing', 'primaryAxisAlignItems', 'layoutWrap'].forEach(field => {
+      if (data[field] !== undefined) this[field] = data[field];
+    });
+    ['paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom'].forEach(field => {
+      if (data[field] !== undefined) this[field] = data[field];
+    });
+
+    // REST keys applied styles by type ("fill", "stroke", "text", "effect"); some exports pluralise
+    const styles = data.styles || {};
+    this.fillStyleId = styles.fill || styles.fills || '';
+    this.strokeStyleId = styles.stroke || styles.strokes || '';
+    this.effectStyleId = styles.effect || styles.effects || '';
+
+    if (this.type === 'TEXT') {
+      this.characters = data.characters || '';
+      this._segments = buildTextSegments(data);
+
+      // Properties that differ between styled ranges read as figma.mixed, as in the plugin API
+      for (const field of TEXT_RANGE_FIELDS) {
+        const values = this._segments.map(segment => JSON.stringify(segment[field]));
+        this[field] = values.every(value => value === values[0]) ? this._segments[0][field] : context.mixed;
+      }
+
+      // Paragraph settings apply to the whole node
+      const style = data.style || {};
+      this.paragraphSpacing = style.paragraphSpacing || 0;
+      this.textAlignHorizontal = style.textAlignHorizontal || 'LEFT';
+    }
+
+    // Instance configuration already uses the plugin API's shape
+    ['componentProperties', 'overrides', 'componentPropertyReferences'].forEach(field => {
+      if (data[field] !== undefined) this[field] = data[field];
+    });
+
+    if (this.type === 'COMPONENT' && parent && parent.type === 'COMPONENT_SET') {
+      this.variantProperties = parseVariantProperties(this.name);
+    }
+    if (this.type === 'COMPONENT' || this.type === 'COMPONENT_SET') {
+      const meta = (this.type === 'COMPONENT' ? context.components : context.componentSets)[data.id];
+      this.key = meta && meta.key ? meta.key : data.id;
+    }
+
+    this.children = (data.children || []).map(child => new RestNode(child, this, context));
+    context.nodesById.set(this.id, this);
+  }
+
+  get mainComponent() {
+    return this.type === 'INSTANCE' ? this._context.resolveComponent(this._data.componentId) : null;
+  }
+
+  async getMainComponentAsync() {
+    return this.mainComponent;
+  }
+
+  getStyledTextSegments(fields) {
+    return (this._segments || []).map(segment => {
+      const range = { characters: segment.characters, start: segment.start, end: segment.end };
+      fields.forEach(field => { range[field] = segment[field]; });
+      return range;
+    });
+  }
+
+  findAll(callback) {
+    const found = [];
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (!callback || callback(child)) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  findOne(callback) {
+    return this.findAll(callback)[0] || null;
+  }
+
+  // REST exports carry no plugin data; values set by the CLI (e.g. a display profile) live in memory
+  getPluginData(key) {
+    return this._pluginData[key] || '';
+  }
+
+  setPluginData(key, value) {
+    this._pluginData[key] = String(value);
+  }
+}
+
+// Build a read-only `figma` global for a REST file JSON document. `variablesJson` is the
+// optional GET /v1/files/:key/variables/local response used to resolve bound variables.
+function createRestFigma(fileJson, variablesJson = null) {
+  if (!fileJson || !fileJson.document) {
+    throw new Error('Not a Figma REST file JSON: missing "document"');
+  }
+
+  const context = {
+    mixed: Symbol('figma.mixed'),
+    nodesById: new Map(),
+    components: fileJson.components || {},
+    componentSets: fileJson.componentSets || {},
+    remoteComponents: new Map(),
+    resolveComponent: null
+  };
+
+  // Main components from team libraries are not in the document; describe them from the
+  // file's component metadata instead
+  context.resolveComponent = (componentId) => {
+    if (!componentId) return null;
+    const local = context.nodesById.get(componentId);
+    if (local && local.type === 'COMPONENT') return local;
+
+    const meta = context.components[componentId];
+    if (!meta) return null;
+    if (!context.remoteComponents.has(componentId)) {
+      const setMeta = meta.componentSetId ? context.componentSets[meta.componentSetId] : null;
+      const componentSet = setMeta ? { id: meta.componentSetId, type: 'COMPONENT_SET', name: setMeta.name, key: setMeta.key } : null;
+      context.remoteComponents.set(componentId, {
+        id: componentId,
+        type: 'COMPONENT',
+        name: meta.name,
+        key: meta.key || componentId,
+        remote: meta.remote === true,
+        parent: componentSet,
+        variantProperties: componentSet ? parseVariantProperties(meta.name) : null
+      });
+    }
+    return context.remoteComponents.get(componentId);
+  };
+
+  const root = new RestNode(fileJson.document, null, context);
+  root.type = 'DOCUMENT';
+
+  const styles = fileJson.styles || {};
+  const variablesMeta = variablesJson ? (variablesJson.meta || variablesJson) : {};
+  const variables = variablesMeta.variables || {};
+  const variableCollections = variablesMeta.variableCollections || {};
+
+  return {
+    root: root,
+    currentPage: Object.assign(root.children[0] || {}, { selection: [] }),
+    mixed: context.mixed,
+    ui: { postMessage: () => {}, onmessage: null },
+    clientStorage: {
+      getAsync: async () => undefined,
+      setAsync: async () => {}
+    },
+    getNodeById: (id) => context.nodesById.get(id) || null,
+    // REST variables and collections already use the plugin API's shape
+    variables: {
+      getVariableByIdAsync: async (id) => variables[id] || null,
+      getVariableCollectionByIdAsync: async (id) => variableCollections[id] || null
+    },
+    getStyleByIdAsync: async (id) => {
+      const style = styles[id];
+      if (!style) return null;
+      return {
+        id: id,
+        key: style.key,
+        name: style.name,
+        type: STYLE_TYPES[style.styleType] || style.styleType,
+        description: style.description || '',
+        remote: style.remote === true
+      };
+    }
+  };
+}
+
+// Find frames to analyse by name or node ID; defaults to every top-level frame on every page
+function selectFrames(figmaApi, selectors = [], pageName = null) {
+  const pages = figmaApi.root.children.filter(page =>
+    page.type === 'PAGE' && page.name !== 'Frames Analysed' && (!pageName || page.name === pageName)
+  );
+  const topLevelFrames = [];
+  for (const page of pages) {
+    for (const node of page.children) {
+      if (node.type === 'FRAME') topLevelFrames.push(node);
+    }
+  }
+
+  if (selectors.length === 0) return topLevelFrames;
+
+  const frames = [];
+  for (const selector of selectors) {
+    const byId = figmaApi.getNodeById(selector);
+    const matches = byId && byId.type === 'FRAME'
+      ? [byId]
+      : topLevelFrames.filter(frame => frame.name === selector);
+    if (matches.length === 0) {
+      throw new Error(`No frame found matching "${selector}"`);
+    }
+    matches.forEach(frame => { if (!frames.includes(frame)) frames.push(frame); });
+  }
+  return frames;
+}
+
+module.exports = {
+  createRestFigma,
+  selectFrames,
+  fontStyleName
+};
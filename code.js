@@ -1,14 +1,19 @@
 // Frame Analyzer Plugin for Figma
 // Analyzes selected frames and extracts components, fonts, and colors
 
+// Figma provides __html__ inside the plugin sandbox; Node (tests, CLI) loads this file headless
+const isPluginRuntime = typeof __html__ !== 'undefined';
+
 // Show the plugin UI with larger default size for frame history
-figma.showUI(__html__, {
-  width: 360,
-  height: 600
-});
+if (isPluginRuntime) {
+  figma.showUI(__html__, {
+    width: 360,
+    height: 600
+  });
+}
 
 // Handle messages from the UI
-figma.ui.onmessage = async (msg) => {
+async function handleUIMessage(msg) {
   if (msg.type === 'analyze-frame') {
     try {
       // Update button state to show analyzing
@@ -176,10 +181,139 @@ figma.ui.onmessage = async (msg) => {
         message: 'Failed to clear frames list: ' + error.message
       });
     }
+  } else if (msg.type === 'getWhereUsed') {
+    // Send the where-used index of the analyzed frames to the UI
+    try {
+      figma.ui.postMessage({ type: 'whereUsed', index: await buildWhereUsedIndex() });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to build where-used index: ' + error.message
+      });
+    }
+  } else if (msg.type === 'selectNodes') {
+    // Select every layer using an inventory entry
+    try {
+      const result = await selectNodesById(msg.nodeIds);
+      if (result.selected === 0) {
+        figma.ui.postMessage({
+          type: 'warning',
+          message: 'These layers no longer exist. Re-analyze the frames to refresh the list.'
+        });
+        return;
+      }
+
+      const notes = [];
+      if (result.otherPages > 0) notes.push(`more on ${result.otherPages} other page${result.otherPages === 1 ? '' : 's'}`);
+      if (result.missing > 0) notes.push(`${result.missing} no longer exist`);
+      figma.ui.postMessage({
+        type: 'success',
+        message: `Selected ${result.selected} layer${result.selected === 1 ? '' : 's'} on "${result.pageName}"${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`,
+        autoDismiss: true,
+        dismissAfter: 3000
+      });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to select layers: ' + error.message
+      });
+    }
+  } else if (msg.type === 'exportMatrixCsv') {
+    // Export the component-by-screen matrix as CSV
+    try {
+      const matrix = await buildComponentMatrix();
+      if (matrix.rows.length === 0) {
+        figma.ui.postMessage({
+          type: 'warning',
+          message: 'No components found in the analyzed frames. Analyze some frames first.'
+        });
+        return;
+      }
+
+      figma.ui.postMessage({
+        type: 'csvExport',
+        data: componentMatrixToCsv(matrix),
+        filename: `component_matrix_${new Date().toISOString().split('T')[0]}.csv`
+      });
+      figma.ui.postMessage({
+        type: 'success',
+        message: `Component matrix exported! ${matrix.rows.length} variants across ${matrix.screens.length} screens.`,
+        autoDismiss: true,
+        dismissAfter: 4000
+      });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to export component matrix: ' + error.message
+      });
+    }
+  } else if (msg.type === 'getSettings') {
+    // Send saved settings to the UI
+    await ensureSettingsLoaded();
+    figma.ui.postMessage({ type: 'settings', spacingScale: spacingScale, touchTargetRule: touchTargetRule, colorDistanceThreshold: colorDistanceThreshold });
+    figma.ui.postMessage({ type: 'displayProfiles', profiles: getDisplayProfiles() });
+  } else if (msg.type === 'setSpacingScale') {
+    // Save the spacing scale; it applies to the next analysis and export
+    try {
+      await figma.clientStorage.setAsync(SPACING_SCALE_KEY, setSpacingScale(msg.value));
+      figma.ui.postMessage({ type: 'settings', spacingScale: spacingScale, touchTargetRule: touchTargetRule, colorDistanceThreshold: colorDistanceThreshold });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to save spacing scale: ' + error.message
+      });
+    }
+  } else if (msg.type === 'setTouchTargetRule') {
+    // Save the touch target rule; it applies to the next analysis
+    try {
+      await figma.clientStorage.setAsync(TOUCH_TARGET_RULE_KEY, setTouchTargetRule(msg.rule));
+      figma.ui.postMessage({ type: 'settings', spacingScale: spacingScale, touchTargetRule: touchTargetRule, colorDistanceThreshold: colorDistanceThreshold });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to save touch target rule: ' + error.message
+      });
+    }
+  } else if (msg.type === 'setColorDistanceThreshold') {
+    // Save the near-duplicate color threshold; it applies to the next analysis and summary
+    try {
+      await figma.clientStorage.setAsync(COLOR_DISTANCE_THRESHOLD_KEY, setColorDistanceThreshold(msg.value));
+      figma.ui.postMessage({ type: 'settings', spacingScale: spacingScale, touchTargetRule: touchTargetRule, colorDistanceThreshold: colorDistanceThreshold });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to save color distance threshold: ' + error.message
+      });
+    }
+  } else if (msg.type === 'saveDisplayProfile' || msg.type === 'deleteDisplayProfile') {
+    // Display profiles are stored in the document and shared by everyone who opens it
+    try {
+      const profiles = msg.type === 'saveDisplayProfile' ? saveDisplayProfile(msg.profile) : deleteDisplayProfile(msg.name);
+      figma.ui.postMessage({ type: 'displayProfiles', profiles: profiles });
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to update display profiles: ' + error.message
+      });
+    }
+  } else if (msg.type === 'setFrameDisplayProfile') {
+    // Choose the display a frame targets; the UI re-analyzes the frame to apply it
+    try {
+      const frame = figma.getNodeById(msg.frameId);
+      if (!frame) throw new Error('Frame no longer exists or is not accessible.');
+      setFrameDisplayProfile(frame, msg.name);
+    } catch (error) {
+      figma.ui.postMessage({
+        type: 'error',
+        message: 'Failed to set display profile: ' + error.message
+      });
+    }
   } else if (msg.type === 'exportJson') {
     // Export LVGL JSON data
     try {
       console.log('Exporting JSON data...');
+      await ensurePersistedAnalysisLoaded();
+      await ensureSettingsLoaded();
       console.log('Available cached data:', globalAnalysisData.size, 'frames');
 
       const jsonData = generateLVGLJson();
@@ -200,7 +334,7 @@ figma.ui.onmessage = async (msg) => {
 
       figma.ui.postMessage({
         type: 'success',
-        message: `LVGL stylesheet exported! ${Object.keys(jsonData.typography).length} typography styles, ${Object.keys(jsonData.colors).length} colors.`,
+        message: `LVGL stylesheet exported! ${Object.keys(jsonData.typography).length} typography styles, ${Object.keys(jsonData.colors).length} colors, ${Object.keys(jsonData.themes).length} themes, ${Object.keys(jsonData.shadows).length} shadows, ${Object.keys(jsonData.radii).length} radii, ${Object.keys(jsonData.borders).length} borders, ${Object.keys(jsonData.spacing).length} spacing values.`,
         autoDismiss: true,
         dismissAfter: 4000
       });
@@ -211,11 +345,17 @@ figma.ui.onmessage = async (msg) => {
       });
     }
   }
-};
+}
+
+// The CLI's REST adapter loads this file for shared helpers before it installs a figma global
+if (typeof figma !== 'undefined') {
+  figma.ui.onmessage = handleUIMessage;
+}
 
 // Main function to analyze the selected frame(s)
 async function analyzeSelectedFrame() {
   try {
+    await ensureSettingsLoaded();
     console.log('Starting analysis...');
     figma.ui.postMessage({
       type: 'progress',
@@ -295,8 +435,9 @@ async function analyzeSelectedFrame() {
       // Normalize component/icon classification
       analysisData = normalizeComponentIconClassification(analysisData);
 
-      // Store analysis data for summary
-      storeAnalysisData(selectedNode.name, analysisData);
+      // Store analysis data for summary and persist it in the document
+      storeAnalysisData(selectedNode.id, analysisData);
+      persistAnalysisData(selectedNode, analysisData);
 
       // Create or update the analysis frame
       console.log('Creating analysis frame...');
@@ -315,7 +456,8 @@ async function analyzeSelectedFrame() {
         await saveAnalyzedFrame(selectedNode.id, {
           name: selectedNode.name,
           elementCount: allNodes.length,
-          analysisFrameId: analysisFrame.id
+          analysisFrameId: analysisFrame.id,
+          displayProfile: analysisData.frameInfo.displayProfile.name
         });
       }
 
@@ -396,16 +538,12 @@ function estimateAnalysisTime(elementCount) {
 
 // Analyze a frame and extract components, fonts, and colors
 async function analyzeFrame(frame) {
-  // Clear processed nodes set for fresh analysis
+  // Clear processed nodes set and variable lookups for fresh analysis
   processedNodes.clear();
+  variableLookupCache.clear();
 
-  const components = new Map(); // Use Map to store unique components with details
-  const icons = new Map(); // Separate map for icons
-  const fonts = new Map(); // Change to Map to store font with associated style
-  const colors = new Map(); // Change to Map to store color with associated style
-  const colorStyles = new Set();
-  const textStyles = new Map(); // Change to Map to store text style with font info
-  const effectStyles = new Set();
+  const collectors = createAnalysisCollectors();
+  const { components, icons, fonts, colors, colorStyles, textStyles, effectStyles, variables, gradients, images, effects, radii, borders, spacing } = collectors;
 
   // Find all nodes within the frame (optimized to exclude very small/hidden nodes)
   const allNodes = frame.findAll(node => {
@@ -421,7 +559,7 @@ async function analyzeFrame(frame) {
   });
 
   // First, analyze the selected frame itself
-  await analyzeNode(frame, components, fonts, colors, colorStyles, textStyles, effectStyles);
+  await analyzeNode(frame, collectors);
 
   // Then analyze all child nodes within the frame (sequential to avoid memory issues)
   const batchSize = 50; // Smaller batches to reduce memory pressure
@@ -433,7 +571,7 @@ async function analyzeFrame(frame) {
       try {
         // Validate node still exists before processing
         if (node && node.type && node.removed !== true) {
-          await analyzeNode(node, components, icons, fonts, colors, colorStyles, textStyles, effectStyles);
+          await analyzeNode(node, collectors);
         }
       } catch (error) {
         // Silently handle node processing errors
@@ -452,29 +590,16 @@ async function analyzeFrame(frame) {
   }
 
   // Convert colors Map to array with hex, RGB565, opacity, and style info
-  const colorArray = Array.from(colors.entries()).map(([, info]) => ({
-    hex: info.hex,
-    rgb565: hexToRgb565(info.hex),
-    opacity: info.opacity,
-    displayHex: info.opacity < 1 ? `${info.hex} (${Math.round(info.opacity * 100)}%)` : info.hex,
-    styleName: info.styleName,
-    type: info.type
-  })).sort((a, b) => a.hex.localeCompare(b.hex));
+  const colorArray = Array.from(colors.entries())
+    .map(([, info]) => buildColorEntry(info))
+    .sort((a, b) => a.hex.localeCompare(b.hex));
 
   // Log colors with opacity and RGB565 for debugging
   console.log('Colors with opacity:', colorArray.filter(c => c.opacity < 1).map(c => c.displayHex));
   console.log('Sample RGB565 conversions:', colorArray.slice(0, 3).map(c => `${c.hex} -> ${c.rgb565}`));
 
   // Convert fonts Map to array with complete font info
-  const fontArray = Array.from(fonts.entries()).map(([fontKey, info]) => ({
-    fontKey: fontKey,
-    fontFamily: info.fontFamily,
-    fontStyle: info.fontStyle,
-    fontSize: info.fontSize,
-    styleName: info.styleName,
-    displayString: `${info.fontFamily} ${info.fontStyle} ${info.fontSize}px`,
-    hasStyle: !!info.styleName
-  })).sort((a, b) => {
+  const fontArray = Array.from(fonts.entries()).map(([fontKey, info]) => buildFontEntry(fontKey, info)).sort((a, b) => {
     // Sort by font family, then style, then size
     const familyCompare = a.fontFamily.localeCompare(b.fontFamily);
     if (familyCompare !== 0) return familyCompare;
@@ -482,19 +607,55 @@ async function analyzeFrame(frame) {
     const styleCompare = a.fontStyle.localeCompare(b.fontStyle);
     if (styleCompare !== 0) return styleCompare;
 
-    return parseFloat(a.fontSize) - parseFloat(b.fontSize);
+    const sizeCompare = parseFloat(a.fontSize) - parseFloat(b.fontSize);
+    if (sizeCompare !== 0) return sizeCompare;
+
+    return a.fontKey.localeCompare(b.fontKey);
   });
 
   // Convert textStyles Map to array with style and font info
-  const textStyleArray = Array.from(textStyles.entries()).map(([styleName, fontInfo]) => ({
-    styleName: styleName,
-    fontFamily: fontInfo.fontFamily,
-    fontStyle: fontInfo.fontStyle,
-    fontSize: fontInfo.fontSize
-  })).sort((a, b) => a.styleName.localeCompare(b.styleName));
+  const textStyleArray = Array.from(textStyles.entries()).map(([styleName, fontInfo]) =>
+    Object.assign({ styleName: styleName }, fontInfo)
+  ).sort((a, b) => a.styleName.localeCompare(b.styleName));
 
   // console.log(`Analysis complete: Found ${colorArray.length} colors, ${textStyleArray.length} text styles, ${Array.from(components.values()).length} components`);
 
+  // Layers that look like components but are not instances (possibly detached)
+  let detached = [];
+  try {
+    detached = findDetachedLookAlikes(frame, allNodes);
+  } catch (error) {
+    // Silently handle look-alike detection errors
+    console.warn('Look-alike detection error:', error.message);
+  }
+
+  // Contrast of every text layer against the background it is rendered on
+  let accessibility = { checkedCount: 0, issues: [] };
+  try {
+    accessibility = checkTextContrast(frame, allNodes);
+  } catch (error) {
+    // Silently handle contrast check errors
+    console.warn('Contrast check error:', error.message);
+  }
+
+  // Size and spacing of interactive instances against the touch target rule
+  let touchTargets = null;
+  try {
+    touchTargets = checkTouchTargets(frame, allNodes);
+  } catch (error) {
+    // Silently handle touch target audit errors
+    console.warn('Touch target audit error:', error.message);
+  }
+
+  // Near-duplicate colors and the paint style each cluster could use instead
+  let colorClusters = [];
+  try {
+    colorClusters = clusterSimilarColors(colorArray, await getPaintStyleColors(colorArray), colorDistanceThreshold);
+  } catch (error) {
+    // Silently handle color clustering errors
+    console.warn('Color clustering error:', error.message);
+  }
+
   return {
     components: Array.from(components.values()),
     icons: Array.from(icons.values()),
@@ -503,15 +664,52 @@ async function analyzeFrame(frame) {
     colorStyles: Array.from(colorStyles).sort(),
     textStyles: textStyleArray,
     effectStyles: Array.from(effectStyles).sort(),
+    variables: Array.from(variables.values()).sort((a, b) =>
+      a.collectionName.localeCompare(b.collectionName) || a.name.localeCompare(b.name)
+    ),
+    gradients: Array.from(gradients.values()),
+    images: Array.from(images.values()),
+    effects: Array.from(effects.values()),
+    radii: Array.from(radii.values()).sort((a, b) => getMaxRadius(a) - getMaxRadius(b)),
+    borders: Array.from(borders.values()).sort((a, b) => a.weight - b.weight),
+    spacing: Array.from(spacing.values()).sort((a, b) => a.value - b.value),
+    detached: detached,
+    accessibility: accessibility,
+    touchTargets: touchTargets,
+    colorClusters: colorClusters,
+    styleSources: Array.from(collectors.styleSources.values()).sort((a, b) =>
+      a.type.localeCompare(b.type) || a.name.localeCompare(b.name)
+    ),
+    missingComponents: Array.from(collectors.missingComponents.values()),
+    missingStyles: Array.from(collectors.missingStyles.values()),
     frameInfo: {
+      id: frame.id,
       name: frame.name,
       width: frame.width,
       height: frame.height,
-      elementCount: allNodes.length
+      elementCount: allNodes.length,
+      displayProfile: Object.assign({}, getFrameDisplayProfile(frame))
     }
   };
 }
 
+// Build a reported color entry from collected color info (hex, opacity, style, type)
+function buildColorEntry(info) {
+  return Object.assign({}, info, {
+    rgb565: hexToRgb565(info.hex),
+    displayHex: info.opacity < 1 ? `${info.hex} (${Math.round(info.opacity * 100)}%)` : info.hex
+  });
+}
+
+// Build a reported font entry from collected font info (family, style, size, text style)
+function buildFontEntry(fontKey, info) {
+  return Object.assign({}, info, {
+    fontKey: fontKey,
+    displayString: `${info.fontFamily} ${info.fontStyle} ${info.fontSize}px`,
+    hasStyle: !!info.styleName
+  });
+}
+
 // Helper function to determine if a component is an icon
 function isComponentAnIcon(mainComponent) {
   try {
@@ -565,11 +763,280 @@ function isComponentAnIcon(mainComponent) {
   }
 }
 
+// Split a variant name like "State=Pressed, Size=Large" into its properties (null when the
+// name has none), for variants whose node does not expose variantProperties
+function parseVariantProperties(name) {
+  const properties = {};
+  for (const part of String(name || '').split(',')) {
+    const [key, value] = part.split('=').map(s => s && s.trim());
+    if (key && value !== undefined) properties[key] = value;
+  }
+  return Object.keys(properties).length > 0 ? properties : null;
+}
+
+// Instance override fields that are reported, by the name shown in the analysis
+const INSTANCE_OVERRIDE_FIELDS = { fills: 'fills', characters: 'text', visible: 'visibility' };
+
+const COMPONENT_PROPERTY_TYPE_NAMES = { BOOLEAN: 'boolean', TEXT: 'text', INSTANCE_SWAP: 'instance swap' };
+
+// Record an instance's component property values (variant properties are covered by the variant
+// itself) and which of fills, text and visibility it overrides on its main component; text and
+// visibility set through a component property are configuration, not overrides
+function recordInstanceConfiguration(entry, node) {
+  const properties = node.componentProperties || {};
+  Object.keys(properties).forEach(name => {
+    const property = properties[name];
+    if (!property || property.type === 'VARIANT') return;
+
+    const label = name.split('#')[0]; // Property names carry a "#id" suffix
+    if (!entry.componentProperties[label]) entry.componentProperties[label] = { type: property.type, values: {} };
+    const value = formatComponentPropertyValue(property);
+    const values = entry.componentProperties[label].values;
+    values[value] = (values[value] || 0) + 1;
+  });
+
+  const overridden = new Set();
+  (node.overrides || []).forEach(override => {
+    const layer = override.id === node.id ? node : figma.getNodeById(override.id);
+    const references = (layer && layer.componentPropertyReferences) || {};
+    (override.overriddenFields || []).forEach(field => {
+      if (INSTANCE_OVERRIDE_FIELDS[field] && !references[field]) overridden.add(INSTANCE_OVERRIDE_FIELDS[field]);
+    });
+  });
+  overridden.forEach(field => {
+    entry.overrides[field] = (entry.overrides[field] || 0) + 1;
+  });
+}
+
+// Instance swap values are component IDs; show the swapped-in component's name
+function formatComponentPropertyValue(property) {
+  if (property.type === 'INSTANCE_SWAP') {
+    const swapped = figma.getNodeById(property.value);
+    return swapped && swapped.name ? swapped.name : String(property.value);
+  }
+  return String(property.value);
+}
+
+// One line per component property used by a master component's instances, across its variants,
+// e.g. "Label (text): OK ×2, Cancel ×1"
+function formatComponentProperties(variants) {
+  const merged = {};
+  variants.forEach(variant => {
+    const properties = variant.componentProperties || {};
+    Object.keys(properties).forEach(label => {
+      if (!merged[label]) merged[label] = { type: properties[label].type, values: {} };
+      const values = merged[label].values;
+      Object.keys(properties[label].values).forEach(value => {
+        values[value] = (values[value] || 0) + properties[label].values[value];
+      });
+    });
+  });
+
+  return Object.keys(merged).sort().map(label => {
+    const values = merged[label].values;
+    const counts = Object.keys(values).sort((a, b) => values[b] - values[a]).map(value => `${value} ×${values[value]}`);
+    return `${label} (${COMPONENT_PROPERTY_TYPE_NAMES[merged[label].type] || merged[label].type}): ${counts.join(', ')}`;
+  });
+}
+
+// Overrides of a component entry, e.g. "fills on 2 of 10 instances, text on 1 of 10 instances"
+// (null without overrides)
+function formatInstanceOverrides(entry) {
+  const overrides = entry.overrides || {};
+  const fields = Object.keys(overrides).sort();
+  if (fields.length === 0) return null;
+  return fields.map(field => `${field} on ${overrides[field]} of ${entry.instanceCount} instances`).join(', ');
+}
+
+// Look-alike matching: sizes within 10% count as similar, and a layer tree only counts with at
+// least two layers (a frame around a single text looks like too many components)
+const LOOK_ALIKE_SIZE_TOLERANCE = 0.1;
+const LOOK_ALIKE_MIN_LAYERS = 2;
+
+// Layer types below a node, nested, e.g. "RECTANGLE,FRAME(TEXT,INSTANCE)"
+function getLayerTreeSignature(node) {
+  const children = node.children || [];
+  return children.map(child => {
+    const nested = getLayerTreeSignature(child);
+    return nested ? `${child.type}(${nested})` : child.type;
+  }).join(',');
+}
+
+function countLayers(node) {
+  return (node.children || []).reduce((count, child) => count + 1 + countLayers(child), 0);
+}
+
+function isSimilarSize(a, b) {
+  return Math.abs(a.width - b.width) <= b.width * LOOK_ALIKE_SIZE_TOLERANCE &&
+    Math.abs(a.height - b.height) <= b.height * LOOK_ALIKE_SIZE_TOLERANCE;
+}
+
+// Frames and groups that look like a known component without being an instance of it, which
+// usually means a detached (and maybe tweaked) copy that no longer shows in "Components Used".
+// Known components are the document's local ones plus the main components of the frame's
+// instances; a layer is flagged when at least two of name, layer tree and size match one.
+function findDetachedLookAlikes(frame, nodes) {
+  const known = new Map();
+  const addKnown = (component) => {
+    if (!component || known.has(component.id)) return;
+    const componentSet = component.parent && component.parent.type === 'COMPONENT_SET' ? component.parent : null;
+    known.set(component.id, {
+      name: componentSet ? componentSet.name : component.name,
+      id: componentSet ? componentSet.id : component.id,
+      signature: countLayers(component) >= LOOK_ALIKE_MIN_LAYERS ? getLayerTreeSignature(component) : null,
+      width: component.width,
+      height: component.height
+    });
+  };
+  for (const documentPage of figma.root.children) {
+    if (documentPage.name === 'Frames Analysed') continue;
+    documentPage.findAll(node => node.type === 'COMPONENT').forEach(addKnown);
+  }
+  nodes.filter(node => node.type === 'INSTANCE').forEach(node => addKnown(node.mainComponent));
+
+  // Index by name (instances are named after their component or component set) and layer tree
+  const byName = new Map();
+  const bySignature = new Map();
+  const addToIndex = (index, key, entry) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+  };
+  for (const entry of known.values()) {
+    addToIndex(byName, entry.name.trim().toLowerCase(), entry);
+    if (entry.signature) addToIndex(bySignature, entry.signature, entry);
+  }
+
+  // Layers inside instances and component definitions belong to those components
+  const isInsideComponent = (node) => {
+    for (let parent = node.parent; parent && parent !== frame; parent = parent.parent) {
+      if (parent.type === 'INSTANCE' || parent.type === 'COMPONENT' || parent.type === 'COMPONENT_SET') return true;
+    }
+    return false;
+  };
+
+  const detached = [];
+  for (const node of nodes) {
+    if ((node.type !== 'FRAME' && node.type !== 'GROUP') || isInsideComponent(node)) continue;
+
+    const name = String(node.name || '').trim().toLowerCase();
+    const signature = countLayers(node) >= LOOK_ALIKE_MIN_LAYERS ? getLayerTreeSignature(node) : null;
+    const candidates = (byName.get(name) || []).concat(signature ? bySignature.get(signature) || [] : []);
+
+    let best = null;
+    for (const candidate of candidates) {
+      const reasons = [];
+      if (candidate.name.trim().toLowerCase() === name) reasons.push('name');
+      if (signature && candidate.signature === signature) reasons.push('layer tree');
+      if (isSimilarSize(node, candidate)) reasons.push('size');
+      if (reasons.length >= 2 && (!best || reasons.length > best.reasons.length)) {
+        best = { componentName: candidate.name, componentId: candidate.id, reasons: reasons };
+      }
+    }
+    if (best) detached.push(Object.assign({ name: node.name, nodeId: node.id }, best));
+  }
+
+  return detached;
+}
+
+function formatDetachedLookAlike(entry) {
+  return `${entry.name} looks like ${entry.componentName} (${entry.reasons.join(', ')})`;
+}
+
+// Readable names for component and style sources
+const SOURCE_NAMES = { local: 'Local', library: 'Team Library', missing: 'Missing' };
+
+// Look up a style by ID, recording whether it is local or from a team library; a style that no
+// longer resolves (deleted, or its library unavailable) is recorded as a missing reference
+async function lookupStyle(styleId, styleType, node, collectors) {
+  let style = null;
+  try {
+    style = await figma.getStyleByIdAsync(styleId);
+  } catch (error) {
+    // Reported as missing below
+  }
+
+  if (style) {
+    const key = `${styleType}|${style.name}`;
+    if (!collectors.styleSources.has(key)) {
+      collectors.styleSources.set(key, { name: style.name, type: styleType, source: style.remote === true ? 'library' : 'local' });
+    }
+  } else {
+    if (!collectors.missingStyles.has(styleId)) {
+      collectors.missingStyles.set(styleId, { styleId: styleId, type: styleType, nodeIds: [] });
+    }
+    addNodeId(collectors.missingStyles.get(styleId), node.id);
+  }
+  return style;
+}
+
+// Record an instance whose main component cannot be found, by instance name
+function recordMissingComponent(node, collectors) {
+  const name = node.name || 'Unnamed instance';
+  if (!collectors.missingComponents.has(name)) {
+    collectors.missingComponents.set(name, { name: name, instanceCount: 0, nodeIds: [] });
+  }
+  const entry = collectors.missingComponents.get(name);
+  entry.instanceCount++;
+  addNodeId(entry, node.id);
+}
+
+// Components and styles grouped by source (local, team library, missing), one label each
+function groupBySource(analysisData) {
+  const groups = { local: [], library: [], missing: [] };
+
+  const masters = new Map();
+  (analysisData.components || []).concat(analysisData.icons || []).forEach(comp => {
+    const key = `${comp.source || 'local'}|${comp.masterName}`;
+    if (!masters.has(key)) {
+      masters.set(key, true);
+      groups[comp.source || 'local'].push(`${comp.masterName} (${comp.isIcon ? 'icon' : 'component'})`);
+    }
+  });
+  (analysisData.styleSources || []).forEach(style => {
+    groups[style.source].push(`${style.name} (${style.type} style)`);
+  });
+
+  (analysisData.missingComponents || []).forEach(missing => {
+    groups.missing.push(`${missing.name} (component, ${missing.instanceCount} instance${missing.instanceCount === 1 ? '' : 's'})`);
+  });
+  (analysisData.missingStyles || []).forEach(missing => {
+    groups.missing.push(`${missing.styleId} (${missing.type} style, ${missing.nodeIds.length} layer${missing.nodeIds.length === 1 ? '' : 's'})`);
+  });
+
+  groups.local.sort((a, b) => a.localeCompare(b));
+  groups.library.sort((a, b) => a.localeCompare(b));
+  return groups;
+}
+
 // Track processed nodes to avoid duplicates
 const processedNodes = new Set();
 
+// Create the collections analyzeNode() fills while walking a frame
+function createAnalysisCollectors() {
+  return {
+    components: new Map(), // Unique components (by variant key) with details
+    icons: new Map(), // Separate map for icons
+    fonts: new Map(), // Font key -> font with associated style
+    colors: new Map(), // Color key -> color with associated style
+    colorStyles: new Set(),
+    textStyles: new Map(), // Text style name -> font info
+    effectStyles: new Set(),
+    variables: new Map(), // Variable ID -> variable with collection, bound properties and usage count
+    gradients: new Map(), // Gradient key (type, angle, stops) -> gradient with stops and usage count
+    images: new Map(), // Image hash + scale mode -> image fill with pixel size and usage count
+    effects: new Map(), // Effect key (type and values) -> shadow or blur with usage count
+    radii: new Map(), // Corner radius (or per-corner radii) -> radius token with usage count
+    borders: new Map(), // Stroke weight, alignment and dashes -> border token with usage count
+    spacing: new Map(), // Spacing value -> LVGL pad properties it is used for, with usage count
+    styleSources: new Map(), // Style type + name -> style with its source (local or library)
+    missingComponents: new Map(), // Instance name -> instances whose main component is gone
+    missingStyles: new Map() // Style ID -> layers referencing a style that no longer resolves
+  };
+}
+
 // Analyze a single node for components, fonts, colors, and styles (optimized)
-async function analyzeNode(node, components, icons, fonts, colors, colorStyles, textStyles, effectStyles) {
+async function analyzeNode(node, collectors) {
+  const { components, icons, effectStyles } = collectors;
   try {
     // Validate node exists and is accessible
     if (!node || !node.type || node.removed === true) {
@@ -590,12 +1057,20 @@ async function analyzeNode(node, components, icons, fonts, colors, colorStyles,
     // Extract components (with defensive programming)
     if (node.type === 'INSTANCE') {
       try {
-        // Validate instance node is still accessible
-        if (!node.mainComponent) {
-          return; // Skip if main component reference is broken
+        // Broken or inaccessible main components are reported as missing references
+        let mainComponent = null;
+        if (node.mainComponent) {
+          try {
+            mainComponent = await node.getMainComponentAsync();
+          } catch (error) {
+            // Reported as missing below
+          }
+        }
+        if (!mainComponent) {
+          recordMissingComponent(node, collectors);
+          return;
         }
 
-        const mainComponent = await node.getMainComponentAsync();
         if (mainComponent && mainComponent.name && (mainComponent.key || mainComponent.id)) {
           // Get the master component (parent of variants) with validation
           const masterComponent = (mainComponent.parent && mainComponent.parent.type === 'COMPONENT_SET')
@@ -622,18 +1097,25 @@ async function analyzeNode(node, components, icons, fonts, colors, colorStyles,
               masterName: isVariant ? masterComponent.name : mainComponent.name,
               variantName: isVariant ? mainComponent.name : null,
               fullName: mainComponent.name,
+              variantProperties: isVariant
+                ? (mainComponent.variantProperties || parseVariantProperties(mainComponent.name))
+                : null,
               key: mainComponent.key,
               id: mainComponent.id,
+              source: mainComponent.remote === true ? 'library' : 'local',
               isVariant: isVariant,
-              instanceCount: 1,
-              isIcon: isIcon
+              instanceCount: 0,
+              isIcon: isIcon,
+              nodeIds: [],
+              componentProperties: {},
+              overrides: {}
             });
-          } else {
-            const existing = targetMap.get(variantKey);
-            if (existing) {
-              existing.instanceCount++;
-            }
           }
+
+          const entry = targetMap.get(variantKey);
+          entry.instanceCount++;
+          addNodeId(entry, node.id);
+          recordInstanceConfiguration(entry, node);
         }
       } catch (error) {
         // Silently handle inaccessible components to prevent crashes
@@ -641,205 +1123,1587 @@ async function analyzeNode(node, components, icons, fonts, colors, colorStyles,
       }
     }
 
-    // Extract fonts and text styles
+    // Extract fonts and text styles, one styled range at a time so mixed-style text
+    // reports every font variant it uses
     if ('fontName' in node && node.fontName) {
-      try {
-        if (typeof node.fontName === 'object' && 'family' in node.fontName) {
-          // Handle different font size scenarios
-          let fontSize = 'Unknown';
-
-          if (node.fontSize && typeof node.fontSize === 'number') {
-            fontSize = node.fontSize;
-          } else if (node.fontSize && typeof node.fontSize === 'object') {
-            // Mixed font sizes - use "Mixed" as indicator
-            fontSize = 'Mixed';
-          } else if (node.textStyleId) {
-            // Try to get font size from text style
-            try {
-              const style = await figma.getStyleByIdAsync(node.textStyleId);
-              if (style && style.fontSize) {
-                fontSize = style.fontSize;
-              }
-            } catch (error) {
-              // Keep as 'Unknown'
-            }
-          }
-
-          // Font detection progress removed for performance
-
-          const fontKey = `${node.fontName.family} - ${node.fontName.style} - ${fontSize}px`;
-
-          // Check for text styles and associate with font
-          let styleName = null;
-          if (node.textStyleId) {
-            try {
-              const style = await figma.getStyleByIdAsync(node.textStyleId);
-              if (style) {
-                styleName = style.name;
-                // Store text style with its font information
-                textStyles.set(style.name, {
-                  fontFamily: node.fontName.family,
-                  fontStyle: node.fontName.style,
-                  fontSize: fontSize
-                });
-              }
-            } catch (error) {
-              // Silently handle inaccessible text styles
-            }
-          }
+      const segmentColors = isMixedValue(node.fills) || isMixedValue(node.fillStyleId);
+      for (const segment of getTextSegments(node)) {
+        try {
+          await analyzeTextSegment(segment, node, collectors);
 
-          // Store font with complete information including size
-          if (!fonts.has(fontKey)) {
-            fonts.set(fontKey, {
-              fontFamily: node.fontName.family,
-              fontStyle: node.fontName.style,
-              fontSize: fontSize,
-              styleName: styleName
-            });
-          } else if (styleName && !fonts.get(fontKey).styleName) {
-            // Update with style name if we didn't have one before
-            fonts.get(fontKey).styleName = styleName;
+          // Mixed fills are only available per range
+          if (segmentColors) {
+            await collectPaintColors(segment.fills, segment.fillStyleId, node, 'fill', collectors);
+            await collectGradientAndImagePaints(segment.fills, segment.fillStyleId, node, 'fill', collectors);
           }
+        } catch (error) {
+          // Silently handle font processing errors
         }
-      } catch (error) {
-        // Silently handle font processing errors
       }
     }
 
-    // Extract colors and color styles from fills
-    if ('fills' in node && node.fills && Array.isArray(node.fills)) {
-      for (const fill of node.fills) {
-        // Check for solid fills that are visible
-        if (fill.type === 'SOLID' && fill.color && fill.visible !== false && fill.opacity !== 0) {
-          const color = fill.color;
-          const hex = rgbToHex(color.r, color.g, color.b);
-          const opacity = fill.opacity !== undefined ? fill.opacity : 1; // Default to 1 if undefined
-
-          // Color detection progress removed for performance
-
-          // Check for fill styles and associate with color
-          let styleName = null;
-          if (node.fillStyleId) {
-            try {
-              const style = await figma.getStyleByIdAsync(node.fillStyleId);
-              if (style) {
-                styleName = style.name;
-                colorStyles.add(style.name);
-              }
-            } catch (error) {
-              // Silently handle inaccessible fill styles
-            }
-          }
-
-          // Create unique key that includes opacity for different opacity values of same color
-          const colorKey = opacity < 1 ? `${hex}@${Math.round(opacity * 100)}%` : hex;
-
-          // Store color with its associated style and opacity
-          if (!colors.has(colorKey)) {
-            colors.set(colorKey, {
-              hex: hex,
-              opacity: opacity,
-              styleName: styleName,
-              type: 'fill'
-            });
-          } else if (styleName && !colors.get(colorKey).styleName) {
-            // Update with style name if we didn't have one before
-            colors.get(colorKey).styleName = styleName;
-          }
-        }
-      }
+    // Extract colors and color styles from fills (mixed text fills are handled per range above)
+    if ('fills' in node && Array.isArray(node.fills) && !isMixedValue(node.fillStyleId)) {
+      await collectPaintColors(node.fills, node.fillStyleId, node, 'fill', collectors);
+      await collectGradientAndImagePaints(node.fills, node.fillStyleId, node, 'fill', collectors);
     }
 
     // Extract stroke colors and styles
-    if ('strokes' in node && node.strokes && Array.isArray(node.strokes)) {
-      for (const stroke of node.strokes) {
-        if (stroke.type === 'SOLID' && stroke.color && stroke.visible !== false && stroke.opacity !== 0) {
-          const color = stroke.color;
-          const hex = rgbToHex(color.r, color.g, color.b);
-          const opacity = stroke.opacity !== undefined ? stroke.opacity : 1; // Default to 1 if undefined
-
-          // Stroke color detection progress removed for performance
-
-          // Check for stroke styles and associate with color
-          let styleName = null;
-          if (node.strokeStyleId) {
-            try {
-              const style = await figma.getStyleByIdAsync(node.strokeStyleId);
-              if (style) {
-                styleName = style.name;
-                colorStyles.add(style.name);
-              }
-            } catch (error) {
-              // Silently handle inaccessible stroke styles
-            }
-          }
+    if ('strokes' in node && Array.isArray(node.strokes)) {
+      await collectPaintColors(node.strokes, node.strokeStyleId, node, 'stroke', collectors);
+      await collectGradientAndImagePaints(node.strokes, node.strokeStyleId, node, 'stroke', collectors);
+    }
 
-          // Create unique key that includes opacity for different opacity values of same color
-          const colorKey = opacity < 1 ? `${hex}@${Math.round(opacity * 100)}%` : hex;
+    // Collect corner radii and stroke geometry
+    await collectShapeTokens(node, collectors);
 
-          // Store color with its associated style and opacity
-          if (!colors.has(colorKey)) {
-            colors.set(colorKey, {
-              hex: hex,
-              opacity: opacity,
-              styleName: styleName,
-              type: 'stroke'
-            });
-          } else if (styleName && !colors.get(colorKey).styleName) {
-            // Update with style name if we didn't have one before
-            colors.get(colorKey).styleName = styleName;
-          }
-        }
-      }
+    // Collect auto layout spacing and measured gaps between absolutely positioned children
+    await collectSpacing(node, collectors);
+
+    // Record variables bound to radii, spacing and text content
+    if (node.boundVariables) {
+      await collectBoundVariables(node, collectors);
     }
 
     // Extract effect styles
-    if (node.effectStyleId) {
-      try {
-        const style = await figma.getStyleByIdAsync(node.effectStyleId);
-        if (style) {
-          effectStyles.add(style.name);
-        }
-      } catch (error) {
-        // Silently handle inaccessible effect styles
+    let effectStyleName = null;
+    if (node.effectStyleId && typeof node.effectStyleId === 'string') {
+      const style = await lookupStyle(node.effectStyleId, 'effect', node, collectors);
+      if (style) {
+        effectStyles.add(style.name);
+        effectStyleName = style.name;
       }
     }
 
+    // Extract raw shadow and blur values, styled or not
+    if (Array.isArray(node.effects) && node.effects.length > 0) {
+      collectEffects(node.effects, effectStyleName, collectors);
+    }
+
   } catch (error) {
     // Silently handle node processing errors
   }
 }
 
-// Convert RGB to Hex
-function rgbToHex(r, g, b) {
-  const toHex = (c) => {
-    const hex = Math.round(c * 255).toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
-  };
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
-}
+// Node properties whose variable bindings are reported, by group; fills and strokes are
+// bound per paint and handled in collectPaintColors()
+const BOUND_VARIABLE_PROPERTIES = {
+  radius: ['cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomLeftRadius', 'bottomRightRadius'],
+  spacing: ['itemSpacing', 'counterAxisSpacing', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom'],
+  stroke: ['strokeWeight', 'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight'],
+  text: ['characters']
+};
 
-// Get the best available font for analysis output (generic, not project-specific)
-async function getBestAvailableFont(preferredStyle = "Regular") {
-  const availableFonts = await getAvailableFonts();
+// Text properties that can be bound per styled range
+const TEXT_VARIABLE_PROPERTIES = ['fontFamily', 'fontStyle', 'fontWeight', 'fontSize', 'lineHeight', 'letterSpacing', 'paragraphSpacing'];
 
-  // Look for a font with the preferred style
-  const fontWithStyle = availableFonts.find(font =>
-    font.style.toLowerCase().includes(preferredStyle.toLowerCase())
-  );
+// Resolved variables by ID for the current analysis (cleared by analyzeFrame)
+const variableLookupCache = new Map();
 
-  if (fontWithStyle) {
-    return fontWithStyle;
+// Resolve a variable alias to its name, type and collection; null when it can't be read
+async function resolveBoundVariable(alias) {
+  if (!alias || typeof alias !== 'object' || !alias.id) return null;
+  if (typeof figma.variables === 'undefined' || !figma.variables) return null;
+  if (variableLookupCache.has(alias.id)) return variableLookupCache.get(alias.id);
+
+  let resolved = null;
+  try {
+    const variable = await figma.variables.getVariableByIdAsync(alias.id);
+    if (variable) {
+      let collection = null;
+      try {
+        collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+      } catch (error) {
+        // Silently handle inaccessible collections
+      }
+
+      resolved = {
+        id: variable.id,
+        name: variable.name,
+        key: variable.key || null,
+        resolvedType: variable.resolvedType,
+        remote: variable.remote === true,
+        collectionId: variable.variableCollectionId,
+        collectionName: collection ? collection.name : 'Unknown collection'
+      };
+
+      // Colors get their value in every mode of the collection (e.g. day/night themes)
+      if (variable.resolvedType === 'COLOR' && collection && Array.isArray(collection.modes)) {
+        resolved.modes = await resolveColorModes(variable, collection);
+      }
+    }
+  } catch (error) {
+    // Silently handle inaccessible variables
   }
 
-  // Fallback to first available font
-  return availableFonts[0] || { family: "Arial", style: "Regular" };
+  variableLookupCache.set(alias.id, resolved);
+  return resolved;
 }
 
-// Helper functions for common font styles (completely generic)
-async function getAnalysisTitleFont() {
-  try {
-    const availableFonts = await getAvailableFonts();
+// Resolve a color variable's value in each mode of its collection, following aliases
+async function resolveColorModes(variable, collection) {
+  const modes = [];
+  for (const mode of collection.modes) {
+    const value = await resolveVariableModeValue(variable, mode.modeId);
+    if (!value || typeof value !== 'object' || !('r' in value)) continue;
+
+    modes.push({
+      modeId: mode.modeId,
+      name: mode.name,
+      isDefault: mode.modeId === collection.defaultModeId,
+      hex: rgbToHex(value.r, value.g, value.b),
+      opacity: value.a !== undefined ? Math.round(value.a * 100) / 100 : 1
+    });
+  }
+  return modes;
+}
+
+// Value of a variable in a mode; aliases into other collections (whose mode IDs differ) use
+// the target collection's default mode
+async function resolveVariableModeValue(variable, modeId) {
+  let current = variable;
+  let currentModeId = modeId;
+  for (let depth = 0; current && depth < 10; depth++) {
+    const values = current.valuesByMode || {};
+    if (!(currentModeId in values)) {
+      currentModeId = await getDefaultModeId(current);
+    }
+    const value = values[currentModeId];
+    if (!value || typeof value !== 'object' || value.type !== 'VARIABLE_ALIAS') {
+      return value;
+    }
+
+    try {
+      current = await figma.variables.getVariableByIdAsync(value.id);
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Default mode of a variable's collection; null when the collection can't be read
+async function getDefaultModeId(variable) {
+  try {
+    const collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+    return collection ? collection.defaultModeId : null;
+  } catch (error) {
+    // Silently handle inaccessible collections
+    return null;
+  }
+}
+
+// Record one variable binding and the property it drives; returns the resolved variable
+async function recordBoundVariable(alias, property, value, collectors) {
+  const variable = await resolveBoundVariable(alias);
+  if (!variable) return null;
+
+  const { variables } = collectors;
+  if (!variables.has(variable.id)) {
+    variables.set(variable.id, Object.assign({}, variable, { properties: [], values: [], usageCount: 0 }));
+  }
+
+  const entry = variables.get(variable.id);
+  entry.usageCount++;
+  if (!entry.properties.includes(property)) {
+    entry.properties.push(property);
+  }
+  if ((typeof value === 'number' || typeof value === 'string') && !entry.values.includes(value)) {
+    entry.values.push(value);
+  }
+  return variable;
+}
+
+// Record variables bound to a node's radius, spacing and text properties
+async function collectBoundVariables(node, collectors) {
+  for (const group of Object.keys(BOUND_VARIABLE_PROPERTIES)) {
+    for (const property of BOUND_VARIABLE_PROPERTIES[group]) {
+      const alias = node.boundVariables[property];
+      if (!alias) continue;
+
+      try {
+        await recordBoundVariable(alias, property, node[property], collectors);
+      } catch (error) {
+        // Silently handle variable processing errors
+      }
+    }
+  }
+}
+
+// "Colors / primary/500" - collection and variable name as shown in Figma's variables panel
+function formatVariableName(variable) {
+  return `${variable.collectionName} / ${variable.name}`;
+}
+
+// One line per variable for the analysis and summary frames; multi-mode colors list each mode's value
+function formatVariableUsage(variable) {
+  const count = variable.usageCount > 1 ? ` ×${variable.usageCount}` : '';
+  const modes = variable.modes && variable.modes.length > 1
+    ? ` | ${variable.modes.map(mode => `${mode.name} ${mode.hex}`).join(' · ')}`
+    : '';
+  return `${formatVariableName(variable)} (${variable.resolvedType}) - ${variable.properties.join(', ')}${count}${modes}`;
+}
+
+// Check for figma.mixed (a symbol) on properties that vary across a text node
+function isMixedValue(value) {
+  return typeof value === 'symbol';
+}
+
+// Properties read for each uniformly styled range of a text node
+const TEXT_SEGMENT_FIELDS = [
+  'fontName', 'fontSize', 'textStyleId', 'fills', 'fillStyleId',
+  'lineHeight', 'letterSpacing', 'textCase', 'textDecoration', 'boundVariables'
+];
+
+// Paragraph-level properties; styled ranges inherit them from the node
+const TEXT_PARAGRAPH_FIELDS = ['paragraphSpacing', 'textAlignHorizontal'];
+
+// Split a text node into uniformly styled ranges; text without mixed properties is one range
+function getTextSegments(node) {
+  const hasMixedStyle = TEXT_SEGMENT_FIELDS.some(field => isMixedValue(node[field]));
+  const paragraph = {};
+  TEXT_PARAGRAPH_FIELDS.forEach(field => { paragraph[field] = node[field]; });
+
+  if (hasMixedStyle && typeof node.getStyledTextSegments === 'function') {
+    try {
+      return node.getStyledTextSegments(TEXT_SEGMENT_FIELDS).map(segment => Object.assign({}, paragraph, segment));
+    } catch (error) {
+      console.warn('Text segment analysis error:', error.message);
+    }
+  }
+
+  const segment = Object.assign({ characters: node.characters }, paragraph);
+  TEXT_SEGMENT_FIELDS.forEach(field => { segment[field] = node[field]; });
+  return [segment];
+}
+
+// Round typographic measurements to two decimals so float noise doesn't split fonts
+function roundTypeValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Read the typographic properties of a styled range, falling back to Figma's defaults
+function getTypographyInfo(segment) {
+  const lineHeight = segment.lineHeight;
+  const letterSpacing = segment.letterSpacing;
+  const pick = (value, fallback) => (typeof value === 'string' ? value : fallback);
+
+  return {
+    lineHeight: lineHeight && typeof lineHeight === 'object' && lineHeight.unit !== 'AUTO' && typeof lineHeight.value === 'number'
+      ? { value: roundTypeValue(lineHeight.value), unit: lineHeight.unit }
+      : { unit: 'AUTO' },
+    // Zero spacing reads the same in either unit
+    letterSpacing: letterSpacing && typeof letterSpacing === 'object' && typeof letterSpacing.value === 'number' && letterSpacing.value !== 0
+      ? { value: roundTypeValue(letterSpacing.value), unit: letterSpacing.unit }
+      : { value: 0, unit: 'PIXELS' },
+    paragraphSpacing: typeof segment.paragraphSpacing === 'number' ? roundTypeValue(segment.paragraphSpacing) : 0,
+    textCase: pick(segment.textCase, 'ORIGINAL'),
+    textDecoration: pick(segment.textDecoration, 'NONE'),
+    textAlign: pick(segment.textAlignHorizontal, 'LEFT')
+  };
+}
+
+// "Auto", "24px" or "120%"
+function formatLineHeight(lineHeight) {
+  if (!lineHeight || lineHeight.unit === 'AUTO') return 'Auto';
+  return `${lineHeight.value}${lineHeight.unit === 'PERCENT' ? '%' : 'px'}`;
+}
+
+// "0.5px" or "2%"
+function formatLetterSpacing(letterSpacing) {
+  if (!letterSpacing) return '0px';
+  return `${letterSpacing.value}${letterSpacing.unit === 'PERCENT' ? '%' : 'px'}`;
+}
+
+// Line height and letter spacing, plus paragraph spacing, case, decoration and alignment when not the default
+function describeTypography(font) {
+  if (!font.lineHeight && !font.letterSpacing) return '';
+
+  const parts = [`Line height ${formatLineHeight(font.lineHeight)}`, `Letter spacing ${formatLetterSpacing(font.letterSpacing)}`];
+  if (font.paragraphSpacing) parts.push(`Paragraph ${font.paragraphSpacing}px`);
+  if (font.textCase && font.textCase !== 'ORIGINAL') parts.push(`Case ${font.textCase.toLowerCase().replace(/_/g, ' ')}`);
+  if (font.textDecoration && font.textDecoration !== 'NONE') parts.push(font.textDecoration.charAt(0) + font.textDecoration.slice(1).toLowerCase());
+  if (font.textAlign && font.textAlign !== 'LEFT') parts.push(`Align ${font.textAlign.toLowerCase()}`);
+  return parts.join(' · ');
+}
+
+// Key fonts by family, style, size and typographic settings so differing settings stay distinct
+function getFontKey(info) {
+  const key = `${info.fontFamily} - ${info.fontStyle} - ${info.fontSize}px`;
+  const settings = [
+    formatLineHeight(info.lineHeight),
+    formatLetterSpacing(info.letterSpacing),
+    `${info.paragraphSpacing || 0}px`,
+    info.textCase || 'ORIGINAL',
+    info.textDecoration || 'NONE',
+    info.textAlign || 'LEFT'
+  ].join(' - ');
+
+  // Fonts with Figma's default settings keep the short key
+  return settings === 'Auto - 0px - 0px - ORIGINAL - NONE - LEFT' ? key : `${key} - ${settings}`;
+}
+
+// Record the font and text style used by one styled text range
+async function analyzeTextSegment(segment, node, collectors) {
+  const { fonts, textStyles } = collectors;
+  const fontName = segment.fontName;
+  if (!fontName || typeof fontName !== 'object' || !('family' in fontName)) {
+    return;
+  }
+
+  // Look up the text style once; it also supplies the size when the range has none
+  let style = null;
+  if (segment.textStyleId && typeof segment.textStyleId === 'string') {
+    style = await lookupStyle(segment.textStyleId, 'text', node, collectors);
+  }
+
+  let fontSize = 'Unknown';
+  if (typeof segment.fontSize === 'number') {
+    fontSize = segment.fontSize;
+  } else if (style && style.fontSize) {
+    fontSize = style.fontSize;
+  }
+
+  const fontInfo = Object.assign({
+    fontFamily: fontName.family,
+    fontStyle: fontName.style,
+    fontSize: fontSize
+  }, getTypographyInfo(segment));
+  const fontKey = getFontKey(fontInfo);
+
+  // Variables bound to the range's typography (font size, family, line height, ...)
+  const boundVariables = {};
+  const bindings = segment.boundVariables && typeof segment.boundVariables === 'object' ? segment.boundVariables : {};
+  for (const property of TEXT_VARIABLE_PROPERTIES) {
+    if (!bindings[property]) continue;
+    const variable = await recordBoundVariable(bindings[property], property, segment[property], collectors);
+    if (variable) {
+      boundVariables[property] = formatVariableName(variable);
+    }
+  }
+  if (Object.keys(boundVariables).length > 0) {
+    fontInfo.variables = boundVariables;
+  }
+
+  // Check for text styles and associate with font
+  let styleName = null;
+  if (style) {
+    styleName = style.name;
+    // Store text style with its font information
+    textStyles.set(style.name, Object.assign({}, fontInfo));
+  }
+
+  // Store font with complete information including size, counting every styled range that uses it
+  if (!fonts.has(fontKey)) {
+    fonts.set(fontKey, Object.assign({}, fontInfo, { styleName: styleName, usageCount: 1, nodeIds: [node.id] }));
+  } else {
+    const existing = fonts.get(fontKey);
+    existing.usageCount++;
+    addNodeId(existing, node.id);
+    if (styleName && !existing.styleName) {
+      // Update with style name if we didn't have one before
+      existing.styleName = styleName;
+    }
+    if (fontInfo.variables && !existing.variables) {
+      existing.variables = fontInfo.variables;
+    }
+  }
+}
+
+// Record a layer using an entry once, however many of its paints or text ranges match (where-used index)
+function addNodeId(entry, nodeId) {
+  if (!entry.nodeIds.includes(nodeId)) entry.nodeIds.push(nodeId);
+}
+
+// Key of a collected color: its hex, plus the opacity when translucent ("#FF0000@50%")
+function getColorKey(hex, opacity) {
+  return opacity < 1 ? `${hex}@${Math.round(opacity * 100)}%` : hex;
+}
+
+// Usage count suffix for a font, color or component entry ("×3"); empty for results saved before counts existed
+function formatUsageCount(entry) {
+  const count = entry.usageCount !== undefined ? entry.usageCount : entry.instanceCount;
+  if (typeof count !== 'number') return '';
+  return entry.frameCount > 1 ? ` ×${count} in ${entry.frameCount} frames` : ` ×${count}`;
+}
+
+// Record visible solid paints (fills or strokes) with their associated color style
+async function collectPaintColors(paints, styleId, node, type, collectors) {
+  const { colors, colorStyles } = collectors;
+  if (!Array.isArray(paints)) return;
+
+  for (const paint of paints) {
+    // Check for solid paints that are visible
+    if (paint.type !== 'SOLID' || !paint.color || paint.visible === false || paint.opacity === 0) {
+      continue;
+    }
+
+    const hex = rgbToHex(paint.color.r, paint.color.g, paint.color.b);
+    const opacity = paint.opacity !== undefined ? paint.opacity : 1; // Default to 1 if undefined
+
+    // Check for paint styles and associate with color
+    let styleName = null;
+    if (styleId && typeof styleId === 'string') {
+      const style = await lookupStyle(styleId, 'paint', node, collectors);
+      if (style) {
+        styleName = style.name;
+        colorStyles.add(style.name);
+      }
+    }
+
+    // Check for a color variable bound to the paint
+    let variable = null;
+    if (paint.boundVariables && paint.boundVariables.color) {
+      try {
+        variable = await recordBoundVariable(paint.boundVariables.color, type === 'fill' ? 'fills' : 'strokes', hex, collectors);
+      } catch (error) {
+        // Silently handle inaccessible color variables
+      }
+    }
+
+    // Create unique key that includes opacity for different opacity values of same color
+    const colorKey = getColorKey(hex, opacity);
+
+    // Store color with its associated style, variable and opacity, counting every paint that uses it
+    if (!colors.has(colorKey)) {
+      colors.set(colorKey, {
+        hex: hex,
+        opacity: opacity,
+        styleName: styleName,
+        variableId: variable ? variable.id : null,
+        variableName: variable ? variable.name : null,
+        variableCollection: variable ? variable.collectionName : null,
+        type: type,
+        usageCount: 1,
+        nodeIds: [node.id]
+      });
+    } else {
+      const existing = colors.get(colorKey);
+      existing.usageCount++;
+      addNodeId(existing, node.id);
+      if (styleName && !existing.styleName) {
+        // Update with style name if we didn't have one before
+        existing.styleName = styleName;
+      }
+      if (variable && !existing.variableId) {
+        existing.variableId = variable.id;
+        existing.variableName = variable.name;
+        existing.variableCollection = variable.collectionName;
+      }
+    }
+  }
+}
+
+// Readable names for gradient paint types
+const GRADIENT_TYPE_NAMES = {
+  GRADIENT_LINEAR: 'Linear',
+  GRADIENT_RADIAL: 'Radial',
+  GRADIENT_ANGULAR: 'Angular',
+  GRADIENT_DIAMOND: 'Diamond'
+};
+
+// Direction of a gradient in degrees (0 = left to right, 90 = top to bottom) in the node's
+// pixel space. Plugin paints carry gradientTransform, REST paints gradientHandlePositions.
+function getGradientAngle(paint, width, height) {
+  let start;
+  let end;
+  if (Array.isArray(paint.gradientHandlePositions) && paint.gradientHandlePositions.length >= 2) {
+    start = paint.gradientHandlePositions[0];
+    end = paint.gradientHandlePositions[1];
+  } else if (Array.isArray(paint.gradientTransform) && paint.gradientTransform.length === 2) {
+    const [[a, b, c], [d, e, f]] = paint.gradientTransform;
+    const det = a * e - b * d;
+    if (det === 0) return 0;
+
+    // The transform maps node space to gradient space; invert it to find where the
+    // gradient axis (0, 0.5) -> (1, 0.5) lies on the node
+    const invert = (x, y) => ({
+      x: (e * (x - c) - b * (y - f)) / det,
+      y: (-d * (x - c) + a * (y - f)) / det
+    });
+    start = invert(0, 0.5);
+    end = invert(1, 0.5);
+  } else {
+    return 0;
+  }
+
+  const radians = Math.atan2((end.y - start.y) * (height || 1), (end.x - start.x) * (width || 1));
+  return Math.round((radians * 180 / Math.PI + 360) % 360) % 360;
+}
+
+// Per-corner radius properties, clockwise from top left
+const CORNER_RADIUS_PROPERTIES = ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius'];
+
+// Per-side stroke weight properties, clockwise from top
+const STROKE_SIDE_PROPERTIES = ['strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight'];
+
+// Largest corner of a radius token (the uniform radius when corners match)
+function getMaxRadius(radius) {
+  return radius.corners ? Math.max.apply(null, radius.corners) : radius.radius;
+}
+
+// Record a node's corner radii and, when it has a visible stroke, its weight, alignment and dashes
+async function collectShapeTokens(node, collectors) {
+  const { radii, borders } = collectors;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  // Name of the first variable bound to any of the properties
+  const boundVariableName = async (properties) => {
+    const bound = node.boundVariables || {};
+    for (const property of properties) {
+      const variable = bound[property] ? await resolveBoundVariable(bound[property]) : null;
+      if (variable) return variable.name;
+    }
+    return null;
+  };
+
+  if ('cornerRadius' in node) {
+    const uniform = typeof node.cornerRadius === 'number';
+    const corners = uniform
+      ? null
+      : CORNER_RADIUS_PROPERTIES.map(property => (typeof node[property] === 'number' ? round(node[property]) : 0));
+
+    if (uniform ? node.cornerRadius > 0 : corners.some(corner => corner > 0)) {
+      const radiusKey = uniform ? `${round(node.cornerRadius)}` : corners.join('/');
+      const variableName = await boundVariableName(['cornerRadius'].concat(CORNER_RADIUS_PROPERTIES));
+      if (!radii.has(radiusKey)) {
+        radii.set(radiusKey, {
+          radius: uniform ? round(node.cornerRadius) : null,
+          corners: corners,
+          variableName: variableName,
+          usageCount: 0
+        });
+      } else if (variableName && !radii.get(radiusKey).variableName) {
+        // Update with the variable if we didn't have one before
+        radii.get(radiusKey).variableName = variableName;
+      }
+      radii.get(radiusKey).usageCount++;
+    }
+  }
+
+  const hasVisibleStroke = Array.isArray(node.strokes) &&
+    node.strokes.some(paint => paint && paint.visible !== false && paint.opacity !== 0);
+  if (hasVisibleStroke && 'strokeWeight' in node) {
+    const uniform = typeof node.strokeWeight === 'number';
+    const sides = uniform
+      ? null
+      : STROKE_SIDE_PROPERTIES.map(property => (typeof node[property] === 'number' ? round(node[property]) : 0));
+    const weight = uniform ? round(node.strokeWeight) : Math.max.apply(null, sides);
+
+    if (weight > 0) {
+      const align = typeof node.strokeAlign === 'string' ? node.strokeAlign : 'CENTER';
+      const dashPattern = Array.isArray(node.dashPattern) ? node.dashPattern.map(round) : [];
+      const borderKey = `${uniform ? weight : sides.join('/')}|${align}|${dashPattern.join(',')}`;
+      const variableName = await boundVariableName(['strokeWeight'].concat(STROKE_SIDE_PROPERTIES));
+
+      if (!borders.has(borderKey)) {
+        borders.set(borderKey, {
+          weight: weight,
+          sides: sides,
+          align: align,
+          dashPattern: dashPattern,
+          variableName: variableName,
+          usageCount: 0
+        });
+      } else if (variableName && !borders.get(borderKey).variableName) {
+        // Update with the variable if we didn't have one before
+        borders.get(borderKey).variableName = variableName;
+      }
+      borders.get(borderKey).usageCount++;
+    }
+  }
+}
+
+// "8px ×12" or "8 / 8 / 0 / 0px (TL TR BR BL)", with the bound variable when there is one
+function formatRadius(radius) {
+  const value = radius.corners ? `${radius.corners.join(' / ')}px (TL TR BR BL)` : `${radius.radius}px`;
+  const variable = radius.variableName ? ` - var ${radius.variableName}` : '';
+  const count = radius.usageCount > 1 ? ` ×${radius.usageCount}` : '';
+  return `${value}${variable}${count}`;
+}
+
+// "1px inside, solid ×5" or "T1 R0 B1 L0px center, dashed 4-2"
+function formatBorder(border) {
+  const weight = border.sides
+    ? `T${border.sides[0]} R${border.sides[1]} B${border.sides[2]} L${border.sides[3]}px`
+    : `${border.weight}px`;
+  const dashes = border.dashPattern.length > 0 ? `dashed ${border.dashPattern.join('-')}` : 'solid';
+  const variable = border.variableName ? ` - var ${border.variableName}` : '';
+  const count = border.usageCount > 1 ? ` ×${border.usageCount}` : '';
+  return `${weight} ${border.align.toLowerCase()}, ${dashes}${variable}${count}`;
+}
+
+// Spacing values are expected to be multiples of this many pixels; off-scale values are flagged
+const DEFAULT_SPACING_SCALE = 4;
+let spacingScale = DEFAULT_SPACING_SCALE;
+
+// Set the spacing scale (plugin UI setting or CLI option); anything but a positive number restores the default
+function setSpacingScale(value) {
+  const scale = Number(value);
+  spacingScale = value !== null && value !== undefined && isFinite(scale) && scale > 0 ? scale : DEFAULT_SPACING_SCALE;
+  return spacingScale;
+}
+
+// Whether a spacing value is a whole multiple of the current spacing scale
+function isOnSpacingScale(value) {
+  const steps = value / spacingScale;
+  return Math.abs(steps - Math.round(steps)) < 0.01;
+}
+
+// Auto layout padding properties and the LVGL style properties they map to
+const SPACING_PADDING_PROPERTIES = {
+  paddingTop: 'pad_top',
+  paddingRight: 'pad_right',
+  paddingBottom: 'pad_bottom',
+  paddingLeft: 'pad_left'
+};
+
+// Record auto layout item spacing and padding, or, for frames and groups without auto layout,
+// the gap from each child to its nearest sibling to the right and below
+async function collectSpacing(node, collectors) {
+  const { spacing } = collectors;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const record = async (value, lvglProperty, boundProperty) => {
+    if (typeof value !== 'number' || !(value > 0)) return;
+    const spacingKey = `${round(value)}`;
+    if (!spacing.has(spacingKey)) {
+      spacing.set(spacingKey, { value: round(value), properties: {}, measuredCount: 0, variableName: null, usageCount: 0 });
+    }
+    const entry = spacing.get(spacingKey);
+    entry.properties[lvglProperty] = (entry.properties[lvglProperty] || 0) + 1;
+    entry.usageCount++;
+    if (!boundProperty) {
+      entry.measuredCount++;
+    } else if (!entry.variableName && node.boundVariables && node.boundVariables[boundProperty]) {
+      const variable = await resolveBoundVariable(node.boundVariables[boundProperty]);
+      if (variable) entry.variableName = variable.name;
+    }
+  };
+
+  if (node.layoutMode && node.layoutMode !== 'NONE') {
+    // Row layouts space items in columns; "space between" spacing is computed, not designed
+    const horizontal = node.layoutMode === 'HORIZONTAL';
+    if (node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+      await record(node.itemSpacing, horizontal ? 'pad_column' : 'pad_row', 'itemSpacing');
+    }
+    if (node.layoutWrap === 'WRAP') {
+      await record(node.counterAxisSpacing, horizontal ? 'pad_row' : 'pad_column', 'counterAxisSpacing');
+    }
+    for (const property in SPACING_PADDING_PROPERTIES) {
+      await record(node[property], SPACING_PADDING_PROPERTIES[property], property);
+    }
+    return;
+  }
+
+  if (node.type === 'PAGE' || !Array.isArray(node.children) || node.children.length < 2) return;
+
+  const boxes = node.children
+    .filter(child => child.visible !== false && typeof child.x === 'number' && typeof child.y === 'number')
+    .map(child => ({ left: child.x, top: child.y, right: child.x + child.width, bottom: child.y + child.height }));
+
+  for (const box of boxes) {
+    let columnGap = null;
+    let rowGap = null;
+    for (const other of boxes) {
+      // Siblings overlapping vertically sit side by side; overlapping horizontally, stacked
+      if (other.left >= box.right && other.top < box.bottom && box.top < other.bottom) {
+        const gap = other.left - box.right;
+        if (columnGap === null || gap < columnGap) columnGap = gap;
+      }
+      if (other.top >= box.bottom && other.left < box.right && box.left < other.right) {
+        const gap = other.top - box.bottom;
+        if (rowGap === null || gap < rowGap) rowGap = gap;
+      }
+    }
+    await record(columnGap, 'pad_column', null);
+    await record(rowGap, 'pad_row', null);
+  }
+}
+
+// "8px ×6 (pad_row, pad_top), 2 measured - var spacing/sm", flagged when off the spacing scale
+function formatSpacing(entry) {
+  const count = entry.usageCount > 1 ? ` ×${entry.usageCount}` : '';
+  const measured = entry.measuredCount > 0 ? `, ${entry.measuredCount} measured` : '';
+  const variable = entry.variableName ? ` - var ${entry.variableName}` : '';
+  const offScale = isOnSpacingScale(entry.value) ? '' : ` - off ${spacingScale}px scale`;
+  return `${entry.value}px${count} (${Object.keys(entry.properties).sort().join(', ')})${measured}${variable}${offScale}`;
+}
+
+// WCAG 2 minimum contrast ratios per level, for normal and large text (18pt, or 14pt bold)
+const WCAG_CONTRAST_THRESHOLDS = { AA: { normal: 4.5, large: 3 }, AAA: { normal: 7, large: 4.5 } };
+const WCAG_LARGE_TEXT_PX = 24;
+const WCAG_LARGE_BOLD_TEXT_PX = 18.66;
+
+// WCAG relative luminance of a color with 0–1 channels
+function getRelativeLuminance(color) {
+  const channel = (c) => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+}
+
+function getContrastRatio(a, b) {
+  const la = getRelativeLuminance(a);
+  const lb = getRelativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// Semibold (600) is not bold for WCAG's large text rule
+function isLargeText(fontSize, fontStyle) {
+  const bold = /bold|black|heavy/i.test(fontStyle || '') && !/semi|demi/i.test(fontStyle || '');
+  return fontSize >= WCAG_LARGE_TEXT_PX || (bold && fontSize >= WCAG_LARGE_BOLD_TEXT_PX);
+}
+
+// Blend a layer's visible fills (bottom to top) over a backdrop color, with paint and layer
+// opacity; gradients count as the average of their stops, and image fills give null as the
+// color behind them cannot be known
+function blendFills(backdrop, fills, opacity) {
+  if (!backdrop || !Array.isArray(fills)) return backdrop;
+  let color = backdrop;
+  for (const paint of fills) {
+    if (!paint || paint.visible === false) continue;
+    if (paint.type === 'IMAGE' || paint.type === 'VIDEO') return null;
+
+    let paintColor = null;
+    if (paint.type === 'SOLID' && paint.color) {
+      paintColor = paint.color;
+    } else if (GRADIENT_TYPE_NAMES[paint.type] && Array.isArray(paint.gradientStops) && paint.gradientStops.length > 0) {
+      const stops = paint.gradientStops;
+      const average = (channel) => stops.reduce((sum, stop) => sum + (stop.color[channel] !== undefined ? stop.color[channel] : 1), 0) / stops.length;
+      paintColor = { r: average('r'), g: average('g'), b: average('b'), a: average('a') };
+    }
+    if (!paintColor) continue;
+
+    const alpha = (paint.opacity !== undefined ? paint.opacity : 1) * (paintColor.a !== undefined ? paintColor.a : 1) * opacity;
+    color = {
+      r: paintColor.r * alpha + color.r * (1 - alpha),
+      g: paintColor.g * alpha + color.g * (1 - alpha),
+      b: paintColor.b * alpha + color.b * (1 - alpha)
+    };
+  }
+  return color;
+}
+
+// Bounds of a node relative to an ancestor; positions are summed up the parents where
+// absolute bounds are not available
+function getBoundsWithin(node, ancestor) {
+  if (node.absoluteBoundingBox && ancestor.absoluteBoundingBox) {
+    return {
+      x: node.absoluteBoundingBox.x - ancestor.absoluteBoundingBox.x,
+      y: node.absoluteBoundingBox.y - ancestor.absoluteBoundingBox.y,
+      width: node.absoluteBoundingBox.width,
+      height: node.absoluteBoundingBox.height
+    };
+  }
+  let x = 0;
+  let y = 0;
+  for (let current = node; current && current !== ancestor; current = current.parent) {
+    x += current.x || 0;
+    y += current.y || 0;
+  }
+  return { x: x, y: y, width: node.width, height: node.height };
+}
+
+// Color rendered behind the center of a text layer: the analyzed frame's fills, then every layer
+// painted before the text that covers that point (its ancestors and their earlier siblings with
+// all their children) blended bottom to top over white, with the combined opacity of the text's
+// ancestors; color is null when an image fill is behind it
+function getEffectiveBackground(textNode, frame) {
+  const bounds = getBoundsWithin(textNode, frame);
+  const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  const covers = (node) => {
+    const b = getBoundsWithin(node, frame);
+    return center.x >= b.x && center.x <= b.x + b.width && center.y >= b.y && center.y <= b.y + b.height;
+  };
+  const layerOpacity = (node) => (typeof node.opacity === 'number' ? node.opacity : 1);
+
+  let color = blendFills({ r: 1, g: 1, b: 1 }, frame.fills, layerOpacity(frame));
+  const paintSubtree = (node, opacity) => {
+    if (!color || node.visible === false || node.type === 'TEXT') return;
+    const nodeOpacity = opacity * layerOpacity(node);
+    if (covers(node)) color = blendFills(color, node.fills, nodeOpacity);
+    (node.children || []).forEach(child => paintSubtree(child, nodeOpacity));
+  };
+
+  const path = [textNode];
+  for (let node = textNode.parent; node && node !== frame; node = node.parent) path.unshift(node);
+
+  let parent = frame;
+  let opacity = 1;
+  for (const node of path) {
+    const siblings = parent.children || [];
+    siblings.slice(0, siblings.indexOf(node)).forEach(sibling => paintSubtree(sibling, opacity));
+    if (node === textNode) break;
+
+    opacity *= layerOpacity(node);
+    if (color && covers(node)) color = blendFills(color, node.fills, opacity);
+    parent = node;
+  }
+  return { color: color, opacity: opacity };
+}
+
+// WCAG contrast of every text layer against its rendered background. Mixed-style text is rated by
+// its weakest range; layers that do not reach AAA are returned as issues, lowest ratio first
+function checkTextContrast(frame, nodes) {
+  const rank = { fail: 0, AA: 1, AAA: 2 };
+  const issues = [];
+  let checkedCount = 0;
+
+  for (const node of nodes) {
+    if (node.type !== 'TEXT' || !node.characters) continue;
+    const backdrop = getEffectiveBackground(node, frame);
+    const background = backdrop.color;
+    if (!background) continue;
+    const textOpacity = backdrop.opacity * (typeof node.opacity === 'number' ? node.opacity : 1);
+
+    let worst = null;
+    for (const segment of getTextSegments(node)) {
+      if (!Array.isArray(segment.fills) || !segment.fills.some(paint => paint.visible !== false)) continue;
+      const textColor = blendFills(background, segment.fills, textOpacity);
+      if (!textColor) continue;
+
+      const fontSize = typeof segment.fontSize === 'number' ? segment.fontSize : 0;
+      const fontStyle = segment.fontName && typeof segment.fontName === 'object' ? segment.fontName.style : '';
+      const largeText = isLargeText(fontSize, fontStyle);
+      const ratio = getContrastRatio(textColor, background);
+      const size = largeText ? 'large' : 'normal';
+      const level = ratio >= WCAG_CONTRAST_THRESHOLDS.AAA[size] ? 'AAA' : (ratio >= WCAG_CONTRAST_THRESHOLDS.AA[size] ? 'AA' : 'fail');
+
+      if (!worst || rank[level] < rank[worst.level] || (rank[level] === rank[worst.level] && ratio < worst.ratio)) {
+        worst = {
+          ratio: Math.round(ratio * 100) / 100,
+          level: level,
+          largeText: largeText,
+          fontSize: fontSize,
+          textHex: rgbToHex(textColor.r, textColor.g, textColor.b),
+          backgroundHex: rgbToHex(background.r, background.g, background.b)
+        };
+      }
+    }
+    if (!worst) continue;
+
+    checkedCount++;
+    if (worst.level !== 'AAA') {
+      issues.push(Object.assign({ name: node.name, nodeId: node.id, characters: node.characters.slice(0, 40) }, worst));
+    }
+  }
+
+  return { checkedCount: checkedCount, issues: issues.sort((a, b) => a.ratio - b.ratio) };
+}
+
+// e.g. "Label" 2.85:1, #999999 on #FFFFFF, 14px — fails AA
+function formatContrastIssue(issue) {
+  const size = `${issue.fontSize}px${issue.largeText ? ' large text' : ''}`;
+  return `"${issue.characters}" ${issue.ratio}:1, ${issue.textHex} on ${issue.backgroundHex}, ${size} — ${issue.level === 'fail' ? 'fails AA' : 'fails AAA'}`;
+}
+
+// Touch target rule for interactive instances: a minimum physical size and gap, converted to
+// pixels at the DPI of the frame's display profile. Instances are interactive when their
+// component (or component set) name contains a whole word matching the pattern ("Tab" and
+// "PrimaryButton" but not "Table") or is one of the listed component sets.
+const DEFAULT_TOUCH_TARGET_RULE = {
+  minSizeMm: 9,
+  minGapMm: 2,
+  namePattern: 'button|btn|toggle|switch|checkbox|radio|slider|tab|key',
+  componentSets: []
+};
+let touchTargetRule = Object.assign({}, DEFAULT_TOUCH_TARGET_RULE);
+
+// Update the touch target rule (plugin UI setting); invalid values keep their defaults
+function setTouchTargetRule(rule) {
+  const value = rule || {};
+  const positive = (field) => {
+    const number = Number(value[field]);
+    return value[field] !== null && value[field] !== undefined && isFinite(number) && number > 0
+      ? number : DEFAULT_TOUCH_TARGET_RULE[field];
+  };
+  let namePattern = typeof value.namePattern === 'string' ? value.namePattern : DEFAULT_TOUCH_TARGET_RULE.namePattern;
+  try {
+    new RegExp(namePattern, 'i');
+  } catch (error) {
+    namePattern = DEFAULT_TOUCH_TARGET_RULE.namePattern;
+  }
+  const componentSets = typeof value.componentSets === 'string' ? value.componentSets.split(',') : (value.componentSets || []);
+
+  touchTargetRule = {
+    minSizeMm: positive('minSizeMm'),
+    minGapMm: positive('minGapMm'),
+    namePattern: namePattern,
+    componentSets: componentSets.map(name => String(name).trim()).filter(Boolean)
+  };
+  return touchTargetRule;
+}
+
+function mmToPx(mm, dpi) {
+  return mm / 25.4 * dpi;
+}
+
+// Whether an instance is interactive under the touch target rule, by its component or set name
+function isInteractiveInstance(node) {
+  const mainComponent = node.mainComponent;
+  const names = [node.name];
+  if (mainComponent) {
+    names.push(mainComponent.name);
+    if (mainComponent.parent && mainComponent.parent.type === 'COMPONENT_SET') names.push(mainComponent.parent.name);
+  }
+  const pattern = touchTargetRule.namePattern
+    ? new RegExp(`(^|[^a-z0-9])(?:${touchTargetRule.namePattern})($|[^a-z0-9])`, 'i')
+    : null;
+  // camelCase and PascalCase humps are words too: "IconButton" -> "Icon Button", "UIKey" -> "UI Key"
+  const splitWords = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z])([A-Z][a-z])/g, '$1 $2');
+  return names.some(name => name && (touchTargetRule.componentSets.includes(name) || (pattern && pattern.test(splitWords(name)))));
+}
+
+// Edge-to-edge distance between two boxes (0 when they touch or overlap)
+function getBoxGap(a, b) {
+  const dx = Math.max(0, Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width));
+  const dy = Math.max(0, Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height));
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Touch target audit of a frame's interactive instances (instances inside an interactive
+// instance are part of its target): targets smaller than the minimum size on either side, and
+// pairs of targets closer than the minimum gap, with bounds relative to the frame
+function checkTouchTargets(frame, nodes) {
+  const dpi = getFrameDisplayProfile(frame).dpi;
+  const minSize = mmToPx(touchTargetRule.minSizeMm, dpi);
+  const minGap = mmToPx(touchTargetRule.minGapMm, dpi);
+
+  const interactive = nodes.filter(node => node.type === 'INSTANCE' && isInteractiveInstance(node));
+  const interactiveIds = new Set(interactive.map(node => node.id));
+  const targets = interactive.filter(node => {
+    for (let parent = node.parent; parent && parent !== frame; parent = parent.parent) {
+      if (interactiveIds.has(parent.id)) return false;
+    }
+    return true;
+  }).map(node => {
+    const bounds = getBoundsWithin(node, frame);
+    return {
+      name: node.name,
+      nodeId: node.id,
+      x: Math.round(bounds.x),
+      y: Math.round(bounds.y),
+      width: Math.round(bounds.width),
+      height: Math.round(bounds.height)
+    };
+  });
+
+  const undersized = targets.filter(target => target.width < minSize || target.height < minSize);
+  const tooClose = [];
+  for (let i = 0; i < targets.length; i++) {
+    for (let j = i + 1; j < targets.length; j++) {
+      const gap = getBoxGap(targets[i], targets[j]);
+      if (gap < minGap) {
+        tooClose.push({ first: targets[i], second: targets[j], gap: Math.round(gap * 10) / 10 });
+      }
+    }
+  }
+
+  return {
+    minSizePx: Math.round(minSize),
+    minGapPx: Math.round(minGap),
+    rule: { minSizeMm: touchTargetRule.minSizeMm, minGapMm: touchTargetRule.minGapMm, dpi: dpi },
+    checkedCount: targets.length,
+    undersized: undersized,
+    tooClose: tooClose
+  };
+}
+
+// Touch target findings as { label, nodeId } lines
+function formatTouchTargetFindings(touchTargets) {
+  return touchTargets.undersized.map(target => ({
+    label: `${target.name}: ${target.width}×${target.height}px, below ${touchTargets.minSizePx}px`,
+    nodeId: target.nodeId
+  })).concat(touchTargets.tooClose.map(pair => ({
+    label: `${pair.first.name} ↔ ${pair.second.name}: ${pair.gap}px apart, below ${touchTargets.minGapPx}px`,
+    nodeId: pair.first.nodeId
+  })));
+}
+
+// Display profiles describe the target screens: resolution, pixel density and native color
+// format. They are stored in the document; each analyzed frame can pick one, and frames
+// without a choice use the first profile.
+const DISPLAY_PROFILES_KEY = 'displayProfiles'; // Stored on the document root
+const DISPLAY_PROFILE_KEY = 'displayProfile';   // Stored on the source frame
+const DEFAULT_DISPLAY_PROFILES = [
+  { name: 'Default', width: null, height: null, dpi: 160, colorFormat: 'RGB565' }
+];
+
+// Native pixel formats: LVGL color depth, bits per channel and how an 8-bit RGB color is packed
+const COLOR_FORMATS = {
+  RGB565: { depth: 16, bits: [5, 6, 5], digits: 4, pack: (r, g, b) => (Math.round(r * 31 / 255) << 11) | (Math.round(g * 63 / 255) << 5) | Math.round(b * 31 / 255) },
+  RGB888: { depth: 24, bits: [8, 8, 8], digits: 6, pack: (r, g, b) => (r << 16) | (g << 8) | b },
+  ARGB8888: { depth: 32, bits: [8, 8, 8], digits: 8, pack: (r, g, b, a) => ((a << 24) | (r << 16) | (g << 8) | b) >>> 0 },
+  RGB332: { depth: 8, bits: [3, 3, 2], digits: 2, pack: (r, g, b) => (Math.round(r * 7 / 255) << 5) | (Math.round(g * 7 / 255) << 2) | Math.round(b * 3 / 255) },
+  L8: { depth: 8, bits: [8, 8, 8], grayscale: true, digits: 2, pack: (r, g, b) => Math.round(0.299 * r + 0.587 * g + 0.114 * b) }
+};
+
+// Convert hex to the native value of a color format, e.g. "#FF0000" in RGB332 -> "0xE0"
+function convertColor(hex, colorFormat = 'RGB565', opacity = 1) {
+  const format = COLOR_FORMATS[colorFormat] || COLOR_FORMATS.RGB565;
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+  const [r, g, b] = result ? result.slice(1).map(part => parseInt(part, 16)) : [0, 0, 0];
+  const alpha = Math.round((opacity === undefined ? 1 : opacity) * 255);
+  return '0x' + format.pack(r, g, b, alpha).toString(16).toUpperCase().padStart(format.digits, '0');
+}
+
+// A format loses color detail when it stores fewer than 8 bits per channel
+function isLossyColorFormat(colorFormat) {
+  const format = COLOR_FORMATS[colorFormat] || COLOR_FORMATS.RGB565;
+  return format.grayscale || format.bits.some(bits => bits < 8);
+}
+
+// Quantized channel levels of a color, e.g. "#FF8000" in RGB565 -> [31, 32, 0]
+function getChannelLevels(hex, colorFormat) {
+  const format = COLOR_FORMATS[colorFormat] || COLOR_FORMATS.RGB565;
+  const rgb = hexToRgb(hex);
+  const channels = [rgb.r * 255, rgb.g * 255, rgb.b * 255];
+  const values = format.grayscale
+    ? channels.map(() => 0.299 * channels[0] + 0.587 * channels[1] + 0.114 * channels[2])
+    : channels;
+  return values.map((value, index) => Math.round(value * ((1 << format.bits[index]) - 1) / 255));
+}
+
+// Color as the display shows it: the quantized channels expanded back to 8 bits
+function quantizeColor(hex, colorFormat) {
+  const format = COLOR_FORMATS[colorFormat] || COLOR_FORMATS.RGB565;
+  const [r, g, b] = getChannelLevels(hex, colorFormat).map((level, index) => level / ((1 << format.bits[index]) - 1));
+  return rgbToHex(r, g, b);
+}
+
+// Largest per-channel difference (0-255) between a color and how the display shows it
+function getQuantizationError(hex, colorFormat) {
+  const original = hexToRgb(hex);
+  const shown = hexToRgb(quantizeColor(hex, colorFormat));
+  return Math.round(Math.max(
+    Math.abs(original.r - shown.r), Math.abs(original.g - shown.g), Math.abs(original.b - shown.b)
+  ) * 255);
+}
+
+// Gradient segments with fewer display steps than this look banded
+const BANDING_MIN_LEVELS = 32;
+
+// Colors that quantize to the same value, and gradient segments the display renders with
+// visibly fewer steps than the design. Opacity only separates colors in formats with alpha.
+function buildQuantizationReport(colors, gradients, colorFormat) {
+  const groups = new Map();
+  for (const color of colors) {
+    const hex = color.hex || color;
+    const value = convertColor(hex, colorFormat, color.opacity);
+    if (!groups.has(value)) {
+      groups.set(value, { value: value, displayedHex: quantizeColor(hex, colorFormat), colors: [] });
+    }
+    const group = groups.get(value);
+    if (!group.colors.some(existing => existing.hex === hex)) {
+      group.colors.push({
+        hex: hex,
+        styleName: color.styleName || null,
+        variableName: color.variableName || null,
+        error: getQuantizationError(hex, colorFormat)
+      });
+    }
+  }
+
+  const banding = [];
+  for (const gradient of gradients || []) {
+    for (let i = 1; i < gradient.stops.length; i++) {
+      const from = gradient.stops[i - 1];
+      const to = gradient.stops[i];
+      const steps = (a, b) => Math.max.apply(null, a.map((level, index) => Math.abs(level - b[index]))) + 1;
+      const sourceLevels = steps(getChannelLevels(from.hex, 'RGB888'), getChannelLevels(to.hex, 'RGB888'));
+      const levels = steps(getChannelLevels(from.hex, colorFormat), getChannelLevels(to.hex, colorFormat));
+      if (levels < sourceLevels && levels < BANDING_MIN_LEVELS) {
+        banding.push({
+          gradientType: gradient.gradientType,
+          styleName: gradient.styleName || null,
+          from: from.hex,
+          to: to.hex,
+          levels: levels,
+          sourceLevels: sourceLevels
+        });
+      }
+    }
+  }
+
+  return {
+    colorFormat: colorFormat,
+    collisions: Array.from(groups.values()).filter(group => group.colors.length > 1),
+    banding: banding
+  };
+}
+
+// e.g. " → #FF3984 Δ4"; empty when the display shows the color exactly
+function formatQuantizationError(hex, colorFormat) {
+  const error = getQuantizationError(hex, colorFormat);
+  return error > 0 ? ` → ${quantizeColor(hex, colorFormat)} Δ${error}` : '';
+}
+
+// Perceptual color difference (CIEDE2000) below which colors count as near-duplicates;
+// around 2 is hard to tell apart side by side
+const DEFAULT_COLOR_DISTANCE_THRESHOLD = 2;
+let colorDistanceThreshold = DEFAULT_COLOR_DISTANCE_THRESHOLD;
+
+// Update the near-duplicate threshold (plugin UI setting); invalid values reset to the default
+function setColorDistanceThreshold(value) {
+  const threshold = Number(value);
+  colorDistanceThreshold = value !== null && value !== undefined && isFinite(threshold) && threshold > 0
+    ? threshold : DEFAULT_COLOR_DISTANCE_THRESHOLD;
+  return colorDistanceThreshold;
+}
+
+// CIE L*a*b* of an sRGB hex color (D65 white point)
+function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  const linear = [rgb.r, rgb.g, rgb.b].map(c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+  const x = (0.4124 * linear[0] + 0.3576 * linear[1] + 0.1805 * linear[2]) / 0.95047;
+  const y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+  const z = (0.0193 * linear[0] + 0.1192 * linear[1] + 0.9505 * linear[2]) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return { l: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+// CIEDE2000 color difference between two L*a*b* colors
+function getCIEDE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2 * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hMean = h1 + h2;
+  if (cp1 * cp2 !== 0) {
+    hMean = Math.abs(h1 - h2) > 180 ? (h1 + h2 + (h1 + h2 < 360 ? 360 : -360)) / 2 : (h1 + h2) / 2;
+  }
+  const t = 1 - 0.17 * Math.cos((hMean - 30) * rad) + 0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) - 0.2 * Math.cos((4 * hMean - 63) * rad);
+  const sl = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const cpMean7 = Math.pow(cpMean, 7);
+  const rt = -2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7))) *
+    Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+
+  return Math.sqrt(
+    Math.pow(dL / sl, 2) + Math.pow(dC / sc, 2) + Math.pow(dH / sh, 2) + rt * (dC / sc) * (dH / sh)
+  );
+}
+
+// Solid paint styles a cluster can consolidate onto: the styled colors in use plus local styles
+async function getPaintStyleColors(colors) {
+  const styles = new Map();
+  for (const color of colors) {
+    if (color.styleName && !styles.has(color.styleName)) {
+      styles.set(color.styleName, { name: color.styleName, hex: color.hex });
+    }
+  }
+
+  let localStyles = [];
+  try {
+    if (typeof figma.getLocalPaintStylesAsync === 'function') {
+      localStyles = await figma.getLocalPaintStylesAsync();
+    }
+  } catch (error) {
+    // Silently handle inaccessible styles
+  }
+  for (const style of localStyles) {
+    const paints = (style.paints || []).filter(paint => paint.visible !== false);
+    if (styles.has(style.name) || paints.length !== 1 || paints[0].type !== 'SOLID') continue;
+    styles.set(style.name, { name: style.name, hex: rgbToHex(paints[0].color.r, paints[0].color.g, paints[0].color.b) });
+  }
+  return Array.from(styles.values());
+}
+
+// Group colors of the same opacity whose CIEDE2000 distance is within the threshold (chained,
+// so every member is close to at least one other). Clusters list their members most used first,
+// the largest distance inside the cluster and the paint style closest to the most used member.
+function clusterSimilarColors(colors, paintStyles, threshold) {
+  const labs = colors.map(color => hexToLab(color.hex));
+  const parents = colors.map((color, index) => index);
+  const root = (index) => (parents[index] === index ? index : (parents[index] = root(parents[index])));
+
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      if (colors[i].opacity !== colors[j].opacity) continue;
+      if (getCIEDE2000(labs[i], labs[j]) <= threshold) parents[root(j)] = root(i);
+    }
+  }
+
+  const groups = new Map();
+  colors.forEach((color, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const clusters = [];
+  for (const indexes of groups.values()) {
+    if (indexes.length < 2) continue;
+    indexes.sort((a, b) => (colors[b].usageCount || 0) - (colors[a].usageCount || 0) || colors[a].hex.localeCompare(colors[b].hex));
+
+    let maxDistance = 0;
+    indexes.forEach((a, position) => indexes.slice(position + 1).forEach(b => {
+      maxDistance = Math.max(maxDistance, getCIEDE2000(labs[a], labs[b]));
+    }));
+
+    let closestStyle = null;
+    for (const style of paintStyles) {
+      const distance = getCIEDE2000(labs[indexes[0]], hexToLab(style.hex));
+      if (!closestStyle || distance < closestStyle.distance) {
+        closestStyle = { name: style.name, hex: style.hex, distance: distance };
+      }
+    }
+
+    clusters.push({
+      members: indexes.map(index => ({
+        hex: colors[index].hex,
+        opacity: colors[index].opacity,
+        styleName: colors[index].styleName || null,
+        variableName: colors[index].variableName || null,
+        usageCount: colors[index].usageCount || 0
+      })),
+      usageCount: indexes.reduce((sum, index) => sum + (colors[index].usageCount || 0), 0),
+      maxDistance: round(maxDistance),
+      closestStyle: closestStyle ? Object.assign(closestStyle, { distance: round(closestStyle.distance) }) : null
+    });
+  }
+  return clusters.sort((a, b) => b.usageCount - a.usageCount || a.members[0].hex.localeCompare(b.members[0].hex));
+}
+
+// e.g. "#1E88E5 ×12 · #1E87E6 ×1 (ΔE 0.48) → Primary/Blue #1E88E5, ΔE 0"
+function formatColorCluster(cluster) {
+  const members = cluster.members.map(member => {
+    const opacity = member.opacity < 1 ? ` (${Math.round(member.opacity * 100)}%)` : '';
+    const source = member.styleName || member.variableName;
+    return `${member.hex}${opacity}${source ? ` ${source}` : ''} ×${member.usageCount}`;
+  }).join(' · ');
+  const style = cluster.closestStyle
+    ? `${cluster.closestStyle.name} ${cluster.closestStyle.hex}, ΔE ${cluster.closestStyle.distance}`
+    : 'no paint style';
+  return `${members} (ΔE ${cluster.maxDistance}) → ${style}`;
+}
+
+// Check a profile from the UI; resolution may be left empty, everything else is required
+function normalizeDisplayProfile(profile) {
+  const value = profile || {};
+  const name = typeof value.name === 'string' ? value.name.trim() : '';
+  if (!name) throw new Error('Display profile needs a name');
+  if (!COLOR_FORMATS[value.colorFormat]) throw new Error(`Unknown color format: ${value.colorFormat}`);
+
+  const dimension = (field) => {
+    if (value[field] === null || value[field] === undefined || value[field] === '') return null;
+    const number = Number(value[field]);
+    if (!isFinite(number) || number <= 0) throw new Error(`Invalid display ${field}: ${value[field]}`);
+    return Math.round(number);
+  };
+  const dpi = Number(value.dpi);
+  if (!isFinite(dpi) || dpi <= 0) throw new Error(`Invalid display DPI: ${value.dpi}`);
+
+  return { name: name, width: dimension('width'), height: dimension('height'), dpi: dpi, colorFormat: value.colorFormat };
+}
+
+function getDisplayProfiles() {
+  try {
+    const stored = JSON.parse(figma.root.getPluginData(DISPLAY_PROFILES_KEY) || '[]');
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch (error) {
+    // Silently fall back to the default profiles
+  }
+  return DEFAULT_DISPLAY_PROFILES.map(profile => Object.assign({}, profile));
+}
+
+// Add a profile, or replace the one with the same name
+function saveDisplayProfile(profile) {
+  const normalized = normalizeDisplayProfile(profile);
+  const profiles = getDisplayProfiles();
+  const index = profiles.findIndex(existing => existing.name === normalized.name);
+  if (index >= 0) {
+    profiles[index] = normalized;
+  } else {
+    profiles.push(normalized);
+  }
+  figma.root.setPluginData(DISPLAY_PROFILES_KEY, JSON.stringify(profiles));
+  return profiles;
+}
+
+// Remove a profile; frames that used it fall back to the first profile
+function deleteDisplayProfile(name) {
+  const profiles = getDisplayProfiles().filter(profile => profile.name !== name);
+  if (profiles.length === 0) throw new Error('The last display profile cannot be deleted');
+  figma.root.setPluginData(DISPLAY_PROFILES_KEY, JSON.stringify(profiles));
+  return profiles;
+}
+
+// Profile chosen for a frame, or the first profile when none (or a deleted one) is chosen
+function getFrameDisplayProfile(frame) {
+  const profiles = getDisplayProfiles();
+  const name = frame && frame.getPluginData ? frame.getPluginData(DISPLAY_PROFILE_KEY) : '';
+  return profiles.find(profile => profile.name === name) || profiles[0];
+}
+
+function setFrameDisplayProfile(frame, name) {
+  if (!getDisplayProfiles().some(profile => profile.name === name)) {
+    throw new Error(`Unknown display profile: ${name}`);
+  }
+  frame.setPluginData(DISPLAY_PROFILE_KEY, name);
+}
+
+// Profile used by most analyzed frames; the stylesheet export and summary are written for it
+function getPrimaryDisplayProfile(analyses) {
+  const counts = new Map();
+  for (const analysisData of analyses) {
+    const profile = analysisData.frameInfo && analysisData.frameInfo.displayProfile;
+    if (!profile) continue;
+    const entry = counts.get(profile.name) || { profile: profile, count: 0 };
+    entry.count++;
+    counts.set(profile.name, entry);
+  }
+  const ranked = Array.from(counts.values()).sort((a, b) => b.count - a.count);
+  return ranked.length > 0 ? ranked[0].profile : getDisplayProfiles()[0];
+}
+
+function pxToMm(px, dpi) {
+  return px / dpi * 25.4;
+}
+
+// e.g. "2.5 mm"
+function formatMm(px, dpi) {
+  return `${pxToMm(px, dpi).toFixed(1)} mm`;
+}
+
+// Physical size of a font on the display, e.g. " / 2.5 mm"; empty without a DPI or numeric size
+function formatFontMm(fontInfo, dpi) {
+  return dpi && typeof fontInfo.fontSize === 'number' ? ` / ${formatMm(fontInfo.fontSize, dpi)}` : '';
+}
+
+// Warning when the frame does not match the profile resolution in either orientation
+function getFrameSizeWarning(frameInfo) {
+  const profile = frameInfo.displayProfile;
+  if (!profile || !profile.width || !profile.height) return null;
+  const width = Math.round(frameInfo.width);
+  const height = Math.round(frameInfo.height);
+  const matches = (width === profile.width && height === profile.height) ||
+    (width === profile.height && height === profile.width);
+  return matches ? null : `Frame is ${width}×${height}px but ${profile.name} is ${profile.width}×${profile.height}px`;
+}
+
+// Readable names for effect types
+const EFFECT_TYPE_NAMES = {
+  DROP_SHADOW: 'Drop shadow',
+  INNER_SHADOW: 'Inner shadow',
+  LAYER_BLUR: 'Layer blur',
+  BACKGROUND_BLUR: 'Background blur'
+};
+
+// Effects are the same when type and every value match
+function getEffectKey(effect) {
+  return [effect.effectType, effect.offsetX, effect.offsetY, effect.radius, effect.spread, effect.hex, effect.opacity].join('|');
+}
+
+// Record visible shadows and blurs with their offset, radius, spread and color
+function collectEffects(nodeEffects, styleName, collectors) {
+  const { effects } = collectors;
+
+  for (const effect of nodeEffects) {
+    if (!effect || effect.visible === false || !EFFECT_TYPE_NAMES[effect.type]) continue;
+
+    const isShadow = effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW';
+    const color = isShadow && effect.color ? effect.color : null;
+    const hex = color ? rgbToHex(color.r, color.g, color.b) : null;
+    const entry = {
+      effectType: effect.type,
+      offsetX: isShadow && effect.offset ? effect.offset.x : 0,
+      offsetY: isShadow && effect.offset ? effect.offset.y : 0,
+      radius: effect.radius || 0,
+      spread: isShadow ? (effect.spread || 0) : 0,
+      hex: hex,
+      rgb565: hex ? hexToRgb565(hex) : null,
+      opacity: color ? Math.round((color.a !== undefined ? color.a : 1) * 100) / 100 : null,
+      styleName: styleName,
+      usageCount: 0
+    };
+
+    const effectKey = getEffectKey(entry);
+    if (!effects.has(effectKey)) {
+      effects.set(effectKey, entry);
+    } else if (styleName && !effects.get(effectKey).styleName) {
+      effects.get(effectKey).styleName = styleName;
+    }
+    effects.get(effectKey).usageCount++;
+  }
+}
+
+// "Drop shadow x0 y4 blur 12 spread 0 #000000 25%"
+function formatEffect(effect) {
+  const parts = [EFFECT_TYPE_NAMES[effect.effectType] || effect.effectType];
+  if (effect.hex) {
+    parts.push(`x${effect.offsetX} y${effect.offsetY} blur ${effect.radius} spread ${effect.spread}`);
+    parts.push(`${effect.hex} ${Math.round(effect.opacity * 100)}%`);
+  } else {
+    parts.push(`radius ${effect.radius}`);
+  }
+  const style = effect.styleName ? ` - ${effect.styleName}` : '';
+  const count = effect.usageCount > 1 ? ` ×${effect.usageCount}` : '';
+  return `${parts.join(' ')}${style}${count}`;
+}
+
+// Gradients are the same when type, angle and every stop match
+function getGradientKey(gradient) {
+  const stops = gradient.stops.map(stop => `${stop.hex}@${stop.position}/${stop.opacity}`).join(',');
+  return `${gradient.gradientType}|${gradient.angle}|${stops}`;
+}
+
+// Record visible gradient and image paints (fills or strokes) with their stops or image details
+async function collectGradientAndImagePaints(paints, styleId, node, type, collectors) {
+  const { gradients, images } = collectors;
+  if (!Array.isArray(paints)) return;
+
+  for (const paint of paints) {
+    if (!paint || paint.visible === false || paint.opacity === 0) continue;
+
+    if (GRADIENT_TYPE_NAMES[paint.type] && Array.isArray(paint.gradientStops)) {
+      const stops = paint.gradientStops.map(stop => {
+        const hex = rgbToHex(stop.color.r, stop.color.g, stop.color.b);
+        return {
+          position: Math.round(stop.position * 100) / 100,
+          hex: hex,
+          rgb565: hexToRgb565(hex),
+          opacity: stop.color.a !== undefined ? Math.round(stop.color.a * 100) / 100 : 1
+        };
+      });
+      const gradientType = GRADIENT_TYPE_NAMES[paint.type];
+      const angle = getGradientAngle(paint, node.width, node.height);
+      const gradientKey = getGradientKey({ gradientType: gradientType, angle: angle, stops: stops });
+
+      if (!gradients.has(gradientKey)) {
+        let styleName = null;
+        if (styleId && typeof styleId === 'string') {
+          const style = await lookupStyle(styleId, 'paint', node, collectors);
+          styleName = style ? style.name : null;
+        }
+
+        gradients.set(gradientKey, {
+          gradientType: gradientType,
+          angle: angle,
+          stops: stops,
+          opacity: paint.opacity !== undefined ? paint.opacity : 1,
+          styleName: styleName,
+          type: type,
+          usageCount: 0
+        });
+      }
+      gradients.get(gradientKey).usageCount++;
+    } else if (paint.type === 'IMAGE') {
+      // REST exports reference images by imageRef instead of imageHash
+      const imageHash = paint.imageHash || paint.imageRef || null;
+      const scaleMode = paint.scaleMode || 'FILL';
+      const imageKey = `${imageHash}|${scaleMode}`;
+
+      let styleName = null;
+      if (styleId && typeof styleId === 'string') {
+        const style = await lookupStyle(styleId, 'paint', node, collectors);
+        styleName = style ? style.name : null;
+      }
+
+      if (!images.has(imageKey)) {
+        let pixelSize = null;
+        if (imageHash && typeof figma.getImageByHash === 'function') {
+          try {
+            const image = figma.getImageByHash(imageHash);
+            pixelSize = image ? await image.getSizeAsync() : null;
+          } catch (error) {
+            // Silently handle images that can't be read
+          }
+        }
+
+        images.set(imageKey, {
+          imageHash: imageHash,
+          scaleMode: scaleMode,
+          pixelWidth: pixelSize ? pixelSize.width : null,
+          pixelHeight: pixelSize ? pixelSize.height : null,
+          width: Math.round(node.width),
+          height: Math.round(node.height),
+          styleName: styleName,
+          type: type,
+          usageCount: 0
+        });
+      } else if (styleName && !images.get(imageKey).styleName) {
+        images.get(imageKey).styleName = styleName;
+      }
+      images.get(imageKey).usageCount++;
+    }
+  }
+}
+
+// "Linear 90° | #FF0000 0xF800 0% → #0000FF 0x001F 100%"
+function formatGradient(gradient, colorFormat = 'RGB565') {
+  const angle = gradient.gradientType === 'Linear' || gradient.gradientType === 'Angular' ? ` ${gradient.angle}°` : '';
+  const stops = gradient.stops.map(stop => {
+    const opacity = stop.opacity < 1 ? ` (${Math.round(stop.opacity * 100)}%)` : '';
+    return `${stop.hex}${opacity} ${convertColor(stop.hex, colorFormat, stop.opacity)} ${Math.round(stop.position * 100)}%`;
+  }).join(' → ');
+  const style = gradient.styleName ? ` - ${gradient.styleName}` : '';
+  const count = gradient.usageCount > 1 ? ` ×${gradient.usageCount}` : '';
+  return `${gradient.gradientType}${angle} | ${stops}${style}${count}`;
+}
+
+// "a1b2c3d4 | Fill | 640×480 px image in 320×240 layer ×2"
+function formatImageFill(image) {
+  const hash = image.imageHash ? image.imageHash.slice(0, 8) : 'unknown';
+  const scaleMode = image.scaleMode.charAt(0) + image.scaleMode.slice(1).toLowerCase();
+  const pixels = image.pixelWidth ? `${image.pixelWidth}×${image.pixelHeight} px image` : 'image size unknown';
+  const count = image.usageCount > 1 ? ` ×${image.usageCount}` : '';
+  return `${hash} | ${scaleMode} | ${pixels} in ${image.width}×${image.height} layer${count}`;
+}
+
+// Convert RGB to Hex
+function rgbToHex(r, g, b) {
+  const toHex = (c) => {
+    const hex = Math.round(c * 255).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+}
+
+// Get the best available font for analysis output (generic, not project-specific)
+async function getBestAvailableFont(preferredStyle = "Regular") {
+  const availableFonts = await getAvailableFonts();
+
+  // Look for a font with the preferred style
+  const fontWithStyle = availableFonts.find(font =>
+    font.style.toLowerCase().includes(preferredStyle.toLowerCase())
+  );
+
+  if (fontWithStyle) {
+    return fontWithStyle;
+  }
+
+  // Fallback to first available font
+  return availableFonts[0] || { family: "Arial", style: "Regular" };
+}
+
+// Helper functions for common font styles (completely generic)
+async function getAnalysisTitleFont() {
+  try {
+    const availableFonts = await getAvailableFonts();
     // Look for any Bold font in the document
     const boldFont = availableFonts.find(font =>
       font.style.toLowerCase().includes('bold')
@@ -955,7 +2819,7 @@ async function createAnalysisFrame(originalFrame, analysisData) {
       throw new Error('Analysis data is missing');
     }
     // Check if an analysis frame already exists for this original frame
-    const existingAnalysisFrame = findExistingAnalysisFrame(originalFrame);
+    const existingAnalysisFrame = await findExistingAnalysisFrame(originalFrame);
 
     let analysisFrame;
     let wasUpdated = false;
@@ -1042,12 +2906,26 @@ async function createAnalysisFrame(originalFrame, analysisData) {
     const subtitleFont = await loadFontSafely(await getBestAvailableFont("Regular"));
     subtitle.fontName = subtitleFont;
     subtitle.fontSize = 14;
-    subtitle.characters = `${analysisData.frameInfo.elementCount} elements`;
+    const frameInfo = analysisData.frameInfo;
+    const displayProfile = frameInfo.displayProfile || getDisplayProfiles()[0];
+    subtitle.characters = `${frameInfo.elementCount} elements · ${displayProfile.name}: ` +
+      `${formatMm(frameInfo.width, displayProfile.dpi)} × ${formatMm(frameInfo.height, displayProfile.dpi)} at ${displayProfile.dpi} dpi, ${displayProfile.colorFormat}`;
     subtitle.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
     analysisFrame.appendChild(subtitle);
 
+    // Warn when the frame was drawn for a different resolution than its display profile
+    const sizeWarning = getFrameSizeWarning(frameInfo);
+    if (sizeWarning) {
+      const warningText = figma.createText();
+      warningText.fontName = subtitleFont;
+      warningText.fontSize = 14;
+      warningText.characters = `⚠ ${sizeWarning}`;
+      warningText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
+      analysisFrame.appendChild(warningText);
+    }
+
     // Add visual reference of the analyzed frame
-    await addFrameReference(analysisFrame, originalFrame);
+    await addFrameReference(analysisFrame, originalFrame, analysisData.touchTargets);
 
   // Add components section
   if (analysisData.components.length > 0) {
@@ -1069,19 +2947,69 @@ async function createAnalysisFrame(originalFrame, analysisData) {
     await addComponentSection(analysisFrame, "Icons Used", analysisData.icons);
   }
 
+  // Add possibly detached instances, linked to the offending layers
+  if (analysisData.detached && analysisData.detached.length > 0) {
+    await addDetachedSection(analysisFrame, `Possibly Detached (${analysisData.detached.length})`, analysisData.detached);
+  }
+
   // Add combined fonts and text styles section
   if (analysisData.fonts.length > 0 || analysisData.textStyles.length > 0) {
-    await addCombinedFontSection(analysisFrame, "Fonts & Text Styles", analysisData.fonts, analysisData.textStyles);
+    await addCombinedFontSection(analysisFrame, "Fonts & Text Styles", analysisData.fonts, analysisData.textStyles, displayProfile.dpi);
   }
 
   // Add combined colors and color styles section
   if (analysisData.colors.length > 0 || analysisData.colorStyles.length > 0) {
-    await addCombinedColorSection(analysisFrame, "Colors & Styles", analysisData.colors);
+    await addCombinedColorSection(analysisFrame, "Colors & Styles", analysisData.colors, displayProfile.colorFormat);
+  }
+  if (analysisData.colors.length > 1) {
+    await addColorConsolidationSection(analysisFrame, "Color Consolidation", analysisData.colorClusters || []);
+  }
+
+  // Add gradient and image fill sections
+  if (analysisData.gradients && analysisData.gradients.length > 0) {
+    await addGradientSection(analysisFrame, "Gradients", analysisData.gradients, displayProfile.colorFormat);
+  }
+  if (analysisData.images && analysisData.images.length > 0) {
+    await addImageFillSection(analysisFrame, "Image Fills", analysisData.images);
+  }
+
+  // Colors the display merges or bands at its color depth
+  if (analysisData.colors.length > 0 || (analysisData.gradients && analysisData.gradients.length > 0)) {
+    await addQuantizationSection(analysisFrame, buildQuantizationReport(analysisData.colors, analysisData.gradients, displayProfile.colorFormat));
+  }
+
+  // Add shape token sections
+  if (analysisData.radii && analysisData.radii.length > 0) {
+    await addSection(analysisFrame, "Corner Radii", analysisData.radii.map(formatRadius));
+  }
+  if (analysisData.borders && analysisData.borders.length > 0) {
+    await addSection(analysisFrame, "Strokes", analysisData.borders.map(formatBorder));
+  }
+  if (analysisData.spacing && analysisData.spacing.length > 0) {
+    await addSpacingSection(analysisFrame, "Spacing", analysisData.spacing);
+  }
+
+  // Add effect styles section with every shadow and blur
+  if (analysisData.effectStyles.length > 0 || (analysisData.effects && analysisData.effects.length > 0)) {
+    await addEffectSection(analysisFrame, "Effect Styles", analysisData.effects || [], analysisData.effectStyles);
+  }
+
+  // Add design system variables section
+  if (analysisData.variables && analysisData.variables.length > 0) {
+    await addSection(analysisFrame, "Variables", analysisData.variables.map(formatVariableUsage));
+  }
+
+  // Add components and styles by source, broken references included
+  await addSourcesSection(analysisFrame, "Sources", groupBySource(analysisData));
+
+  // Add text contrast issues, linked to the layers
+  if (analysisData.accessibility && analysisData.accessibility.checkedCount > 0) {
+    await addAccessibilitySection(analysisFrame, "Accessibility", analysisData.accessibility);
   }
 
-  // Add effect styles section
-  if (analysisData.effectStyles.length > 0) {
-    await addSection(analysisFrame, "Effect Styles", analysisData.effectStyles);
+  // Add undersized and crowded touch targets, linked to the layers
+  if (analysisData.touchTargets && analysisData.touchTargets.checkedCount > 0) {
+    await addTouchTargetSection(analysisFrame, "Touch Targets", analysisData.touchTargets);
   }
 
   // Add summary section
@@ -1095,6 +3023,9 @@ async function createAnalysisFrame(originalFrame, analysisData) {
       analysisPage.appendChild(analysisFrame);
     }
 
+    // Link source and analysis frames by node ID (also upgrades legacy name-matched frames)
+    linkAnalysisFrame(originalFrame, analysisFrame);
+
     // Switch to the analysis page and select the analysis frame
     const analysisPage = findOrCreateAnalysisPage();
     figma.currentPage = analysisPage;
@@ -1109,20 +3040,84 @@ async function createAnalysisFrame(originalFrame, analysisData) {
   }
 }
 
-// Find existing analysis frame for the given original frame on the analysis page
-function findExistingAnalysisFrame(originalFrame) {
-  const expectedAnalysisName = `Analysis: ${originalFrame.name}`;
+// Plugin data keys linking a source frame and its analysis frame in both directions
+const SOURCE_FRAME_KEY = 'sourceFrameId';     // Stored on the analysis frame
+const ANALYSIS_FRAME_KEY = 'analysisFrameId'; // Stored on the source frame
+
+// Check whether a node is an analysis frame, i.e. linked to its source frame by ID
+function isAnalysisFrame(node) {
+  return !!node && node.type === 'FRAME' && !!node.getPluginData(SOURCE_FRAME_KEY);
+}
+
+// Unlinked frame named "Analysis: ..." from before ID links existed; only migration looks for these
+function isLegacyAnalysisFrame(node) {
+  return !!node && node.type === 'FRAME' && !node.getPluginData(SOURCE_FRAME_KEY) &&
+    !!node.name && node.name.startsWith('Analysis: ');
+}
+
+// Link a source frame and its analysis frame via plugin data on both nodes
+function linkAnalysisFrame(originalFrame, analysisFrame) {
+  try {
+    analysisFrame.setPluginData(SOURCE_FRAME_KEY, originalFrame.id);
+    originalFrame.setPluginData(ANALYSIS_FRAME_KEY, analysisFrame.id);
+  } catch (error) {
+    console.warn('Failed to link analysis frame:', error);
+  }
+}
+
+// Return the node if it is an analysis frame on the analysis page that belongs to the given source
+function getLinkedAnalysisFrame(nodeId, sourceFrameId, analysisPage) {
+  if (!nodeId) return null;
+  try {
+    const node = figma.getNodeById(nodeId);
+    if (!node || node.type !== 'FRAME') return null;
+    const page = getNodePage(node);
+    if (!page || page.id !== analysisPage.id) return null;
+
+    const linkedSourceId = node.getPluginData(SOURCE_FRAME_KEY);
+    // Unlinked (legacy) frames are accepted; linked ones must point back at this source
+    if (linkedSourceId && linkedSourceId !== sourceFrameId) return null;
+    if (!linkedSourceId && !isLegacyAnalysisFrame(node)) return null;
+    return node;
+  } catch (error) {
+    return null;
+  }
+}
 
+// Find existing analysis frame for the given original frame on the analysis page
+async function findExistingAnalysisFrame(originalFrame) {
   // Get or create the analysis page
   const analysisPage = findOrCreateAnalysisPage();
 
+  // 1) Follow the link stored on the source frame. The back-link check stops a duplicated
+  //    source frame (which copies plugin data) from claiming the original's analysis.
+  const linkedFrame = getLinkedAnalysisFrame(originalFrame.getPluginData(ANALYSIS_FRAME_KEY), originalFrame.id, analysisPage);
+  if (linkedFrame && linkedFrame.getPluginData(SOURCE_FRAME_KEY) === originalFrame.id) {
+    return linkedFrame;
+  }
+
   // Search through all frames on the analysis page
   const allFrames = analysisPage.findAll(node => node.type === 'FRAME');
 
+  // 2) Any analysis frame that links back to this source
+  const backLinked = allFrames.find(frame => frame.getPluginData(SOURCE_FRAME_KEY) === originalFrame.id);
+  if (backLinked) {
+    return backLinked;
+  }
+
+  // 3) Migration: the frame history recorded the analysis frame ID before links existed
+  const framesList = await getAnalyzedFramesList();
+  const historyEntry = framesList[originalFrame.id];
+  const historyFrame = historyEntry ? getLinkedAnalysisFrame(historyEntry.analysisFrameId, originalFrame.id, analysisPage) : null;
+  if (historyFrame) {
+    return historyFrame;
+  }
+
+  // 4) Migration: legacy unlinked frame named "Analysis: <name>" or "Analysis: <name> (hh:mm)"
+  const expectedAnalysisName = `Analysis: ${originalFrame.name}`;
   for (const frame of allFrames) {
-    // Check if frame name starts with the expected analysis name (ignoring timestamp)
-    if (frame.name.startsWith(expectedAnalysisName)) {
-      // Found a matching analysis frame - return it for replacement
+    if (!isLegacyAnalysisFrame(frame)) continue; // Linked frames already belong to another source
+    if (frame.name === expectedAnalysisName || frame.name.startsWith(`${expectedAnalysisName} (`)) {
       return frame;
     }
   }
@@ -1157,8 +3152,7 @@ function findOrCreateAnalysisPage() {
 function findBestAnalysisPosition(analysisPage) {
   // Get all existing analysis frames on the analysis page (excluding summary)
   const analysisFrames = analysisPage.findAll(node =>
-    node.type === 'FRAME' &&
-    node.name.startsWith('Analysis: ') &&
+    isAnalysisFrame(node) &&
     node.name !== 'Summary Analysis'
   );
 
@@ -1191,7 +3185,7 @@ function findBestAnalysisPosition(analysisPage) {
 }
 
 // Add a visual reference of the analyzed frame
-async function addFrameReference(analysisFrame, originalFrame) {
+async function addFrameReference(analysisFrame, originalFrame, touchTargets = null) {
   // Create a container frame for the visual reference section
   const referenceContainer = figma.createFrame();
   referenceContainer.name = "Visual Reference";
@@ -1221,19 +3215,49 @@ async function addFrameReference(analysisFrame, originalFrame) {
   refRect.resize(targetWidth, targetHeight);
   refRect.fills = [{ type: 'IMAGE', imageHash: image.hash, scaleMode: 'FIT' }];
 
-  // Keep the reference from stretching in parent auto layout
-  if ('layoutAlign' in refRect) refRect.layoutAlign = 'INHERIT';
-  if ('layoutGrow' in refRect) refRect.layoutGrow = 0;
-  if ('layoutSizingHorizontal' in refRect) refRect.layoutSizingHorizontal = 'FIXED';
-  if ('layoutSizingVertical' in refRect) refRect.layoutSizingVertical = 'FIXED';
-
   // Add a subtle border around the reference
   refRect.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }];
   refRect.strokeWeight = 1;
   refRect.cornerRadius = 4;
 
+  // Outline touch target findings in red over the snapshot (a frame without auto layout keeps
+  // the outlines where the targets are)
+  let reference = refRect;
+  const flagged = new Map();
+  if (touchTargets) {
+    touchTargets.undersized.forEach(target => flagged.set(target.nodeId, target));
+    touchTargets.tooClose.forEach(pair => {
+      flagged.set(pair.first.nodeId, pair.first);
+      flagged.set(pair.second.nodeId, pair.second);
+    });
+  }
+  if (flagged.size > 0) {
+    reference = figma.createFrame();
+    reference.name = 'Reference';
+    reference.resize(targetWidth, targetHeight);
+    reference.fills = [];
+    reference.appendChild(refRect);
+    for (const target of flagged.values()) {
+      const outline = figma.createRectangle();
+      outline.name = `Touch target: ${target.name}`;
+      outline.x = target.x;
+      outline.y = target.y;
+      outline.resize(Math.max(target.width, 1), Math.max(target.height, 1));
+      outline.fills = [];
+      outline.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.1, b: 0.1 } }];
+      outline.strokeWeight = 2;
+      reference.appendChild(outline);
+    }
+  }
+
+  // Keep the reference from stretching in parent auto layout
+  if ('layoutAlign' in reference) reference.layoutAlign = 'INHERIT';
+  if ('layoutGrow' in reference) reference.layoutGrow = 0;
+  if ('layoutSizingHorizontal' in reference) reference.layoutSizingHorizontal = 'FIXED';
+  if ('layoutSizingVertical' in reference) reference.layoutSizingVertical = 'FIXED';
+
   // Add to the reference container
-  referenceContainer.appendChild(refRect);
+  referenceContainer.appendChild(reference);
 
   // Add a size indicator
   const sizeLabel = figma.createText();
@@ -1291,6 +3315,103 @@ async function createOrUpdateSummaryAnalysis() {
 
   // Populate summary content
   await populateSummaryContent(summaryFrame, summaryData);
+
+  // Component-by-screen matrix next to the summary
+  await createOrUpdateComponentMatrix(analysisPage, summaryFrame);
+}
+
+// Create or refresh the "Component Matrix" frame to the left of the Summary Analysis
+async function createOrUpdateComponentMatrix(analysisPage, summaryFrame) {
+  const matrix = await buildComponentMatrix();
+  let matrixFrame = analysisPage.findAll(node => node.type === 'FRAME' && node.name === 'Component Matrix')[0];
+
+  if (matrix.rows.length === 0) {
+    if (matrixFrame) matrixFrame.remove();
+    return null;
+  }
+
+  if (matrixFrame) {
+    matrixFrame.children.forEach(child => child.remove());
+  } else {
+    matrixFrame = figma.createFrame();
+    matrixFrame.name = 'Component Matrix';
+    analysisPage.appendChild(matrixFrame);
+  }
+
+  matrixFrame.layoutMode = 'VERTICAL';
+  matrixFrame.primaryAxisSizingMode = 'AUTO';
+  matrixFrame.counterAxisSizingMode = 'AUTO';
+  matrixFrame.itemSpacing = 0;
+  matrixFrame.paddingTop = 60;
+  matrixFrame.paddingBottom = 60;
+  matrixFrame.paddingLeft = 60;
+  matrixFrame.paddingRight = 60;
+  matrixFrame.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+  matrixFrame.cornerRadius = 12;
+
+  // Title
+  const title = figma.createText();
+  title.fontName = await loadFontSafely(await getBestAvailableFont("Bold"));
+  title.fontSize = 32;
+  title.characters = 'Component Matrix';
+  title.fills = [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 } }];
+  matrixFrame.appendChild(title);
+
+  const subtitle = figma.createText();
+  subtitle.fontName = await loadFontSafely(await getBestAvailableFont("Regular"));
+  subtitle.fontSize = 14;
+  subtitle.characters = `${matrix.rows.length} variants × ${matrix.screens.length} screens (instance counts)`;
+  subtitle.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+  matrixFrame.appendChild(subtitle);
+
+  // Header row, then one row per variant with alternating backgrounds
+  await addMatrixRow(matrixFrame, ['Component'].concat(matrix.screens.map(screen => screen.name), ['Total']), { header: true });
+  for (let i = 0; i < matrix.rows.length; i++) {
+    const row = matrix.rows[i];
+    const label = `${row.isIcon ? 'Icon · ' : ''}${row.masterName}${row.variantName ? ` (${row.variantName})` : ''}`;
+    await addMatrixRow(matrixFrame, [label].concat(row.counts, [row.total]), { striped: i % 2 === 1 });
+  }
+
+  // Keep the matrix to the left of the summary so it never overlaps the analysis frames
+  matrixFrame.x = summaryFrame.x - matrixFrame.width - 100;
+  matrixFrame.y = summaryFrame.y;
+
+  return matrixFrame;
+}
+
+// Add one matrix row: a wide label cell, then fixed-width count cells (zero counts greyed out);
+// options.columnWidth gives every cell the same width instead
+async function addMatrixRow(matrixFrame, values, options = {}) {
+  const row = figma.createFrame();
+  row.name = options.header ? 'Header' : values[0];
+  row.layoutMode = 'HORIZONTAL';
+  row.primaryAxisSizingMode = 'AUTO';
+  row.counterAxisSizingMode = 'AUTO';
+  row.fills = options.striped ? [{ type: 'SOLID', color: { r: 0.96, g: 0.96, b: 0.96 } }] : [];
+
+  for (let i = 0; i < values.length; i++) {
+    const cell = figma.createFrame();
+    cell.layoutMode = 'HORIZONTAL';
+    cell.primaryAxisSizingMode = 'FIXED';
+    cell.counterAxisSizingMode = 'AUTO';
+    cell.paddingTop = 6;
+    cell.paddingBottom = 6;
+    cell.paddingLeft = 8;
+    cell.paddingRight = 8;
+    cell.fills = [];
+    cell.resize(options.columnWidth || (i === 0 ? 280 : 96), cell.height);
+
+    const value = values[i];
+    const cellText = figma.createText();
+    cellText.fontName = await loadFontSafely({ family: "Inter", style: options.header || i === values.length - 1 ? "Bold" : "Regular" });
+    cellText.fontSize = 12;
+    cellText.characters = value === 0 ? '–' : String(value);
+    cellText.fills = [{ type: 'SOLID', color: value === 0 ? { r: 0.7, g: 0.7, b: 0.7 } : { r: 0.2, g: 0.2, b: 0.2 } }];
+    cell.appendChild(cellText);
+    row.appendChild(cell);
+  }
+
+  matrixFrame.appendChild(row);
 }
 
 // Store analysis data globally to avoid re-analysis
@@ -1330,6 +3451,7 @@ async function saveAnalyzedFrame(frameId, frameData) {
       lastAnalyzed: new Date().toISOString(),
       elementCount: frameData.elementCount,
       analysisFrameId: frameData.analysisFrameId,
+      displayProfile: frameData.displayProfile,
       exists: true
     };
 
@@ -1361,7 +3483,12 @@ async function cleanupAnalyzedFrames() {
       try {
         const frame = figma.getNodeById(frameId);
         if (frame && (frame.type === 'FRAME' || frame.type === 'COMPONENT')) {
-          updatedFramesList[frameId] = Object.assign({}, frameData, { exists: true });
+          // Upgrade frames analysed before ID links existed, so the filtered list keeps them
+          migrateAnalysisFrameLink(frame, frameData);
+
+          // Keep the listed name in step with renamed source frames
+          if (frameData.name !== frame.name) hasChanges = true;
+          updatedFramesList[frameId] = Object.assign({}, frameData, { exists: true, name: frame.name });
         } else {
           hasChanges = true; // Frame no longer exists, remove it
         }
@@ -1411,8 +3538,9 @@ async function getFilteredAnalyzedFramesList() {
       if (!data || !data.analysisFrameId) continue;
       try {
         const analysisNode = figma.getNodeById(data.analysisFrameId);
-        if (!analysisNode || analysisNode.type !== 'FRAME') continue;
-        if (!analysisNode.name || !analysisNode.name.startsWith('Analysis:')) continue;
+        if (!isAnalysisFrame(analysisNode)) continue;
+        const linkedSourceId = analysisNode.getPluginData(SOURCE_FRAME_KEY);
+        if (linkedSourceId && linkedSourceId !== frameId) continue;
         const page = getNodePage(analysisNode);
         if (!page || page.name !== 'Frames Analysed') continue;
         filtered[frameId] = data;
@@ -1609,9 +3737,10 @@ function normalizeComponentIconClassification(analysisData) {
 }
 
 
-function storeAnalysisData(frameName, analysisData) {
-  globalAnalysisData.set(frameName, analysisData);
-  console.log(`Stored analysis data for: ${frameName}`);
+// Cache analysis data keyed by source frame ID (names are not unique and can change)
+function storeAnalysisData(frameId, analysisData) {
+  globalAnalysisData.set(frameId, analysisData);
+  console.log(`Stored analysis data for: ${analysisData.frameInfo ? analysisData.frameInfo.name : frameId} (${frameId})`);
   console.log(`Components: ${analysisData.components ? analysisData.components.length : 0}`);
   console.log(`Fonts: ${analysisData.fonts ? analysisData.fonts.length : 0}`);
   console.log(`Colors: ${analysisData.colors ? analysisData.colors.length : 0}`);
@@ -1622,94 +3751,643 @@ function storeAnalysisData(frameName, analysisData) {
   }
 }
 
+// Persisted analysis results (plugin data on each source frame, survives plugin restarts)
+const ANALYSIS_DATA_KEY = 'analysisData';
+const ANALYSIS_DATA_VERSION = 1;
+const ANALYSIS_DATA_MAX_BYTES = 90000; // Figma caps plugin data at 100kB per entry
+
+// Size of a string in UTF-8 bytes, as Figma counts the plugin data limit (the plugin sandbox
+// may not have TextEncoder)
+function getUtf8ByteLength(text) {
+  return unescape(encodeURIComponent(text)).length;
+}
+
+// Drop the fields analyzeFrame() derives so the stored payload stays compact; pass
+// includeNodeIds = false to also drop the where-used node IDs
+function compactAnalysisData(analysisData, includeNodeIds = true) {
+  const omit = (entry, keys) => {
+    const copy = Object.assign({}, entry);
+    keys.concat(includeNodeIds ? [] : ['nodeIds']).forEach(key => delete copy[key]);
+    return copy;
+  };
+
+  return {
+    components: (analysisData.components || []).map(c => omit(c, ['fullName', 'variantProperties'])),
+    icons: (analysisData.icons || []).map(c => omit(c, ['fullName', 'variantProperties'])),
+    fonts: (analysisData.fonts || []).map(f => omit(f, ['fontKey', 'displayString', 'hasStyle'])),
+    colors: (analysisData.colors || []).map(c => omit(c, ['rgb565', 'displayHex'])),
+    colorStyles: analysisData.colorStyles || [],
+    textStyles: analysisData.textStyles || [],
+    effectStyles: analysisData.effectStyles || [],
+    variables: analysisData.variables || [],
+    gradients: analysisData.gradients || [],
+    images: analysisData.images || [],
+    effects: analysisData.effects || [],
+    radii: analysisData.radii || [],
+    borders: analysisData.borders || [],
+    spacing: analysisData.spacing || [],
+    detached: analysisData.detached || [],
+    accessibility: analysisData.accessibility || { checkedCount: 0, issues: [] },
+    touchTargets: analysisData.touchTargets || null,
+    colorClusters: analysisData.colorClusters || [],
+    styleSources: analysisData.styleSources || [],
+    missingComponents: analysisData.missingComponents || [],
+    missingStyles: analysisData.missingStyles || [],
+    frameInfo: analysisData.frameInfo
+  };
+}
+
+// Rebuild a full analyzeFrame() result from its compact stored form
+function expandAnalysisData(compact) {
+  const withFullName = (c) => Object.assign({}, c, {
+    fullName: c.isVariant ? c.variantName : c.masterName,
+    variantProperties: c.isVariant ? parseVariantProperties(c.variantName) : null
+  });
+
+  return {
+    components: (compact.components || []).map(withFullName),
+    icons: (compact.icons || []).map(withFullName),
+    fonts: (compact.fonts || []).map(f => buildFontEntry(getFontKey(f), f)),
+    colors: (compact.colors || []).map(buildColorEntry),
+    colorStyles: compact.colorStyles || [],
+    textStyles: compact.textStyles || [],
+    effectStyles: compact.effectStyles || [],
+    variables: compact.variables || [],
+    gradients: compact.gradients || [],
+    images: compact.images || [],
+    effects: compact.effects || [],
+    radii: compact.radii || [],
+    borders: compact.borders || [],
+    spacing: compact.spacing || [],
+    detached: compact.detached || [],
+    accessibility: compact.accessibility || { checkedCount: 0, issues: [] },
+    touchTargets: compact.touchTargets || null,
+    colorClusters: compact.colorClusters || [],
+    styleSources: compact.styleSources || [],
+    missingComponents: compact.missingComponents || [],
+    missingStyles: compact.missingStyles || [],
+    frameInfo: compact.frameInfo
+  };
+}
+
+// Save an analysis result on its source frame so later sessions (and other users) can reuse it
+function persistAnalysisData(sourceFrame, analysisData) {
+  try {
+    const serialize = (includeNodeIds) => JSON.stringify({
+      version: ANALYSIS_DATA_VERSION,
+      savedAt: new Date().toISOString(),
+      data: compactAnalysisData(analysisData, includeNodeIds)
+    });
+
+    // Busy screens may only fit without the where-used node IDs (re-analysing restores them)
+    let payload = serialize(true);
+    if (getUtf8ByteLength(payload) > ANALYSIS_DATA_MAX_BYTES) {
+      payload = serialize(false);
+    }
+
+    const size = getUtf8ByteLength(payload);
+    if (size > ANALYSIS_DATA_MAX_BYTES) {
+      console.warn(`Analysis data for ${sourceFrame.name} is too large to persist (${size} bytes)`);
+      sourceFrame.setPluginData(ANALYSIS_DATA_KEY, '');
+      return false;
+    }
+
+    sourceFrame.setPluginData(ANALYSIS_DATA_KEY, payload);
+    return true;
+  } catch (error) {
+    console.warn('Failed to persist analysis data:', error);
+    return false;
+  }
+}
+
+// Read a persisted analysis result from a source frame (null when missing or from another version)
+function readPersistedAnalysisData(sourceFrame) {
+  try {
+    const raw = sourceFrame.getPluginData(ANALYSIS_DATA_KEY);
+    if (!raw) return null;
+
+    const stored = JSON.parse(raw);
+    if (!stored || stored.version !== ANALYSIS_DATA_VERSION || !stored.data) {
+      return null; // Stale format - the frame needs re-analysis
+    }
+
+    // Duplicated frames copy plugin data; only trust results recorded for this node
+    const storedFrameId = stored.data.frameInfo && stored.data.frameInfo.id;
+    if (storedFrameId && storedFrameId !== sourceFrame.id) {
+      return null;
+    }
+
+    return expandAnalysisData(stored.data);
+  } catch (error) {
+    console.warn('Failed to read persisted analysis data:', error);
+    return null;
+  }
+}
+
+// Load persisted results for every frame in the analysis history into the in-memory cache
+async function loadPersistedAnalysisData() {
+  const framesList = await getAnalyzedFramesList();
+  let restored = 0;
+
+  // Upgrade frames analysed before ID links existed, using the IDs recorded in the history
+  for (const [frameId, frameData] of Object.entries(framesList)) {
+    try {
+      const frame = figma.getNodeById(frameId);
+      if (frame) migrateAnalysisFrameLink(frame, frameData);
+    } catch (error) {
+      // Frame no longer accessible - skip it
+    }
+  }
+
+  // Only frames whose analysis is still on the "Frames Analysed" page come back, so deleted
+  // analyses stay out of the summary and export
+  const historyFrames = await getFilteredAnalyzedFramesList();
+  for (const frameId of Object.keys(historyFrames)) {
+    try {
+      const frame = figma.getNodeById(frameId);
+      if (!frame || (frame.type !== 'FRAME' && frame.type !== 'COMPONENT')) continue;
+
+      const analysisData = readPersistedAnalysisData(frame);
+      if (!analysisData || !analysisData.frameInfo) continue;
+
+      // Results from this session take precedence over stored ones
+      if (!globalAnalysisData.has(frameId)) {
+        analysisData.frameInfo.id = frameId;
+        globalAnalysisData.set(frameId, normalizeComponentIconClassification(analysisData));
+        restored++;
+      }
+    } catch (error) {
+      // Frame no longer accessible - skip it
+    }
+  }
+
+  console.log(`Restored persisted analysis data for ${restored} frames`);
+  return restored;
+}
+
+// Link a history entry's source and analysis frames if neither side is linked yet
+function migrateAnalysisFrameLink(sourceFrame, frameData) {
+  if (!frameData || !frameData.analysisFrameId || sourceFrame.getPluginData(ANALYSIS_FRAME_KEY)) return;
+
+  try {
+    const analysisNode = figma.getNodeById(frameData.analysisFrameId);
+    if (isLegacyAnalysisFrame(analysisNode)) {
+      linkAnalysisFrame(sourceFrame, analysisNode);
+      console.log(`Linked legacy analysis frame for: ${sourceFrame.name}`);
+    }
+  } catch (error) {
+    // Analysis frame no longer exists - nothing to migrate
+  }
+}
+
+// Load persisted results once per session (shared by startup, summary and export)
+let persistedAnalysisPromise = null;
+function ensurePersistedAnalysisLoaded() {
+  if (!persistedAnalysisPromise) {
+    persistedAnalysisPromise = loadPersistedAnalysisData().catch(error => {
+      console.warn('Failed to load persisted analysis data:', error);
+      return 0;
+    });
+  }
+  return persistedAnalysisPromise;
+}
+
 
 
 // Collect aggregated data from stored analysis data
 async function collectSummaryData() {
-  // Skip cache population - use direct aggregation from analysis frames instead
+  // Make sure results persisted by earlier sessions are in the cache
+  await ensurePersistedAnalysisLoaded();
+
+  // Get analysis frames from the analysis page
+  const analysisPage = findOrCreateAnalysisPage();
+  const analysisFrames = analysisPage.findAll(node => isAnalysisFrame(node));
+  const frameCount = analysisFrames.length;
+
+  console.log(`Collecting summary data from ${globalAnalysisData.size} stored analyses`);
+  console.log(`Found ${frameCount} analysis frames on analysis page`);
+  console.log(`Performance optimization: Using cached data instead of re-analyzing all frames`);
+
+  // Use existing cached data only (no re-analysis or extraction needed!)
+  console.log('Using existing cached analysis data for summary generation...');
+  console.log(`Available cached data for ${globalAnalysisData.size} frames`);
+
+  // Summary of data usage
+  console.log(`Summary generation complete: Using data from ${globalAnalysisData.size} frames`);
+
+  const analyses = Array.from(globalAnalysisData.values());
+  const result = Object.assign({ frameCount: frameCount }, aggregateAnalysisResults(analyses));
+  result.unused = await collectUnusedLibraryItems(analyses);
+  result.displayProfile = getPrimaryDisplayProfile(analyses);
+  result.quantization = buildQuantizationReport(result.colors, result.gradients, result.displayProfile.colorFormat);
+  result.colorClusters = clusterSimilarColors(result.colors, await getPaintStyleColors(result.colors), colorDistanceThreshold);
+
+  console.log(`Summary result: ${result.totalComponents} components, ${result.totalIcons} icons, ${result.totalFonts} fonts, ${result.totalColors} colors`);
+  console.log('Summary colors:', result.colors.map(c => c.hex || c).join(', '));
+
+  return result;
+}
+
+// Aggregate analyzeFrame() results from several frames into document-wide inventories
+function aggregateAnalysisResults(analyses) {
+  const aggregatedComponents = new Map();
+  const aggregatedIcons = new Map();
+  const aggregatedFonts = new Map();
+  const aggregatedColors = new Map();
+  const aggregatedVariables = new Map();
+  const aggregatedGradients = new Map();
+  const aggregatedImages = new Map();
+  const aggregatedEffects = new Map();
+  const aggregatedEffectStyles = new Set();
+  const aggregatedStyleSources = new Map();
+  const aggregatedMissingComponents = new Map();
+  const aggregatedMissingStyles = new Map();
+  const accessibility = { checkedCount: 0, issues: [] };
+
+  for (const analysisData of analyses) {
+    const normalized = normalizeComponentIconClassification({
+      components: analysisData.components || [],
+      icons: analysisData.icons || []
+    });
+
+    // Aggregate components and icons (unique by master name + variant name), adding up
+    // instance counts, the frames they appear in and the layers using them
+    const addInstances = (aggregated, comp) => {
+      const key = comp.isVariant ? `${comp.masterName}:${comp.variantName}` : comp.masterName;
+      if (!aggregated.has(key)) aggregated.set(key, Object.assign({}, comp, { instanceCount: 0, frameCount: 0, nodeIds: [] }));
+      const existing = aggregated.get(key);
+      existing.instanceCount += comp.instanceCount || 1;
+      existing.frameCount++;
+      existing.nodeIds = existing.nodeIds.concat(comp.nodeIds || []);
+    };
+    (normalized.components || []).forEach(comp => addInstances(aggregatedComponents, comp));
+    (normalized.icons || []).forEach(icon => addInstances(aggregatedIcons, icon));
+
+    // Fonts and colors: usage counts and frame counts add up across frames; a style or variable
+    // found on any frame applies to the aggregated entry (results saved before counts count once)
+    const addFrameUsage = (aggregated, key, entry, fields) => {
+      if (!aggregated.has(key)) aggregated.set(key, Object.assign({}, entry, { usageCount: 0, frameCount: 0, nodeIds: [] }));
+      const existing = aggregated.get(key);
+      existing.usageCount += entry.usageCount || 1;
+      existing.frameCount++;
+      existing.nodeIds = existing.nodeIds.concat(entry.nodeIds || []);
+      fields.forEach(field => {
+        if (entry[field] && !existing[field]) existing[field] = entry[field];
+      });
+    };
+    (analysisData.fonts || []).forEach(f => {
+      addFrameUsage(aggregatedFonts, f.fontKey || getFontKey(f), f, ['styleName', 'variables']);
+    });
+    (analysisData.colors || []).forEach(c => {
+      addFrameUsage(aggregatedColors, getColorKey(c.hex, c.opacity), c,
+        ['styleName', 'variableId', 'variableName', 'variableCollection']);
+    });
+
+    // Variables (usage counts and bound properties add up across frames)
+    if (analysisData.variables) {
+      for (const v of analysisData.variables) {
+        if (!aggregatedVariables.has(v.id)) {
+          aggregatedVariables.set(v.id, Object.assign({}, v, { properties: v.properties.slice(), usageCount: 0 }));
+        }
+        const existing = aggregatedVariables.get(v.id);
+        existing.usageCount += v.usageCount || 0;
+        v.properties.forEach(property => {
+          if (!existing.properties.includes(property)) existing.properties.push(property);
+        });
+      }
+    }
+
+    // Gradients and image fills (usage counts add up across frames)
+    const addUsage = (aggregated, key, entry) => {
+      if (!aggregated.has(key)) aggregated.set(key, Object.assign({}, entry, { usageCount: 0 }));
+      aggregated.get(key).usageCount += entry.usageCount || 1;
+    };
+    (analysisData.gradients || []).forEach(g => {
+      addUsage(aggregatedGradients, getGradientKey(g), g);
+    });
+    (analysisData.images || []).forEach(image => {
+      addUsage(aggregatedImages, `${image.imageHash}|${image.scaleMode}`, image);
+    });
+
+    // Effects (raw shadows and blurs) and effect style names
+    (analysisData.effects || []).forEach(effect => {
+      addUsage(aggregatedEffects, getEffectKey(effect), effect);
+    });
+    (analysisData.effectStyles || []).forEach(name => aggregatedEffectStyles.add(name));
+
+    // Style sources, and broken component and style references with the layers using them
+    (analysisData.styleSources || []).forEach(style => {
+      const key = `${style.type}|${style.name}`;
+      if (!aggregatedStyleSources.has(key)) aggregatedStyleSources.set(key, style);
+    });
+    (analysisData.missingComponents || []).forEach(missing => {
+      if (!aggregatedMissingComponents.has(missing.name)) {
+        aggregatedMissingComponents.set(missing.name, Object.assign({}, missing, { instanceCount: 0, nodeIds: [] }));
+      }
+      const existing = aggregatedMissingComponents.get(missing.name);
+      existing.instanceCount += missing.instanceCount;
+      existing.nodeIds = existing.nodeIds.concat(missing.nodeIds);
+    });
+    (analysisData.missingStyles || []).forEach(missing => {
+      if (!aggregatedMissingStyles.has(missing.styleId)) {
+        aggregatedMissingStyles.set(missing.styleId, Object.assign({}, missing, { nodeIds: [] }));
+      }
+      const existing = aggregatedMissingStyles.get(missing.styleId);
+      existing.nodeIds = existing.nodeIds.concat(missing.nodeIds);
+    });
+
+    // Contrast issues of every frame, tagged with the frame they are on
+    if (analysisData.accessibility) {
+      accessibility.checkedCount += analysisData.accessibility.checkedCount;
+      analysisData.accessibility.issues.forEach(issue => {
+        accessibility.issues.push(Object.assign({ frameName: analysisData.frameInfo ? analysisData.frameInfo.name : '' }, issue));
+      });
+    }
+  }
+  accessibility.issues.sort((a, b) => a.ratio - b.ratio);
+
+  return {
+    totalComponents: aggregatedComponents.size,
+    totalIcons: aggregatedIcons.size,
+    totalFonts: aggregatedFonts.size,
+    totalColors: aggregatedColors.size,
+    totalVariables: aggregatedVariables.size,
+    totalGradients: aggregatedGradients.size,
+    totalImages: aggregatedImages.size,
+    totalEffects: aggregatedEffects.size,
+    components: Array.from(aggregatedComponents.values()),
+    icons: Array.from(aggregatedIcons.values()),
+    fonts: Array.from(aggregatedFonts.values()),
+    colors: Array.from(aggregatedColors.values()),
+    variables: Array.from(aggregatedVariables.values()).sort((a, b) =>
+      a.collectionName.localeCompare(b.collectionName) || a.name.localeCompare(b.name)
+    ),
+    gradients: Array.from(aggregatedGradients.values()),
+    images: Array.from(aggregatedImages.values()),
+    effects: Array.from(aggregatedEffects.values()),
+    effectStyles: Array.from(aggregatedEffectStyles).sort(),
+    styleSources: Array.from(aggregatedStyleSources.values()),
+    missingComponents: Array.from(aggregatedMissingComponents.values()),
+    missingStyles: Array.from(aggregatedMissingStyles.values()),
+    accessibility: accessibility
+  };
+}
+
+// Local component variants and styles that no analyzed frame uses, for pruning the library:
+// component sets with their unused variants, unused standalone components and unused
+// paint, text and effect styles (styles are matched by name, as analyses record names)
+async function collectUnusedLibraryItems(analyses) {
+  const usedComponentIds = new Set();
+  const usedStyles = { paint: new Set(), text: new Set(), effect: new Set() };
+  for (const analysisData of analyses) {
+    (analysisData.components || []).concat(analysisData.icons || []).forEach(comp => usedComponentIds.add(comp.id));
+    (analysisData.colorStyles || []).forEach(name => usedStyles.paint.add(name));
+    (analysisData.gradients || []).forEach(gradient => {
+      if (gradient.styleName) usedStyles.paint.add(gradient.styleName);
+    });
+    (analysisData.images || []).forEach(image => {
+      if (image.styleName) usedStyles.paint.add(image.styleName);
+    });
+    (analysisData.textStyles || []).forEach(textStyle => usedStyles.text.add(textStyle.styleName));
+    (analysisData.effectStyles || []).forEach(name => usedStyles.effect.add(name));
+  }
+
+  // Local components live on the document's pages (the analysis page only holds reports)
+  const componentSets = [];
+  const components = [];
+  for (const documentPage of figma.root.children) {
+    if (documentPage.name === 'Frames Analysed') continue;
+    const localComponents = documentPage.findAll(node =>
+      node.type === 'COMPONENT_SET' ||
+      (node.type === 'COMPONENT' && !(node.parent && node.parent.type === 'COMPONENT_SET'))
+    );
+    for (const node of localComponents) {
+      if (node.type === 'COMPONENT_SET') {
+        const variants = node.children.filter(child => child.type === 'COMPONENT');
+        const unusedVariants = variants.filter(variant => !usedComponentIds.has(variant.id)).map(variant => variant.name);
+        if (unusedVariants.length > 0) {
+          componentSets.push({ name: node.name, id: node.id, variantCount: variants.length, unusedVariants: unusedVariants });
+        }
+      } else if (!usedComponentIds.has(node.id)) {
+        components.push({ name: node.name, id: node.id });
+      }
+    }
+  }
+
+  // Local styles (the Node fake and the CLI may not provide them)
+  const localStyles = async (getter) => {
+    try {
+      return typeof figma[getter] === 'function' ? await figma[getter]() : [];
+    } catch (error) {
+      // Silently handle inaccessible styles
+      return [];
+    }
+  };
+  const unusedStyleNames = (styles, used) => styles.map(style => style.name).filter(name => !used.has(name)).sort();
+
+  return {
+    componentSets: componentSets.sort((a, b) => a.name.localeCompare(b.name)),
+    components: components.sort((a, b) => a.name.localeCompare(b.name)),
+    styles: {
+      paint: unusedStyleNames(await localStyles('getLocalPaintStylesAsync'), usedStyles.paint),
+      text: unusedStyleNames(await localStyles('getLocalTextStylesAsync'), usedStyles.text),
+      effect: unusedStyleNames(await localStyles('getLocalEffectStylesAsync'), usedStyles.effect)
+    }
+  };
+}
+
+// "Button: State=Disabled, State=Focus (2 of 4 unused)" or "Card (unused)"
+function formatUnusedComponents(unused) {
+  return unused.componentSets.map(set => {
+    const allUnused = set.unusedVariants.length === set.variantCount;
+    return `${set.name}: ${allUnused ? 'all variants' : set.unusedVariants.join(', ')} (${set.unusedVariants.length} of ${set.variantCount} unused)`;
+  }).concat(unused.components.map(comp => `${comp.name} (unused)`));
+}
 
-  // Get analysis frames from the analysis page
-  const analysisPage = findOrCreateAnalysisPage();
-  const allFrames = analysisPage.findAll(node => node.type === 'FRAME');
-  const analysisFrames = allFrames.filter(frame => frame.name.startsWith('Analysis: '));
+// "Paint · Brand/Old Red", grouped by style type
+function formatUnusedStyles(unused) {
+  return unused.styles.paint.map(name => `Paint · ${name}`)
+    .concat(unused.styles.text.map(name => `Text · ${name}`))
+    .concat(unused.styles.effect.map(name => `Effect · ${name}`));
+}
 
-  const aggregatedComponents = new Map();
-  const aggregatedIcons = new Map();
-  const aggregatedFonts = new Map();
-  const aggregatedColors = new Map();
-  const frameCount = analysisFrames.length;
+// Property table of one component set: its variant properties with the values used for each,
+// and every used property combination with its instance count (null when a variant has no
+// parsable properties)
+function buildVariantPropertyTable(variants) {
+  const properties = [];
+  const values = {};
+  const combinations = [];
+  for (const variant of variants) {
+    const variantProperties = variant.variantProperties ||
+      (variant.isVariant ? parseVariantProperties(variant.variantName) : null);
+    if (!variantProperties) return null;
+
+    Object.keys(variantProperties).forEach(property => {
+      if (!values[property]) {
+        properties.push(property);
+        values[property] = [];
+      }
+      if (!values[property].includes(variantProperties[property])) values[property].push(variantProperties[property]);
+    });
+    combinations.push({ values: variantProperties, instanceCount: variant.instanceCount || 1 });
+  }
+  if (combinations.length === 0) return null;
 
-  console.log(`Collecting summary data from ${globalAnalysisData.size} stored analyses`);
-  console.log(`Found ${frameCount} analysis frames on analysis page`);
-  console.log(`Performance optimization: Using cached data instead of re-analyzing all frames`);
+  properties.forEach(property => values[property].sort((a, b) => a.localeCompare(b)));
+  combinations.sort((a, b) => {
+    for (const property of properties) {
+      const order = (a.values[property] || '').localeCompare(b.values[property] || '');
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
 
-  // Use existing cached data only (no re-analysis or extraction needed!)
-  console.log('Using existing cached analysis data for summary generation...');
-  console.log(`Available cached data for ${globalAnalysisData.size} frames`);
+  return {
+    masterName: variants[0].masterName,
+    properties: properties,
+    values: values,
+    combinations: combinations,
+    instanceCount: combinations.reduce((sum, combination) => sum + combination.instanceCount, 0)
+  };
+}
 
-  // Summary of data usage
-  console.log(`Summary generation complete: Using data from ${globalAnalysisData.size} frames`);
+// Component-by-screen matrix from the frames in the analysis history: one column per screen,
+// one row per component or icon variant, cells holding instance counts
+async function buildComponentMatrix() {
+  const analyses = await getHistoryAnalyses();
+  const screens = analyses.map(analysisData => ({ id: analysisData.frameInfo.id, name: analysisData.frameInfo.name }));
+  const rows = new Map();
 
-  // Aggregate data from stored analysis results
-  for (const [frameName, analysisData] of globalAnalysisData.entries()) {
+  analyses.forEach((analysisData, screenIndex) => {
     const normalized = normalizeComponentIconClassification({
       components: analysisData.components || [],
       icons: analysisData.icons || []
     });
+    normalized.components.concat(normalized.icons).forEach(comp => {
+      const key = comp.isVariant ? `${comp.masterName}:${comp.variantName}` : comp.masterName;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          masterName: comp.masterName,
+          variantName: comp.isVariant ? comp.variantName : null,
+          isIcon: !!comp.isIcon,
+          counts: screens.map(() => 0),
+          total: 0
+        });
+      }
+      const row = rows.get(key);
+      row.counts[screenIndex] += comp.instanceCount || 1;
+      row.total += comp.instanceCount || 1;
+    });
+  });
 
-    // Aggregate components (unique by master name + variant name)
-    if (normalized.components) {
-      normalized.components.forEach(comp => {
-        const key = comp.isVariant ? `${comp.masterName}:${comp.variantName}` : comp.masterName;
-        if (!aggregatedComponents.has(key)) {
-          aggregatedComponents.set(key, comp);
-        }
-      });
-    }
+  return {
+    screens: screens,
+    rows: Array.from(rows.values()).sort((a, b) =>
+      (a.isIcon ? 1 : 0) - (b.isIcon ? 1 : 0) ||
+      a.masterName.localeCompare(b.masterName) ||
+      (a.variantName || '').localeCompare(b.variantName || '')
+    )
+  };
+}
 
-    // Aggregate icons (unique by master name + variant name)
-    if (normalized.icons) {
-      normalized.icons.forEach(icon => {
-        const key = icon.isVariant ? `${icon.masterName}:${icon.variantName}` : icon.masterName;
-        if (!aggregatedIcons.has(key)) {
-          aggregatedIcons.set(key, icon);
-        }
-      });
-    }
+// CSV of the component matrix: component, variant and type columns, one column per screen, total
+function componentMatrixToCsv(matrix) {
+  const cell = (value) => {
+    // Quote-prefix text spreadsheets would run as a formula
+    const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = ['Component', 'Variant', 'Type'].concat(matrix.screens.map(screen => screen.name), ['Total']);
+  const lines = [header].concat(matrix.rows.map(row =>
+    [row.masterName, row.variantName || '', row.isIcon ? 'Icon' : 'Component'].concat(row.counts, [row.total])
+  ));
+  return lines.map(line => line.map(cell).join(',')).join('\r\n') + '\r\n';
+}
 
-    // Fonts
-    if (analysisData.fonts) {
-      for (const f of analysisData.fonts) {
-        const key = f.displayString || f.fontString || `${f.fontFamily} ${f.fontStyle} ${f.fontSize}`;
-        if (!aggregatedFonts.has(key)) aggregatedFonts.set(key, f);
-      }
-    }
+// Cached results of the frames in the analysis history (frames whose analysis was deleted
+// from the "Frames Analysed" page are left out)
+async function getHistoryAnalyses() {
+  await ensurePersistedAnalysisLoaded();
+  const framesList = await getFilteredAnalyzedFramesList();
+  return Object.keys(framesList)
+    .filter(frameId => globalAnalysisData.has(frameId))
+    .map(frameId => globalAnalysisData.get(frameId));
+}
 
-    // Colors
-    if (analysisData.colors) {
-      for (const c of analysisData.colors) {
-        const hex = c.hex || c;
-        if (!aggregatedColors.has(hex)) aggregatedColors.set(hex, c);
-      }
+// Where-used index for the plugin UI: every component, icon, font and color of the frames in
+// the analysis history, with a label and the IDs of the layers using it
+async function buildWhereUsedIndex() {
+  const aggregated = aggregateAnalysisResults(await getHistoryAnalyses());
+
+  // Results saved without node IDs (too large to persist with them) keep their usage count and
+  // are flagged for re-analysis, as their layers can't be selected
+  const toEntry = (label, item, extra) => {
+    const needsReanalysis = item.nodeIds.length === 0;
+    return Object.assign({
+      label: label,
+      count: needsReanalysis ? (item.instanceCount || item.usageCount || 0) : item.nodeIds.length,
+      nodeIds: item.nodeIds,
+      needsReanalysis: needsReanalysis
+    }, extra);
+  };
+  const byLabel = (a, b) => a.label.localeCompare(b.label);
+  const componentLabel = (c) => (c.isVariant ? `${c.masterName} (${c.variantName})` : c.masterName);
+  const colorSources = (c) => {
+    const variableName = c.variableName
+      ? formatVariableName({ collectionName: c.variableCollection, name: c.variableName })
+      : null;
+    return [c.styleName, variableName ? `var ${variableName}` : null].filter(Boolean);
+  };
+
+  return {
+    components: aggregated.components.map(c => toEntry(componentLabel(c), c, {})).sort(byLabel),
+    icons: aggregated.icons.map(c => toEntry(componentLabel(c), c, {})).sort(byLabel),
+    fonts: aggregated.fonts.map(f => toEntry(
+      `${f.fontFamily} ${f.fontStyle} ${f.fontSize}px${f.styleName ? ` (${f.styleName})` : ''}`,
+      f,
+      { hasStyle: !!f.styleName, typography: describeTypography(f) }
+    )).sort(byLabel),
+    colors: aggregated.colors.map(c => {
+      const sources = colorSources(c);
+      const displayHex = c.opacity < 1 ? `${c.hex} (${Math.round(c.opacity * 100)}%)` : c.hex;
+      return toEntry(`${displayHex}${sources.length > 0 ? ` - ${sources.join(' · ')}` : ''}`, c, {
+        hex: c.hex,
+        opacity: c.opacity,
+        hasStyle: sources.length > 0
+      });
+    }).sort(byLabel)
+  };
+}
+
+// Select and zoom to layers by node ID. Figma selects on one page at a time, so layers spread
+// over several pages are selected on the page holding most of them
+async function selectNodesById(nodeIds) {
+  const ids = nodeIds || [];
+  const nodesByPage = new Map();
+  for (const nodeId of ids) {
+    try {
+      const node = figma.getNodeById(nodeId);
+      const nodePage = node && node.removed !== true ? getNodePage(node) : null;
+      if (!nodePage) continue;
+      if (!nodesByPage.has(nodePage)) nodesByPage.set(nodePage, []);
+      nodesByPage.get(nodePage).push(node);
+    } catch (error) {
+      // Silently skip layers that no longer exist
     }
   }
 
-  const result = {
-    frameCount: frameCount,
-    totalComponents: aggregatedComponents.size,
-    totalIcons: aggregatedIcons.size,
-    totalFonts: aggregatedFonts.size,
-    totalColors: aggregatedColors.size,
-    components: Array.from(aggregatedComponents.values()),
-    icons: Array.from(aggregatedIcons.values()),
-    fonts: Array.from(aggregatedFonts.values()),
-    colors: Array.from(aggregatedColors.values())
-  };
+  const found = Array.from(nodesByPage.values()).reduce((total, nodes) => total + nodes.length, 0);
+  if (nodesByPage.size === 0) {
+    return { selected: 0, missing: ids.length, pageName: null, otherPages: 0 };
+  }
 
-  console.log(`Summary result: ${result.totalComponents} components, ${result.totalIcons} icons, ${result.totalFonts} fonts, ${result.totalColors} colors`);
-  console.log('Summary colors:', result.colors.map(c => c.hex || c).join(', '));
+  const [targetPage, nodes] = Array.from(nodesByPage.entries()).sort((a, b) => b[1].length - a[1].length)[0];
+  figma.currentPage = targetPage;
+  figma.currentPage.selection = nodes;
+  figma.viewport.scrollAndZoomIntoView(nodes);
 
-  return result;
+  return { selected: nodes.length, missing: ids.length - found, pageName: targetPage.name, otherPages: nodesByPage.size - 1 };
 }
 
 
@@ -1767,9 +4445,52 @@ async function populateSummaryContent(summaryFrame, summaryData) {
     await addSummaryFontsSection(summaryFrame, summaryData.fonts);
   }
 
-  // Colors
+  // Colors, written in the format of the display most frames target
+  const colorFormat = summaryData.quantization.colorFormat;
   if (summaryData.totalColors > 0) {
-    await addSummaryColorsSection(summaryFrame, summaryData.colors);
+    await addSummaryColorsSection(summaryFrame, summaryData.colors, colorFormat);
+  }
+  if (summaryData.totalColors > 1) {
+    await addColorConsolidationSection(summaryFrame, `Color Consolidation (${summaryData.colorClusters.length})`, summaryData.colorClusters);
+  }
+
+  // Gradients and image fills
+  if (summaryData.totalGradients > 0) {
+    await addGradientSection(summaryFrame, `Gradients (${summaryData.totalGradients})`, summaryData.gradients, colorFormat);
+  }
+  if (summaryData.totalImages > 0) {
+    await addImageFillSection(summaryFrame, `Image Fills (${summaryData.totalImages})`, summaryData.images);
+  }
+  if (summaryData.totalColors > 0 || summaryData.totalGradients > 0) {
+    await addQuantizationSection(summaryFrame, summaryData.quantization);
+  }
+
+  // Effects
+  if (summaryData.totalEffects > 0 || summaryData.effectStyles.length > 0) {
+    await addEffectSection(summaryFrame, `Effect Styles (${summaryData.totalEffects})`, summaryData.effects, summaryData.effectStyles);
+  }
+
+  // Variables
+  if (summaryData.totalVariables > 0) {
+    await addSection(summaryFrame, `Variables (${summaryData.totalVariables})`, summaryData.variables.map(formatVariableUsage));
+  }
+
+  // Components and styles by source, broken references included
+  await addSourcesSection(summaryFrame, 'Sources', groupBySource(summaryData));
+
+  // Text contrast issues across all frames
+  if (summaryData.accessibility.checkedCount > 0) {
+    await addAccessibilitySection(summaryFrame, 'Accessibility', summaryData.accessibility);
+  }
+
+  // Library items no analyzed frame uses
+  const unusedComponents = formatUnusedComponents(summaryData.unused);
+  if (unusedComponents.length > 0) {
+    await addSection(summaryFrame, `Unused Variants & Components (${unusedComponents.length})`, unusedComponents);
+  }
+  const unusedStyles = formatUnusedStyles(summaryData.unused);
+  if (unusedStyles.length > 0) {
+    await addSection(summaryFrame, `Unused Styles (${unusedStyles.length})`, unusedStyles);
   }
 
   // Stats
@@ -1777,7 +4498,7 @@ async function populateSummaryContent(summaryFrame, summaryData) {
   const statsFont = await loadFontSafely({ family: "Inter", style: "Bold" });
   statsText.fontName = statsFont;
   statsText.fontSize = 16;
-  statsText.characters = `Total: ${summaryData.totalComponents} Components • ${summaryData.totalFonts} Fonts • ${summaryData.totalColors} Colors`;
+  statsText.characters = `Total: ${summaryData.totalComponents} Components • ${summaryData.totalFonts} Fonts • ${summaryData.totalColors} Colors • ${summaryData.totalVariables} Variables`;
   statsText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
   summaryFrame.appendChild(statsText);
 
@@ -1857,15 +4578,36 @@ async function addSummaryComponentsSection(frame, components) {
   sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
   container.appendChild(sectionTitle);
 
-  // List components
+  // List components, grouped by component set
+  const groupedComponents = new Map();
   for (const comp of components) {
-    const compText = figma.createText();
-    const compFont = await loadFontSafely({ family: "Inter", style: "Regular" });
-    compText.fontName = compFont;
-    compText.fontSize = 12;
-    compText.characters = `• ${comp.masterName}${comp.isVariant ? ` (${comp.variantName})` : ''}`;
-    compText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
-    container.appendChild(compText);
+    if (!groupedComponents.has(comp.masterName)) groupedComponents.set(comp.masterName, []);
+    groupedComponents.get(comp.masterName).push(comp);
+  }
+
+  for (const [masterName, variants] of groupedComponents) {
+    // Component sets are shown as a table of the property combinations in use
+    const table = buildVariantPropertyTable(variants);
+    if (table) {
+      const setText = figma.createText();
+      setText.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+      setText.fontSize = 12;
+      setText.characters = `• ${masterName}${formatUsageCount({ instanceCount: table.instanceCount })}`;
+      setText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+      container.appendChild(setText);
+      await addVariantPropertyTable(container, table);
+      continue;
+    }
+
+    for (const comp of variants) {
+      const compText = figma.createText();
+      const compFont = await loadFontSafely({ family: "Inter", style: "Regular" });
+      compText.fontName = compFont;
+      compText.fontSize = 12;
+      compText.characters = `• ${comp.masterName}${comp.isVariant ? ` (${comp.variantName})` : ''}${formatUsageCount(comp)}`;
+      compText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+      container.appendChild(compText);
+    }
   }
 
   frame.appendChild(container);
@@ -1899,7 +4641,7 @@ async function addSummaryIconsSection(frame, icons) {
     iconText.fontName = iconFont;
     iconText.fontSize = 12;
     const displayName = icon.isVariant ? `${icon.masterName} (${icon.variantName})` : icon.masterName;
-    iconText.characters = `• ${displayName}`;
+    iconText.characters = `• ${displayName}${formatUsageCount(icon)}`;
     iconText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
     container.appendChild(iconText);
   }
@@ -1951,7 +4693,7 @@ async function addSummaryFontsSection(frame, fonts) {
     // Clean display format
     let displayString;
     if (font.fontFamily && font.fontStyle && font.fontSize) {
-      displayString = `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px (${font.styleName})`;
+      displayString = `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px (${font.styleName})${formatUsageCount(font)}`;
     } else {
       displayString = (font.displayString || font.fontString || font).replace(/px.*$/, 'px');
     }
@@ -1959,6 +4701,7 @@ async function addSummaryFontsSection(frame, fonts) {
     fontText.characters = `• ${displayString}`;
     fontText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }]; // Black
     container.appendChild(fontText);
+    await addTypographyDetails(container, describeTypography(font));
   }
 
   // Display fonts without styles at the end (red text)
@@ -1971,7 +4714,7 @@ async function addSummaryFontsSection(frame, fonts) {
     // Clean display format
     let displayString;
     if (font.fontFamily && font.fontStyle && font.fontSize) {
-      displayString = `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px`;
+      displayString = `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px${formatUsageCount(font)}`;
     } else {
       displayString = (font.displayString || font.fontString || font).replace(/px.*$/, 'px');
     }
@@ -1979,6 +4722,7 @@ async function addSummaryFontsSection(frame, fonts) {
     fontText.characters = `• ${displayString}`;
     fontText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }]; // Red
     container.appendChild(fontText);
+    await addTypographyDetails(container, describeTypography(font));
   }
 
   frame.appendChild(container);
@@ -1986,7 +4730,7 @@ async function addSummaryFontsSection(frame, fonts) {
 }
 
 // Add summary colors section
-async function addSummaryColorsSection(frame, colors) {
+async function addSummaryColorsSection(frame, colors, colorFormat = 'RGB565') {
   // Container
   const container = figma.createFrame();
   container.name = `Colors & Styles (${colors.length})`;
@@ -2030,94 +4774,431 @@ async function addSummaryColorsSection(frame, colors) {
     swatch.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
     swatch.strokeWeight = 1;
 
-    // Color text with hex and RGB565
+    // Color text with hex and native color value
     const colorText = figma.createText();
     const colorFont = await loadFontSafely({ family: "Inter", style: "Regular" });
     colorText.fontName = colorFont;
     colorText.fontSize = 12;
-    const styleName = color.styleName ? ` (${color.styleName})` : '';
-    const rgb565 = color.rgb565 || hexToRgb565(colorHex);
-    colorText.characters = `${displayText} | ${rgb565}${styleName}`;
+    const variableName = color.variableName
+      ? formatVariableName({ collectionName: color.variableCollection, name: color.variableName })
+      : null;
+    const sources = [color.styleName, variableName ? `var ${variableName}` : null].filter(Boolean);
+    const styleName = sources.length > 0 ? ` (${sources.join(' · ')})` : '';
+    const nativeValue = convertColor(colorHex, colorFormat, color.opacity);
+    colorText.characters = `${displayText} | ${nativeValue}${formatQuantizationError(colorHex, colorFormat)}${styleName}${formatUsageCount(color)}`;
     colorText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
 
-    row.appendChild(swatch);
-    row.appendChild(colorText);
-    container.appendChild(row);
+    row.appendChild(swatch);
+    addDisplayedSwatch(row, { hex: colorHex, opacity: color.opacity }, colorFormat, 16);
+    row.appendChild(colorText);
+    container.appendChild(row);
+  }
+
+  frame.appendChild(container);
+  return;
+}
+
+// Add a component section with instance counts
+async function addComponentSection(frame, title, components) {
+  // Create a container frame for the component section
+  const componentContainer = figma.createFrame();
+  componentContainer.name = `${title} Section`;
+  componentContainer.layoutMode = 'VERTICAL';
+  componentContainer.primaryAxisSizingMode = 'AUTO';
+  componentContainer.counterAxisSizingMode = 'AUTO';
+  componentContainer.itemSpacing = 8;
+  componentContainer.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  const titleFont = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontName = titleFont;
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  componentContainer.appendChild(sectionTitle);
+
+  // Group components by master component
+  const groupedComponents = new Map();
+
+  for (const component of components) {
+    const masterName = component.masterName;
+    if (!groupedComponents.has(masterName)) {
+      groupedComponents.set(masterName, []);
+    }
+    groupedComponents.get(masterName).push(component);
+  }
+
+  // Display grouped components
+  for (const [masterName, variants] of groupedComponents) {
+    // Master component header
+    const masterText = figma.createText();
+    const masterFont = await loadFontSafely({ family: "Inter", style: "Bold" });
+    masterText.fontName = masterFont;
+    masterText.fontSize = 12;
+    masterText.characters = `• ${masterName}`;
+    masterText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+    componentContainer.appendChild(masterText);
+
+    // Component sets are shown as a table of the property combinations in use
+    const table = buildVariantPropertyTable(variants);
+    if (table) {
+      await addVariantPropertyTable(componentContainer, table);
+    } else {
+      // List variants under the master component
+      for (const variant of variants) {
+        const variantText = figma.createText();
+        const variantFont = await loadFontSafely({ family: "Inter", style: "Regular" });
+        variantText.fontName = variantFont;
+        variantText.fontSize = 11;
+
+        let displayText;
+        if (variant.isVariant && variant.variantName) {
+          // Show variant name and instance count
+          const countText = variant.instanceCount > 1 ? ` (${variant.instanceCount} instances)` : ` (${variant.instanceCount} instance)`;
+          displayText = `  ↳ ${variant.variantName}${countText}`;
+        } else {
+          // Standalone component
+          const countText = variant.instanceCount > 1 ? ` (${variant.instanceCount} instances)` : ` (${variant.instanceCount} instance)`;
+          displayText = `  ${countText}`;
+        }
+
+        variantText.characters = displayText;
+        variantText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+        componentContainer.appendChild(variantText);
+      }
+    }
+
+    await addInstanceConfiguration(componentContainer, variants);
+  }
+
+  // Add the component container to the main frame
+  frame.appendChild(componentContainer);
+}
+
+// Add a component set's property table: one column per variant property, then the instance count
+async function addVariantPropertyTable(container, table) {
+  const tableFrame = figma.createFrame();
+  tableFrame.name = `${table.masterName} Properties`;
+  tableFrame.layoutMode = 'VERTICAL';
+  tableFrame.primaryAxisSizingMode = 'AUTO';
+  tableFrame.counterAxisSizingMode = 'AUTO';
+  tableFrame.itemSpacing = 0;
+  tableFrame.fills = [];
+
+  await addMatrixRow(tableFrame, table.properties.concat(['Instances']), { header: true, columnWidth: 120 });
+  for (let i = 0; i < table.combinations.length; i++) {
+    const combination = table.combinations[i];
+    const values = table.properties.map(property => combination.values[property] || '–');
+    await addMatrixRow(tableFrame, values.concat([combination.instanceCount]), { striped: i % 2 === 1, columnWidth: 120 });
+  }
+
+  container.appendChild(tableFrame);
+}
+
+// Add the component property values a master component's instances use, then the overrides per
+// variant in red: a state faked by overriding fills, text or visibility instead of switching variant
+async function addInstanceConfiguration(container, variants) {
+  for (const line of formatComponentProperties(variants)) {
+    const propertyText = figma.createText();
+    propertyText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    propertyText.fontSize = 11;
+    propertyText.characters = `  ${line}`;
+    propertyText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+    container.appendChild(propertyText);
+  }
+
+  for (const variant of variants) {
+    const overrides = formatInstanceOverrides(variant);
+    if (!overrides) continue;
+
+    const overrideText = figma.createText();
+    overrideText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    overrideText.fontSize = 11;
+    overrideText.characters = `  ⚠ Overrides${variant.isVariant ? ` on ${variant.variantName}` : ''}: ${overrides}`;
+    overrideText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }]; // Red
+    container.appendChild(overrideText);
+  }
+}
+
+// Add the possibly detached section: one red line per look-alike layer, linked to the layer
+async function addDetachedSection(frame, title, detached) {
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = 'Possibly Detached Section';
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  sectionContainer.appendChild(sectionTitle);
+
+  for (const entry of detached) {
+    await addLayerLink(sectionContainer, `• ${formatDetachedLookAlike(entry)}`, entry.nodeId, { r: 0.8, g: 0.2, b: 0.2 });
+  }
+
+  frame.appendChild(sectionContainer);
+}
+
+// Add the accessibility section: how many text layers pass, then one line per contrast issue
+// linked to the layer, AA failures in red and AAA-only failures in orange
+async function addAccessibilitySection(frame, title, accessibility) {
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = `${title} Section`;
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  sectionContainer.appendChild(sectionTitle);
+
+  const failCount = accessibility.issues.filter(issue => issue.level === 'fail').length;
+  const passText = figma.createText();
+  passText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+  passText.fontSize = 12;
+  passText.characters = `${accessibility.checkedCount - failCount} of ${accessibility.checkedCount} text layers meet WCAG AA contrast, ` +
+    `${accessibility.checkedCount - accessibility.issues.length} meet AAA`;
+  passText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+  sectionContainer.appendChild(passText);
+
+  for (const issue of accessibility.issues) {
+    const label = `• ${issue.frameName ? `${issue.frameName}: ` : ''}${formatContrastIssue(issue)}`;
+    const color = issue.level === 'fail' ? { r: 0.8, g: 0.2, b: 0.2 } : { r: 0.85, g: 0.5, b: 0.1 };
+    await addLayerLink(sectionContainer, label, issue.nodeId, color);
+  }
+
+  frame.appendChild(sectionContainer);
+}
+
+// Swatch of the color as the display shows it, placed after the original in a color row
+function addDisplayedSwatch(row, colorInfo, colorFormat, size) {
+  if (!isLossyColorFormat(colorFormat)) return;
+  const swatch = figma.createRectangle();
+  swatch.name = 'Displayed';
+  swatch.resize(size, size);
+  const swatchFill = { type: 'SOLID', color: hexToRgb(quantizeColor(colorInfo.hex, colorFormat)) };
+  if (colorInfo.opacity !== undefined && colorInfo.opacity < 1) {
+    swatchFill.opacity = colorInfo.opacity;
+  }
+  swatch.fills = [swatchFill];
+  swatch.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
+  swatch.strokeWeight = 1;
+  row.appendChild(swatch);
+}
+
+// Colors merged by the display's color format and gradients it renders banded
+async function addQuantizationSection(frame, report) {
+  if (!isLossyColorFormat(report.colorFormat)) return;
+
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = 'Quantization Section';
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = `Quantization (${report.colorFormat})`;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  sectionContainer.appendChild(sectionTitle);
+
+  const lines = report.collisions.map(group => {
+    const colors = group.colors.map(color => {
+      const source = color.styleName || color.variableName;
+      return `${color.hex}${source ? ` (${source})` : ''} Δ${color.error}`;
+    });
+    return `• ${group.value} shown as ${group.displayedHex}: ${colors.join(' · ')}`;
+  }).concat(report.banding.map(segment =>
+    `• ${segment.gradientType} ${segment.from} → ${segment.to}: ${segment.levels} steps instead of ${segment.sourceLevels}` +
+    `${segment.styleName ? ` - ${segment.styleName}` : ''}`
+  ));
+  if (lines.length === 0) {
+    lines.push(`No colors merge or gradients band at ${report.colorFormat}`);
+  }
+
+  const font = await loadFontSafely({ family: "Inter", style: "Regular" });
+  const clean = report.collisions.length === 0 && report.banding.length === 0;
+  for (const line of lines) {
+    const lineText = figma.createText();
+    lineText.fontName = font;
+    lineText.fontSize = 12;
+    lineText.characters = line;
+    lineText.fills = [{ type: 'SOLID', color: clean ? { r: 0.4, g: 0.4, b: 0.4 } : { r: 0.8, g: 0.2, b: 0.2 } }];
+    sectionContainer.appendChild(lineText);
+  }
+
+  frame.appendChild(sectionContainer);
+}
+
+// Near-duplicate color groups: member swatches, then members, spread and closest paint style
+async function addColorConsolidationSection(frame, title, clusters) {
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = 'Color Consolidation Section';
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  sectionContainer.appendChild(sectionTitle);
+
+  const font = await loadFontSafely({ family: "Inter", style: "Regular" });
+  if (clusters.length === 0) {
+    const emptyText = figma.createText();
+    emptyText.fontName = font;
+    emptyText.fontSize = 12;
+    emptyText.characters = `No colors within ΔE ${colorDistanceThreshold} of each other`;
+    emptyText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+    sectionContainer.appendChild(emptyText);
+  }
+
+  for (const cluster of clusters) {
+    const row = figma.createFrame();
+    row.layoutMode = 'HORIZONTAL';
+    row.primaryAxisSizingMode = 'AUTO';
+    row.counterAxisSizingMode = 'AUTO';
+    row.itemSpacing = 4;
+    row.fills = [];
+
+    for (const member of cluster.members) {
+      const swatch = figma.createRectangle();
+      swatch.resize(16, 16);
+      const swatchFill = { type: 'SOLID', color: hexToRgb(member.hex) };
+      if (member.opacity !== undefined && member.opacity < 1) {
+        swatchFill.opacity = member.opacity;
+      }
+      swatch.fills = [swatchFill];
+      swatch.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
+      swatch.strokeWeight = 1;
+      row.appendChild(swatch);
+    }
+
+    const clusterText = figma.createText();
+    clusterText.fontName = font;
+    clusterText.fontSize = 12;
+    clusterText.characters = formatColorCluster(cluster);
+    clusterText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
+    row.appendChild(clusterText);
+    sectionContainer.appendChild(row);
   }
 
-  frame.appendChild(container);
-  return;
+  frame.appendChild(sectionContainer);
 }
 
-// Add a component section with instance counts
-async function addComponentSection(frame, title, components) {
-  // Create a container frame for the component section
-  const componentContainer = figma.createFrame();
-  componentContainer.name = `${title} Section`;
-  componentContainer.layoutMode = 'VERTICAL';
-  componentContainer.primaryAxisSizingMode = 'AUTO';
-  componentContainer.counterAxisSizingMode = 'AUTO';
-  componentContainer.itemSpacing = 8;
-  componentContainer.fills = []; // Transparent background
+// Add the touch target section: the rule in pixels, then one red line per finding linked to the layer
+async function addTouchTargetSection(frame, title, touchTargets) {
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = `${title} Section`;
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
 
   // Section title
   const sectionTitle = figma.createText();
-  const titleFont = await loadFontSafely({ family: "Inter", style: "Bold" });
-  sectionTitle.fontName = titleFont;
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
   sectionTitle.fontSize = 16;
   sectionTitle.characters = title;
   sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
-  componentContainer.appendChild(sectionTitle);
+  sectionContainer.appendChild(sectionTitle);
 
-  // Group components by master component
-  const groupedComponents = new Map();
+  const rule = touchTargets.rule;
+  const ruleText = figma.createText();
+  ruleText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+  ruleText.fontSize = 12;
+  ruleText.characters = `${touchTargets.checkedCount} interactive instance${touchTargets.checkedCount === 1 ? '' : 's'} checked: at least ${rule.minSizeMm} mm ` +
+    `(${touchTargets.minSizePx}px) and ${rule.minGapMm} mm (${touchTargets.minGapPx}px) apart at ${rule.dpi} dpi`;
+  ruleText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+  sectionContainer.appendChild(ruleText);
+
+  for (const finding of formatTouchTargetFindings(touchTargets)) {
+    await addLayerLink(sectionContainer, `• ${finding.label}`, finding.nodeId, { r: 0.8, g: 0.2, b: 0.2 });
+  }
 
-  for (const component of components) {
-    const masterName = component.masterName;
-    if (!groupedComponents.has(masterName)) {
-      groupedComponents.set(masterName, []);
-    }
-    groupedComponents.get(masterName).push(component);
+  frame.appendChild(sectionContainer);
+}
+
+// Add a text line that links to a layer, so clicking it in the canvas jumps to that layer
+async function addLayerLink(container, label, nodeId, color) {
+  const itemText = figma.createText();
+  itemText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+  itemText.fontSize = 12;
+  itemText.characters = label;
+  itemText.fills = [{ type: 'SOLID', color: color }];
+  try {
+    itemText.hyperlink = { type: 'NODE', value: nodeId };
+  } catch (error) {
+    // Silently handle layers that can no longer be linked
   }
+  container.appendChild(itemText);
+}
 
-  // Display grouped components
-  for (const [masterName, variants] of groupedComponents) {
-    // Master component header
-    const masterText = figma.createText();
-    const masterFont = await loadFontSafely({ family: "Inter", style: "Bold" });
-    masterText.fontName = masterFont;
-    masterText.fontSize = 12;
-    masterText.characters = `• ${masterName}`;
-    masterText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
-    componentContainer.appendChild(masterText);
+// Add the sources section: local, team library and missing groups, missing entries in red
+// (nothing is added when there are no components or styles)
+async function addSourcesSection(frame, title, groups) {
+  if (groups.local.length + groups.library.length + groups.missing.length === 0) return;
 
-    // List variants under the master component
-    for (const variant of variants) {
-      const variantText = figma.createText();
-      const variantFont = await loadFontSafely({ family: "Inter", style: "Regular" });
-      variantText.fontName = variantFont;
-      variantText.fontSize = 11;
-
-      let displayText;
-      if (variant.isVariant && variant.variantName) {
-        // Show variant name and instance count
-        const countText = variant.instanceCount > 1 ? ` (${variant.instanceCount} instances)` : ` (${variant.instanceCount} instance)`;
-        displayText = `  ↳ ${variant.variantName}${countText}`;
-      } else {
-        // Standalone component
-        const countText = variant.instanceCount > 1 ? ` (${variant.instanceCount} instances)` : ` (${variant.instanceCount} instance)`;
-        displayText = `  ${countText}`;
-      }
+  const sectionContainer = figma.createFrame();
+  sectionContainer.name = `${title} Section`;
+  sectionContainer.layoutMode = 'VERTICAL';
+  sectionContainer.primaryAxisSizingMode = 'AUTO';
+  sectionContainer.counterAxisSizingMode = 'AUTO';
+  sectionContainer.itemSpacing = 6;
+  sectionContainer.fills = []; // Transparent background
 
-      variantText.characters = displayText;
-      variantText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
-      componentContainer.appendChild(variantText);
-    }
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  sectionContainer.appendChild(sectionTitle);
 
+  for (const source of ['local', 'library', 'missing']) {
+    if (groups[source].length === 0) continue;
+
+    const groupTitle = figma.createText();
+    groupTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+    groupTitle.fontSize = 12;
+    groupTitle.characters = `${SOURCE_NAMES[source]} (${groups[source].length})`;
+    groupTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+    sectionContainer.appendChild(groupTitle);
+
+    for (const item of groups[source]) {
+      const itemText = figma.createText();
+      itemText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+      itemText.fontSize = 12;
+      itemText.characters = `• ${item}`;
+      itemText.fills = [{ type: 'SOLID', color: source === 'missing' ? { r: 0.8, g: 0.2, b: 0.2 } : { r: 0.3, g: 0.3, b: 0.3 } }];
+      sectionContainer.appendChild(itemText);
+    }
   }
 
-  // Add the component container to the main frame
-  frame.appendChild(componentContainer);
+  frame.appendChild(sectionContainer);
 }
 
 // Add a text section to the analysis frame
@@ -2156,7 +5237,7 @@ async function addSection(frame, title, items) {
 }
 
 // Add a combined font section with font variations and text styles
-async function addCombinedFontSection(frame, title, fonts, textStyles) {
+async function addCombinedFontSection(frame, title, fonts, textStyles, dpi = null) {
   // Create a container frame for the font section
   const fontContainer = figma.createFrame();
   fontContainer.name = `${title} Section`;
@@ -2180,10 +5261,12 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
   // Add text styles with their font information (these have style names)
   if (textStyles.length > 0) {
     for (const textStyle of textStyles) {
-      // Use the same format as direct fonts for proper deduplication
-      const fontKey = `${textStyle.fontFamily} ${textStyle.fontStyle} ${textStyle.fontSize}px`;
+      // Use the same key as direct fonts for proper deduplication
+      const fontKey = getFontKey(textStyle);
       allFonts.set(fontKey, {
-        fontString: fontKey,
+        fontKey: fontKey,
+        fontString: `${textStyle.fontFamily} ${textStyle.fontStyle} ${textStyle.fontSize}px`,
+        typography: describeTypography(textStyle),
         styleName: textStyle.styleName,
         fontSize: textStyle.fontSize,
         fontFamily: textStyle.fontFamily,
@@ -2196,17 +5279,20 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
   // Add fonts from direct analysis (these have complete info including size)
   if (fonts.length > 0) {
     for (const font of fonts) {
-      // Create a proper font key based on family, style, and size
-      const fontKey = `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px`;
+      // Key on family, style, size and typographic properties
+      const fontKey = getFontKey(font);
 
       // Only add if we don't already have this exact font, or if this one has more complete info
       if (!allFonts.has(fontKey)) {
         allFonts.set(fontKey, {
+          fontKey: fontKey,
           fontString: `${font.fontFamily} ${font.fontStyle} ${font.fontSize}px`,
+          typography: describeTypography(font),
           styleName: font.styleName || null,
           fontSize: font.fontSize,
           fontFamily: font.fontFamily,
           fontStyle: font.fontStyle,
+          usageCount: font.usageCount,
           hasCompleteInfo: true
         });
       } else {
@@ -2215,6 +5301,7 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
         if (font.styleName && !existing.styleName) {
           existing.styleName = font.styleName;
         }
+        existing.usageCount = font.usageCount;
       }
     }
   }
@@ -2234,8 +5321,9 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
     }
 
     // Sort each group alphabetically
-    fontsWithStyles.sort((a, b) => a.fontString.localeCompare(b.fontString));
-    fontsWithoutStyles.sort((a, b) => a.fontString.localeCompare(b.fontString));
+    const byFont = (a, b) => a.fontString.localeCompare(b.fontString) || a.fontKey.localeCompare(b.fontKey);
+    fontsWithStyles.sort(byFont);
+    fontsWithoutStyles.sort(byFont);
 
     // Display fonts with text styles first (black text)
     for (const fontInfo of fontsWithStyles) {
@@ -2247,10 +5335,11 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
       // Clean format: FontFamily FontWeight FontSize (StyleName)
       // Extract clean font info from fontString
       const cleanFontString = fontInfo.fontString.replace(/px.*$/, 'px'); // Remove any extra text after px
-      const displayText = `${cleanFontString} (${fontInfo.styleName})`;
+      const displayText = `${cleanFontString}${formatFontMm(fontInfo, dpi)} (${fontInfo.styleName})${formatUsageCount(fontInfo)}`;
       fontText.characters = `• ${displayText}`;
       fontText.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }]; // Black text
       fontContainer.appendChild(fontText);
+      await addTypographyDetails(fontContainer, fontInfo.typography);
     }
 
     // Display fonts without text styles (red text)
@@ -2262,9 +5351,10 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
 
       // Clean format: FontFamily FontWeight FontSize
       const cleanFontString = fontInfo.fontString.replace(/px.*$/, 'px'); // Remove any extra text after px
-      fontText.characters = `• ${cleanFontString}`;
+      fontText.characters = `• ${cleanFontString}${formatFontMm(fontInfo, dpi)}${formatUsageCount(fontInfo)}`;
       fontText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }]; // Red text for no style
       fontContainer.appendChild(fontText);
+      await addTypographyDetails(fontContainer, fontInfo.typography);
     }
   }
 
@@ -2272,8 +5362,20 @@ async function addCombinedFontSection(frame, title, fonts, textStyles) {
   frame.appendChild(fontContainer);
 }
 
+// Add a grey line with line height, letter spacing and other text settings under a font entry
+async function addTypographyDetails(container, typography) {
+  if (!typography) return;
+
+  const detailText = figma.createText();
+  detailText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+  detailText.fontSize = 10;
+  detailText.characters = `    ${typography}`;
+  detailText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
+  container.appendChild(detailText);
+}
+
 // Add a combined color section with color swatches and styles
-async function addCombinedColorSection(frame, title, colors) {
+async function addCombinedColorSection(frame, title, colors, colorFormat = 'RGB565') {
   // Create a container frame for the color section
   const colorContainer = figma.createFrame();
   colorContainer.name = `${title} Section`;
@@ -2300,14 +5402,18 @@ async function addCombinedColorSection(frame, title, colors) {
     for (const colorInfo of colors) {
       const hex = colorInfo.hex || colorInfo; // Handle both old and new format
       const displayHex = colorInfo.displayHex || hex; // Use displayHex if available (includes opacity)
-      const rgb565 = colorInfo.rgb565 || hexToRgb565(hex); // Calculate RGB565 if not available
       const styleName = colorInfo.styleName;
+      const variableName = colorInfo.variableName
+        ? formatVariableName({ collectionName: colorInfo.variableCollection, name: colorInfo.variableName })
+        : null;
       const opacity = colorInfo.opacity;
+      const usageCount = colorInfo.usageCount;
 
-      if (styleName) {
-        colorsWithStyles.push({ hex, displayHex, rgb565, styleName, opacity });
+      // Colors bound to a variable are design-system colors just like styled ones
+      if (styleName || variableName) {
+        colorsWithStyles.push({ hex, displayHex, styleName, variableName, opacity, usageCount });
       } else {
-        colorsWithoutStyles.push({ hex, displayHex, rgb565, styleName: null, opacity });
+        colorsWithoutStyles.push({ hex, displayHex, styleName: null, variableName: null, opacity, usageCount });
       }
     }
 
@@ -2341,18 +5447,21 @@ async function addCombinedColorSection(frame, title, colors) {
       swatch.strokeWeight = 1;
       swatch.cornerRadius = 3;
 
-      // Color text with hex, RGB565, and style name
+      // Color text with hex, native color value, and style name
       const colorText = figma.createText();
       const colorFont = await loadFontSafely({ family: "Inter", style: "Regular" });
       colorText.fontName = colorFont;
       colorText.fontSize = 12;
 
-      const rgb565 = colorInfo.rgb565 || hexToRgb565(colorInfo.hex);
-      const displayText = `${colorInfo.displayHex} | ${rgb565} - ${colorInfo.styleName}`;
+      const nativeValue = convertColor(colorInfo.hex, colorFormat, colorInfo.opacity);
+      const sources = [colorInfo.styleName, colorInfo.variableName ? `var ${colorInfo.variableName}` : null].filter(Boolean);
+      const displayText = `${colorInfo.displayHex} | ${nativeValue}${formatQuantizationError(colorInfo.hex, colorFormat)} - ` +
+        `${sources.join(' · ')}${formatUsageCount(colorInfo)}`;
       colorText.characters = displayText;
       colorText.fills = [{ type: 'SOLID', color: { r: 0.3, g: 0.3, b: 0.3 } }];
 
       row.appendChild(swatch);
+      addDisplayedSwatch(row, colorInfo, colorFormat, 20);
       row.appendChild(colorText);
       colorContainer.appendChild(row);
     }
@@ -2383,17 +5492,18 @@ async function addCombinedColorSection(frame, title, colors) {
       swatch.strokeWeight = 1;
       swatch.cornerRadius = 3;
 
-      // Color text with hex and RGB565 values (including opacity)
+      // Color text with hex and native color values (including opacity)
       const colorText = figma.createText();
       const colorFont = await loadFontSafely({ family: "Inter", style: "Regular" });
       colorText.fontName = colorFont;
       colorText.fontSize = 12;
 
-      const rgb565 = colorInfo.rgb565 || hexToRgb565(colorInfo.hex);
-      colorText.characters = `${colorInfo.displayHex} | ${rgb565}`;
+      const nativeValue = convertColor(colorInfo.hex, colorFormat, colorInfo.opacity);
+      colorText.characters = `${colorInfo.displayHex} | ${nativeValue}${formatQuantizationError(colorInfo.hex, colorFormat)}${formatUsageCount(colorInfo)}`;
       colorText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }]; // Slightly lighter color
 
       row.appendChild(swatch);
+      addDisplayedSwatch(row, colorInfo, colorFormat, 20);
       row.appendChild(colorText);
       colorContainer.appendChild(row);
     }
@@ -2404,6 +5514,233 @@ async function addCombinedColorSection(frame, title, colors) {
   return;
 }
 
+// Add a gradient section with a preview swatch and stop values per gradient
+async function addGradientSection(frame, title, gradients, colorFormat = 'RGB565') {
+  const container = figma.createFrame();
+  container.name = `${title} Section`;
+  container.layoutMode = 'VERTICAL';
+  container.primaryAxisSizingMode = 'AUTO';
+  container.counterAxisSizingMode = 'AUTO';
+  container.itemSpacing = 8;
+  container.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  container.appendChild(sectionTitle);
+
+  const paintTypes = {
+    Linear: 'GRADIENT_LINEAR',
+    Radial: 'GRADIENT_RADIAL',
+    Angular: 'GRADIENT_ANGULAR',
+    Diamond: 'GRADIENT_DIAMOND'
+  };
+
+  for (const gradient of gradients) {
+    // Row container for swatch + text
+    const row = figma.createFrame();
+    row.layoutMode = 'HORIZONTAL';
+    row.primaryAxisSizingMode = 'AUTO';
+    row.counterAxisSizingMode = 'AUTO';
+    row.itemSpacing = 8;
+    row.fills = [];
+
+    // Preview swatch painted with the gradient's stops (left to right for linear gradients)
+    const swatch = figma.createRectangle();
+    swatch.resize(40, 20);
+    swatch.fills = [{
+      type: paintTypes[gradient.gradientType] || 'GRADIENT_LINEAR',
+      gradientTransform: [[1, 0, 0], [0, 1, 0]],
+      gradientStops: gradient.stops.map(stop => ({
+        position: stop.position,
+        color: Object.assign(hexToRgb(stop.hex), { a: stop.opacity })
+      }))
+    }];
+    swatch.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
+    swatch.strokeWeight = 1;
+    swatch.cornerRadius = 3;
+
+    const gradientText = figma.createText();
+    gradientText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    gradientText.fontSize = 12;
+    gradientText.characters = formatGradient(gradient, colorFormat);
+    gradientText.fills = [{ type: 'SOLID', color: { r: 0.3, g: 0.3, b: 0.3 } }];
+
+    row.appendChild(swatch);
+    row.appendChild(gradientText);
+    container.appendChild(row);
+  }
+
+  frame.appendChild(container);
+}
+
+// Add an effect section: each shadow or blur with a preview tile, then styles with no visible effect
+async function addEffectSection(frame, title, effects, effectStyles) {
+  const container = figma.createFrame();
+  container.name = `${title} Section`;
+  container.layoutMode = 'VERTICAL';
+  container.primaryAxisSizingMode = 'AUTO';
+  container.counterAxisSizingMode = 'AUTO';
+  container.itemSpacing = 8;
+  container.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  container.appendChild(sectionTitle);
+
+  // Styled effects first, then custom ones
+  const sorted = effects.slice().sort((a, b) => (a.styleName ? 0 : 1) - (b.styleName ? 0 : 1));
+  for (const effect of sorted) {
+    // Row container for preview + text
+    const row = figma.createFrame();
+    row.layoutMode = 'HORIZONTAL';
+    row.primaryAxisSizingMode = 'AUTO';
+    row.counterAxisSizingMode = 'AUTO';
+    row.counterAxisAlignItems = 'CENTER';
+    row.itemSpacing = 12;
+    row.paddingTop = 4;
+    row.paddingBottom = 4;
+    row.paddingLeft = 4;
+    row.fills = [];
+
+    // White tile carrying the effect itself
+    const preview = figma.createRectangle();
+    preview.resize(32, 32);
+    preview.cornerRadius = 4;
+    preview.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    const previewEffect = { type: effect.effectType, radius: effect.radius, visible: true };
+    if (effect.hex) {
+      Object.assign(previewEffect, {
+        color: Object.assign(hexToRgb(effect.hex), { a: effect.opacity }),
+        offset: { x: effect.offsetX, y: effect.offsetY },
+        spread: effect.spread,
+        blendMode: 'NORMAL'
+      });
+    }
+    preview.effects = [previewEffect];
+
+    const effectText = figma.createText();
+    effectText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    effectText.fontSize = 12;
+    effectText.characters = formatEffect(effect);
+    // Styled effects in dark grey, custom effects in red like unstyled fonts
+    effectText.fills = [{ type: 'SOLID', color: effect.styleName ? { r: 0.3, g: 0.3, b: 0.3 } : { r: 0.8, g: 0.2, b: 0.2 } }];
+
+    row.appendChild(preview);
+    row.appendChild(effectText);
+    container.appendChild(row);
+  }
+
+  // Effect styles whose effects are all hidden still get listed by name
+  const shownStyles = new Set(effects.map(effect => effect.styleName).filter(Boolean));
+  for (const styleName of effectStyles.filter(name => !shownStyles.has(name))) {
+    const styleText = figma.createText();
+    styleText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    styleText.fontSize = 12;
+    styleText.characters = `• ${styleName}`;
+    styleText.fills = [{ type: 'SOLID', color: { r: 0.3, g: 0.3, b: 0.3 } }];
+    container.appendChild(styleText);
+  }
+
+  frame.appendChild(container);
+}
+
+// Add a spacing section listing each spacing value, with values off the spacing scale in red
+async function addSpacingSection(frame, title, spacing) {
+  const container = figma.createFrame();
+  container.name = `${title} Section`;
+  container.layoutMode = 'VERTICAL';
+  container.primaryAxisSizingMode = 'AUTO';
+  container.counterAxisSizingMode = 'AUTO';
+  container.itemSpacing = 6;
+  container.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  container.appendChild(sectionTitle);
+
+  // Scale the values are checked against
+  const scaleText = figma.createText();
+  scaleText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+  scaleText.fontSize = 10;
+  scaleText.characters = `Scale: multiples of ${spacingScale}px`;
+  scaleText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
+  container.appendChild(scaleText);
+
+  for (const entry of spacing) {
+    const itemText = figma.createText();
+    itemText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    itemText.fontSize = 12;
+    itemText.characters = `• ${formatSpacing(entry)}`;
+    itemText.fills = [{ type: 'SOLID', color: isOnSpacingScale(entry.value) ? { r: 0.3, g: 0.3, b: 0.3 } : { r: 0.8, g: 0.2, b: 0.2 } }];
+    container.appendChild(itemText);
+  }
+
+  frame.appendChild(container);
+}
+
+// Add an image fill section with a thumbnail, scale mode and pixel size per image
+async function addImageFillSection(frame, title, images) {
+  const container = figma.createFrame();
+  container.name = `${title} Section`;
+  container.layoutMode = 'VERTICAL';
+  container.primaryAxisSizingMode = 'AUTO';
+  container.counterAxisSizingMode = 'AUTO';
+  container.itemSpacing = 8;
+  container.fills = []; // Transparent background
+
+  // Section title
+  const sectionTitle = figma.createText();
+  sectionTitle.fontName = await loadFontSafely({ family: "Inter", style: "Bold" });
+  sectionTitle.fontSize = 16;
+  sectionTitle.characters = title;
+  sectionTitle.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } }];
+  container.appendChild(sectionTitle);
+
+  for (const image of images) {
+    // Row container for thumbnail + text
+    const row = figma.createFrame();
+    row.layoutMode = 'HORIZONTAL';
+    row.primaryAxisSizingMode = 'AUTO';
+    row.counterAxisSizingMode = 'AUTO';
+    row.itemSpacing = 8;
+    row.fills = [];
+
+    // Thumbnail reusing the image hash (grey placeholder when the image isn't available)
+    const thumbnail = figma.createRectangle();
+    thumbnail.resize(32, 32);
+    thumbnail.fills = image.imageHash && image.pixelWidth
+      ? [{ type: 'IMAGE', imageHash: image.imageHash, scaleMode: 'FILL' }]
+      : [{ type: 'SOLID', color: { r: 0.85, g: 0.85, b: 0.85 } }];
+    thumbnail.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
+    thumbnail.strokeWeight = 1;
+    thumbnail.cornerRadius = 3;
+
+    const imageText = figma.createText();
+    imageText.fontName = await loadFontSafely({ family: "Inter", style: "Regular" });
+    imageText.fontSize = 12;
+    imageText.characters = formatImageFill(image);
+    imageText.fills = [{ type: 'SOLID', color: { r: 0.3, g: 0.3, b: 0.3 } }];
+
+    row.appendChild(thumbnail);
+    row.appendChild(imageText);
+    container.appendChild(row);
+  }
+
+  frame.appendChild(container);
+}
+
 // Keep the original color section function for backward compatibility
 async function addColorSection(frame, title, colors, startY, padding) {
   // Section title
@@ -2475,12 +5812,23 @@ async function addSummarySection(frame, analysisData) {
   // Summary items
   const summaryItems = [
     `Total Elements: ${analysisData.frameInfo.elementCount}`,
+    `Display: ${analysisData.frameInfo.displayProfile ? analysisData.frameInfo.displayProfile.name : getDisplayProfiles()[0].name}`,
     `Components: ${analysisData.components.length}`,
+    `Possibly Detached: ${(analysisData.detached || []).length}`,
+    `Touch Target Issues: ${analysisData.touchTargets ? formatTouchTargetFindings(analysisData.touchTargets).length : 0}`,
     `Fonts: ${analysisData.fonts.length}`,
     `Colors: ${analysisData.colors.length}`,
+    `Near-duplicate Color Groups: ${(analysisData.colorClusters || []).length}`,
     `Text Styles: ${analysisData.textStyles.length}`,
     `Color Styles: ${analysisData.colorStyles.length}`,
-    `Effect Styles: ${analysisData.effectStyles.length}`
+    `Effect Styles: ${analysisData.effectStyles.length}`,
+    `Effects: ${(analysisData.effects || []).length}`,
+    `Corner Radii: ${(analysisData.radii || []).length}`,
+    `Strokes: ${(analysisData.borders || []).length}`,
+    `Spacing Values: ${(analysisData.spacing || []).length}`,
+    `Variables: ${(analysisData.variables || []).length}`,
+    `Gradients: ${(analysisData.gradients || []).length}`,
+    `Image Fills: ${(analysisData.images || []).length}`
   ];
 
   for (const item of summaryItems) {
@@ -2530,11 +5878,57 @@ function hexToRgb565(hex) {
   return '0x' + rgb565.toString(16).toUpperCase().padStart(4, '0');
 }
 
+// LVGL equivalents of Figma text decoration and horizontal alignment (LVGL has no justify)
+const LVGL_TEXT_DECOR = {
+  NONE: 'LV_TEXT_DECOR_NONE',
+  UNDERLINE: 'LV_TEXT_DECOR_UNDERLINE',
+  STRIKETHROUGH: 'LV_TEXT_DECOR_STRIKETHROUGH'
+};
+const LVGL_TEXT_ALIGN = {
+  LEFT: 'LV_TEXT_ALIGN_LEFT',
+  CENTER: 'LV_TEXT_ALIGN_CENTER',
+  RIGHT: 'LV_TEXT_ALIGN_RIGHT',
+  JUSTIFIED: 'LV_TEXT_ALIGN_LEFT'
+};
+
+// Convert Figma line height / letter spacing to LVGL's style_text_line_space and
+// style_text_letter_space, which are extra pixels added to the font's own metrics
+function getLVGLTextMetrics(font) {
+  const fontSize = typeof font.fontSize === 'number' ? font.fontSize : 0;
+  const toPixels = (measure) => (measure.unit === 'PERCENT' ? fontSize * measure.value / 100 : measure.value);
+
+  const lineHeight = font.lineHeight && font.lineHeight.unit !== 'AUTO' ? toPixels(font.lineHeight) : null;
+  const letterSpacing = font.letterSpacing ? toPixels(font.letterSpacing) : 0;
+
+  return {
+    line_height_px: lineHeight === null ? null : Math.round(lineHeight),
+    line_space: lineHeight === null ? 0 : Math.round(lineHeight - fontSize),
+    letter_space: Math.round(letterSpacing)
+  };
+}
+
 // Generate simplified JSON export for LVGL stylesheet
 function generateLVGLJson() {
+  // Colors are written in the native format of the display most frames target
+  const displayProfile = getPrimaryDisplayProfile(Array.from(globalAnalysisData.values()));
+  const colorFormat = COLOR_FORMATS[displayProfile.colorFormat] ? displayProfile.colorFormat : 'RGB565';
   const jsonData = {
+    display: {
+      name: displayProfile.name,
+      width: displayProfile.width,
+      height: displayProfile.height,
+      dpi: displayProfile.dpi,
+      color_format: colorFormat,
+      lv_color_depth: COLOR_FORMATS[colorFormat].depth
+    },
     colors: {},
-    typography: {}
+    typography: {},
+    themes: {},
+    shadows: {},
+    radii: {},
+    borders: {},
+    spacing: {},
+    components: {}
   };
 
   // Process all cached analysis data
@@ -2545,31 +5939,52 @@ function generateLVGLJson() {
         const fontFamily = font.fontFamily || 'unknown';
         const fontStyle = font.fontStyle || 'regular';
         const fontSize = font.fontSize || 12;
-
-        // Prioritize Figma style name, fallback to constructed name
+        const metrics = getLVGLTextMetrics(font);
+        const paragraphSpacing = font.paragraphSpacing || 0;
+        const textCase = font.textCase || 'ORIGINAL';
+        const textDecor = LVGL_TEXT_DECOR[font.textDecoration] || 'LV_TEXT_DECOR_NONE';
+        const textAlign = LVGL_TEXT_ALIGN[font.textAlign] || 'LV_TEXT_ALIGN_LEFT';
+
+        // Prioritize Figma style name, fallback to constructed name (bound variables are
+        // recorded in figma_variables, as fonts sharing one can differ in everything else)
         let styleKey;
         if (font.styleName) {
           // Use the actual Figma style name
           styleKey = font.styleName;
         } else {
-          // Fallback to constructed name
+          // Fallback to constructed name; every non-default text property keeps otherwise equal fonts apart
           styleKey = `${fontFamily}_${fontStyle}_${fontSize}`;
+          if (metrics.line_space !== 0) styleKey += `_lh${metrics.line_height_px}`;
+          if (metrics.letter_space !== 0) styleKey += `_ls${String(metrics.letter_space).replace('-', 'neg')}`;
+          if (paragraphSpacing !== 0) styleKey += `_ps${toLVGLTokenNumber(paragraphSpacing)}`;
+          if (textDecor !== 'LV_TEXT_DECOR_NONE') styleKey += `_${textDecor.replace('LV_TEXT_DECOR_', '')}`;
+          if (textAlign !== 'LV_TEXT_ALIGN_LEFT') styleKey += `_${textAlign.replace('LV_TEXT_ALIGN_', '')}`;
+          if (textCase !== 'ORIGINAL') styleKey += `_${textCase}`;
         }
 
-        // Convert to valid LVGL identifier while preserving readability
-        const lvglName = styleKey
-          .replace(/[^a-zA-Z0-9_\s-]/g, '') // Remove special chars except spaces and hyphens
-          .replace(/[\s-]+/g, '_')          // Replace spaces and hyphens with underscores
-          .toLowerCase();
+        const lvglName = toLVGLIdentifier(styleKey);
+
+        // Spacing, decoration, alignment and case are LVGL style properties, so entries that
+        // differ only in those share one font binary named by family, style and size
+        const fontName = toLVGLIdentifier(`${fontFamily}_${fontStyle}_${fontSize}`);
 
         if (!jsonData.typography[lvglName]) {
           jsonData.typography[lvglName] = {
             figma_style_name: font.styleName || null,
+            figma_variables: font.variables || null,
             font_family: fontFamily,
             font_size: fontSize,
             font_weight: fontStyle,
-            lvgl_font: `&${lvglName}`,
-            lvgl_declaration: `LV_FONT_DECLARE(${lvglName});`
+            line_height: formatLineHeight(font.lineHeight),
+            letter_spacing: formatLetterSpacing(font.letterSpacing),
+            paragraph_spacing: paragraphSpacing,
+            text_case: textCase,
+            line_space: metrics.line_space,
+            letter_space: metrics.letter_space,
+            text_decor: textDecor,
+            text_align: textAlign,
+            lvgl_font: `&${fontName}`,
+            lvgl_declaration: `LV_FONT_DECLARE(${fontName});`
           };
         }
       });
@@ -2580,10 +5995,14 @@ function generateLVGLJson() {
       analysisData.colors.forEach(color => {
         const hex = color.hex || '#000000';
         const rgb565 = color.rgb565 || hexToRgb565(hex);
+        const colorValue = convertColor(hex, colorFormat, color.opacity);
 
-        // Prioritize Figma style name, fallback to hex-based name
+        // Prioritize the bound variable, then the Figma style name, fallback to hex-based name
         let colorKey;
-        if (color.styleName) {
+        if (color.variableName) {
+          // Use the variable name (without its collection, like style names)
+          colorKey = color.variableName;
+        } else if (color.styleName) {
           // Use the actual Figma style name
           colorKey = color.styleName;
         } else {
@@ -2591,19 +6010,150 @@ function generateLVGLJson() {
           colorKey = hex.replace('#', 'color_');
         }
 
-        // Convert to valid LVGL identifier while preserving readability
-        const lvglName = colorKey
-          .replace(/[^a-zA-Z0-9_\s-]/g, '') // Remove special chars except spaces and hyphens
-          .replace(/[\s-]+/g, '_')          // Replace spaces and hyphens with underscores
-          .toLowerCase();
+        const lvglName = toLVGLIdentifier(colorKey);
 
         if (!jsonData.colors[lvglName]) {
           jsonData.colors[lvglName] = {
             figma_style_name: color.styleName || null,
+            figma_variable: color.variableName ? `${color.variableCollection}/${color.variableName}` : null,
             hex: hex,
             rgb565: rgb565,
+            color_format: colorFormat,
+            color_value: colorValue,
             lvgl_color: `lv_color_hex(${hex.replace('#', '0x')})`,
-            lvgl_macro: `#define ${lvglName.toUpperCase()} ${rgb565}`
+            lvgl_macro: `#define ${lvglName.toUpperCase()} ${colorValue}`
+          };
+        }
+      });
+    }
+
+    // Every bound color variable gets its own entry, even when another variable with the same
+    // value claimed the color above, and multi-mode ones go into one theme block per mode
+    (analysisData.variables || []).forEach(variable => {
+      if (variable.resolvedType !== 'COLOR' || !variable.modes || variable.modes.length === 0) return;
+      const lvglName = toLVGLIdentifier(variable.name);
+
+      if (!jsonData.colors[lvglName]) {
+        const mode = variable.modes.find(m => m.isDefault) || variable.modes[0];
+        const colorValue = convertColor(mode.hex, colorFormat, mode.opacity);
+        jsonData.colors[lvglName] = {
+          figma_style_name: null,
+          figma_variable: `${variable.collectionName}/${variable.name}`,
+          hex: mode.hex,
+          rgb565: hexToRgb565(mode.hex),
+          color_format: colorFormat,
+          color_value: colorValue,
+          lvgl_color: `lv_color_hex(${mode.hex.replace('#', '0x')})`,
+          lvgl_macro: `#define ${lvglName.toUpperCase()} ${colorValue}`
+        };
+      }
+      if (variable.modes.length > 1) {
+        addLVGLThemeColor(jsonData.themes, lvglName, variable, colorFormat);
+      }
+    });
+
+    // Process corner radii (LVGL has one radius per style, so per-corner radii use the largest)
+    if (analysisData.radii) {
+      analysisData.radii.forEach(radius => {
+        const radiusKey = radius.variableName ||
+          `radius_${(radius.corners || [radius.radius]).map(toLVGLTokenNumber).join('_')}`;
+        const lvglName = toLVGLIdentifier(radiusKey);
+
+        if (!jsonData.radii[lvglName]) {
+          jsonData.radii[lvglName] = {
+            figma_variable: radius.variableName || null,
+            radius: Math.round(getMaxRadius(radius)),
+            figma_corners: radius.corners || null,
+            lvgl_macro: `#define ${lvglName.toUpperCase()} ${Math.round(getMaxRadius(radius))}`
+          };
+        }
+      });
+    }
+
+    // Process stroke weights as border tokens
+    if (analysisData.borders) {
+      analysisData.borders.forEach(border => {
+        let borderKey = border.variableName;
+        if (!borderKey) {
+          const parts = ['border', toLVGLTokenNumber(border.weight)];
+          if (border.sides) parts.push(getLVGLBorderSides(border).map(side => side.toLowerCase()).join('_'));
+          if (border.align !== 'INSIDE') parts.push(border.align.toLowerCase());
+          if (border.dashPattern.length > 0) parts.push('dashed', border.dashPattern.map(toLVGLTokenNumber).join('_'));
+          borderKey = parts.join('_');
+        }
+        const lvglName = toLVGLIdentifier(borderKey);
+
+        if (!jsonData.borders[lvglName]) {
+          const sides = border.sides ? getLVGLBorderSides(border) : [];
+          jsonData.borders[lvglName] = {
+            figma_variable: border.variableName || null,
+            border_width: Math.round(border.weight),
+            border_side: sides.length > 0 ? sides.map(side => `LV_BORDER_SIDE_${side}`).join(' | ') : 'LV_BORDER_SIDE_FULL',
+            figma_stroke_align: border.align,
+            dash_pattern: border.dashPattern
+          };
+        }
+      });
+    }
+
+    // Process spacing values as pad tokens, merging the pad properties each value is used for
+    if (analysisData.spacing) {
+      analysisData.spacing.forEach(entry => {
+        const lvglName = toLVGLIdentifier(entry.variableName || `pad_${toLVGLTokenNumber(entry.value)}`);
+
+        if (!jsonData.spacing[lvglName]) {
+          jsonData.spacing[lvglName] = {
+            figma_variable: entry.variableName || null,
+            value: Math.round(entry.value),
+            on_scale: isOnSpacingScale(entry.value),
+            lvgl_props: [],
+            lvgl_macro: `#define ${lvglName.toUpperCase()} ${Math.round(entry.value)}`
+          };
+        }
+
+        const token = jsonData.spacing[lvglName];
+        Object.keys(entry.properties).forEach(property => {
+          if (!token.lvgl_props.includes(property)) token.lvgl_props.push(property);
+        });
+        token.lvgl_props.sort();
+      });
+    }
+
+    // Process drop shadows (LVGL has no inner shadow or blur style properties)
+    if (analysisData.effects) {
+      const dropShadows = analysisData.effects.filter(effect => effect.effectType === 'DROP_SHADOW');
+
+      // Styles with several drop shadows export one numbered entry per layer
+      const styleShadowCounts = new Map();
+      dropShadows.filter(effect => effect.styleName).forEach(effect => {
+        styleShadowCounts.set(effect.styleName, (styleShadowCounts.get(effect.styleName) || 0) + 1);
+      });
+      const styleShadowIndexes = new Map();
+
+      dropShadows.forEach(effect => {
+        // Prioritize Figma style name, fallback to value-based name
+        const values = [effect.offsetX, effect.offsetY, effect.radius, effect.spread].map(toLVGLTokenNumber);
+        let shadowKey = effect.styleName || `shadow_${values.join('_')}_${effect.hex.replace('#', '')}`;
+        if (effect.styleName && styleShadowCounts.get(effect.styleName) > 1) {
+          const index = (styleShadowIndexes.get(effect.styleName) || 0) + 1;
+          styleShadowIndexes.set(effect.styleName, index);
+          shadowKey += `_${index}`;
+        }
+
+        const lvglName = toLVGLIdentifier(shadowKey);
+
+        if (!jsonData.shadows[lvglName]) {
+          // LVGL's shadow width is the blur size, which matches Figma's blur radius
+          jsonData.shadows[lvglName] = {
+            figma_style_name: effect.styleName || null,
+            shadow_width: Math.round(effect.radius),
+            shadow_ofs_x: Math.round(effect.offsetX),
+            shadow_ofs_y: Math.round(effect.offsetY),
+            shadow_spread: Math.round(effect.spread),
+            shadow_color: `lv_color_hex(${effect.hex.replace('#', '0x')})`,
+            shadow_opa: Math.round(effect.opacity * 255),
+            hex: effect.hex,
+            rgb565: effect.rgb565 || hexToRgb565(effect.hex)
           };
         }
       });
@@ -2611,7 +6161,157 @@ function generateLVGLJson() {
 
   }
 
+  // Component sets with the variant property combinations the screens use, i.e. the widget
+  // states firmware has to implement (icons and standalone components have no states)
+  const components = aggregateAnalysisResults(Array.from(globalAnalysisData.values())).components;
+  const componentSets = new Map();
+  components.filter(comp => comp.isVariant).forEach(comp => {
+    if (!componentSets.has(comp.masterName)) componentSets.set(comp.masterName, []);
+    componentSets.get(comp.masterName).push(comp);
+  });
+  for (const [masterName, variants] of componentSets) {
+    const table = buildVariantPropertyTable(variants);
+    if (!table) continue;
+
+    jsonData.components[toLVGLIdentifier(masterName)] = {
+      figma_component: masterName,
+      properties: table.values,
+      states: table.combinations.map(combination => ({
+        properties: combination.values,
+        instance_count: combination.instanceCount
+      })),
+      instance_count: table.instanceCount
+    };
+  }
+
   return jsonData;
 }
 
+// Convert a Figma name to a valid LVGL identifier while preserving readability
+function toLVGLIdentifier(name) {
+  return name
+    .replace(/[^a-zA-Z0-9_\s-]/g, '') // Remove special chars except spaces and hyphens
+    .replace(/[\s-]+/g, '_')          // Replace spaces and hyphens with underscores
+    .toLowerCase();
+}
+
+// Number for use inside an identifier: 1.5 -> "1p5", -2 -> "n2"
+function toLVGLTokenNumber(value) {
+  return String(Math.round(value * 100) / 100).replace('.', 'p').replace('-', 'n');
+}
+
+// Sides drawn by a border with individual stroke weights (TOP, RIGHT, BOTTOM, LEFT)
+function getLVGLBorderSides(border) {
+  return ['TOP', 'RIGHT', 'BOTTOM', 'LEFT'].filter((side, index) => border.sides[index] > 0);
+}
+
+// Add a color variable's per-mode values to the theme blocks, keyed by mode name, so every
+// theme defines the same identifiers with that mode's values
+function addLVGLThemeColor(themes, lvglName, variable, colorFormat = 'RGB565') {
+  for (const mode of variable.modes) {
+    const themeName = toLVGLIdentifier(mode.name);
+
+    if (!themes[themeName]) {
+      themes[themeName] = {
+        figma_mode: mode.name,
+        figma_collections: [],
+        is_default: mode.isDefault,
+        colors: {}
+      };
+    }
+
+    const theme = themes[themeName];
+    if (!theme.figma_collections.includes(variable.collectionName)) {
+      theme.figma_collections.push(variable.collectionName);
+    }
+    if (!theme.colors[lvglName]) {
+      const colorValue = convertColor(mode.hex, colorFormat, mode.opacity);
+      theme.colors[lvglName] = {
+        hex: mode.hex,
+        rgb565: hexToRgb565(mode.hex),
+        color_format: colorFormat,
+        color_value: colorValue,
+        opacity: mode.opacity,
+        lvgl_color: `lv_color_hex(${mode.hex.replace('#', '0x')})`,
+        lvgl_macro: `#define ${lvglName.toUpperCase()} ${colorValue}`
+      };
+    }
+  }
+}
+
+// clientStorage keys of the plugin UI settings
+const SPACING_SCALE_KEY = 'spacingScale';
+const TOUCH_TARGET_RULE_KEY = 'touchTargetRule';
+const COLOR_DISTANCE_THRESHOLD_KEY = 'colorDistanceThreshold';
+
+// Load saved settings once per session
+let settingsPromise = null;
+function ensureSettingsLoaded() {
+  if (!settingsPromise) {
+    settingsPromise = Promise.all([
+      figma.clientStorage.getAsync(SPACING_SCALE_KEY),
+      figma.clientStorage.getAsync(TOUCH_TARGET_RULE_KEY),
+      figma.clientStorage.getAsync(COLOR_DISTANCE_THRESHOLD_KEY)
+    ])
+      .then(([scale, rule, threshold]) => {
+        setSpacingScale(scale);
+        setTouchTargetRule(rule);
+        setColorDistanceThreshold(threshold);
+      })
+      .catch(() => {
+        // Silently fall back to the default settings
+      });
+  }
+  return settingsPromise;
+}
+
+// Restore analysis results persisted in the document by earlier sessions, and saved settings
+if (isPluginRuntime) {
+  ensurePersistedAnalysisLoaded();
+  ensureSettingsLoaded();
+}
+
+// Expose the analysis core to Node (tests, CLI); the Figma sandbox has no `module`
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateSelection,
+    analyzeFrame,
+    analyzeNode,
+    createAnalysisCollectors,
+    isComponentAnIcon,
+    normalizeComponentIconClassification,
+    storeAnalysisData,
+    globalAnalysisData,
+    compactAnalysisData,
+    expandAnalysisData,
+    persistAnalysisData,
+    readPersistedAnalysisData,
+    loadPersistedAnalysisData,
+    collectSummaryData,
+    groupBySource,
+    buildWhereUsedIndex,
+    selectNodesById,
+    buildComponentMatrix,
+    componentMatrixToCsv,
+    parseVariantProperties,
+    createOrUpdateSummaryAnalysis,
+    rgbToHex,
+    hexToRgb,
+    hexToRgb565,
+    convertColor,
+    quantizeColor,
+    buildQuantizationReport,
+    hexToLab,
+    getCIEDE2000,
+    setSpacingScale,
+    setColorDistanceThreshold,
+    setTouchTargetRule,
+    getDisplayProfiles,
+    saveDisplayProfile,
+    deleteDisplayProfile,
+    setFrameDisplayProfile,
+    generateLVGLJson
+  };
+}
+
 // Plugin is ready - waiting for user interaction
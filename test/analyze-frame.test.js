@@ -0,0 +1,740 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeNode, MIXED, useFigma, loadAnalyser, alias, solid, frame, group, rect, text, page, component, componentSet, instance } = require('./helpers/fake-figma');
+
+const {
+  analyzeFrame,
+  analyzeNode,
+  createAnalysisCollectors,
+  validateSelection,
+  setTouchTargetRule,
+  setColorDistanceThreshold,
+  getDisplayProfiles,
+  saveDisplayProfile,
+  deleteDisplayProfile,
+  setFrameDisplayProfile
+} = loadAnalyser();
+
+// Build a document with the given screen on the first page and return the screen
+function setupScreen(screen, options = {}) {
+  useFigma(Object.assign({ pages: [page({ name: 'Screens' }, [screen])] }, options));
+  return screen;
+}
+
+test('basic frame: extracts colors, fonts and components', async () => {
+  const button = component({ name: 'Button', width: 160, height: 48 });
+  const screen = setupScreen(frame({ name: 'Home', fills: [solid('#FFFFFF')] }, [
+    rect({ fills: [solid('#FF3B30')] }),
+    rect({ fills: [solid('#34C759')] }),
+    text({ fontName: { family: 'Inter', style: 'Bold' }, fontSize: 24 }),
+    instance(button)
+  ]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.colors.map(c => c.hex), ['#000000', '#34C759', '#FF3B30', '#FFFFFF']);
+  assert.deepEqual(result.fonts.map(f => f.displayString), ['Inter Bold 24px']);
+  assert.equal(result.components.length, 1);
+  assert.equal(result.components[0].masterName, 'Button');
+  assert.equal(result.frameInfo.name, 'Home');
+  assert.equal(result.frameInfo.id, screen.id);
+});
+
+test('component-heavy frame: counts instances per variant without duplicates', async () => {
+  const primary = component({ name: 'State=Default' });
+  const pressed = component({ name: 'State=Pressed' });
+  componentSet({ name: 'Button' }, [primary, pressed]);
+  const toggle = component({ name: 'Toggle' });
+
+  const instances = [];
+  for (let i = 0; i < 10; i++) instances.push(instance(primary));
+  instances.push(instance(pressed), instance(toggle), instance(toggle));
+  const screen = setupScreen(frame({ name: 'Controls' }, instances));
+
+  const result = await analyzeFrame(screen);
+  const byName = Object.fromEntries(result.components.map(c => [c.fullName, c]));
+
+  assert.equal(result.components.length, 3);
+  assert.equal(byName['State=Default'].instanceCount, 10);
+  assert.equal(byName['State=Default'].masterName, 'Button');
+  assert.equal(byName['State=Default'].isVariant, true);
+  assert.deepEqual(byName['State=Default'].variantProperties, { State: 'Default' });
+  assert.equal(byName['State=Pressed'].instanceCount, 1);
+  assert.equal(byName.Toggle.instanceCount, 2);
+  assert.ok(!byName.Toggle.isVariant);
+  assert.equal(byName.Toggle.variantProperties, null);
+});
+
+test('component instances with a broken main component are listed as missing, not as components', async () => {
+  const orphan = new FakeNode('INSTANCE', { name: 'Orphan', mainComponent: null });
+  const screen = setupScreen(frame({ name: 'Broken' }, [orphan]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.equal(result.components.length, 0);
+  assert.deepEqual(result.missingComponents, [{ name: 'Orphan', instanceCount: 1, nodeIds: [orphan.id] }]);
+});
+
+test('provenance: components and styles are local or from a team library, broken style references kept', async () => {
+  const local = component({ name: 'Toggle' });
+  const library = component({ name: 'Button', remote: true });
+  const styled = rect({ fills: [solid('#FF0000')], fillStyleId: 'S:brand', effectStyleId: 'S:gone' });
+  const heading = text({ fontSize: 20, textStyleId: 'S:h1' });
+  const screen = setupScreen(frame({ name: 'Sources' }, [instance(local), instance(library), styled, heading]), {
+    styles: [
+      { id: 'S:brand', name: 'Brand/Red', type: 'PAINT', remote: true },
+      { id: 'S:h1', name: 'Heading/H1', type: 'TEXT', fontSize: 20 }
+    ]
+  });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.components.map(c => [c.masterName, c.source]), [['Toggle', 'local'], ['Button', 'library']]);
+  assert.deepEqual(result.styleSources, [
+    { name: 'Brand/Red', type: 'paint', source: 'library' },
+    { name: 'Heading/H1', type: 'text', source: 'local' }
+  ]);
+  assert.deepEqual(result.missingStyles, [{ styleId: 'S:gone', type: 'effect', nodeIds: [styled.id] }]);
+});
+
+test('typography-rich frame: lists every family, weight and size with text styles', async () => {
+  const styles = [{ id: 'S:heading', name: 'Heading/H1', type: 'TEXT', fontSize: 32 }];
+  const screen = setupScreen(frame({ name: 'Typography' }, [
+    text({ fontName: { family: 'Inter', style: 'Regular' }, fontSize: 14 }),
+    text({ fontName: { family: 'Inter', style: 'Regular' }, fontSize: 14 }),
+    text({ fontName: { family: 'Inter', style: 'Light' }, fontSize: 12 }),
+    text({ fontName: { family: 'Roboto', style: 'Bold' }, fontSize: 32, textStyleId: 'S:heading' })
+  ]), { styles });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.fonts.map(f => f.displayString), [
+    'Inter Light 12px',
+    'Inter Regular 14px',
+    'Roboto Bold 32px'
+  ]);
+  assert.equal(result.fonts[2].styleName, 'Heading/H1');
+  assert.equal(result.fonts[2].hasStyle, true);
+  assert.equal(result.fonts[0].hasStyle, false);
+  assert.deepEqual(result.textStyles.map(s => [s.styleName, s.fontFamily, s.fontStyle, s.fontSize]), [
+    ['Heading/H1', 'Roboto', 'Bold', 32]
+  ]);
+});
+
+test('typographic settings: line height, spacing, case, decoration and alignment split fonts', async () => {
+  const screen = setupScreen(frame({ name: 'Labels' }, [
+    text({ fontSize: 14 }),
+    text({ fontSize: 14, lineHeight: { value: 20, unit: 'PIXELS' }, letterSpacing: { value: 0.5, unit: 'PIXELS' } }),
+    text({ fontSize: 14, textCase: 'UPPER', textDecoration: 'UNDERLINE', textAlignHorizontal: 'CENTER', paragraphSpacing: 8 }),
+    text({
+      segments: [
+        { characters: 'Set', fontSize: 14 },
+        { characters: 'point', fontSize: 14, lineHeight: { value: 150, unit: 'PERCENT' } }
+      ]
+    })
+  ]));
+
+  const result = await analyzeFrame(screen);
+  const fonts = result.fonts.filter(f => f.fontSize === 14);
+
+  assert.equal(fonts.length, 4);
+  assert.deepEqual(fonts.map(f => f.fontKey), [
+    'Inter - Regular - 14px',
+    'Inter - Regular - 14px - 150% - 0px - 0px - ORIGINAL - NONE - LEFT',
+    'Inter - Regular - 14px - 20px - 0.5px - 0px - ORIGINAL - NONE - LEFT',
+    'Inter - Regular - 14px - Auto - 0px - 8px - UPPER - UNDERLINE - CENTER'
+  ]);
+  assert.deepEqual(fonts[2].lineHeight, { value: 20, unit: 'PIXELS' });
+  assert.equal(fonts[3].textAlign, 'CENTER');
+});
+
+test('mixed-style text: every styled range contributes its font, text style and fill', async () => {
+  const styles = [
+    { id: 'S:value', name: 'Readout/Value', type: 'TEXT', fontSize: 32 },
+    { id: 'S:alarm', name: 'Status/Alarm', type: 'PAINT' }
+  ];
+  const screen = setupScreen(frame({ name: 'Readout' }, [
+    text({
+      segments: [
+        { characters: '42', fontName: { family: 'Roboto Mono', style: 'Bold' }, fontSize: 32, textStyleId: 'S:value' },
+        { characters: ' bar', fontName: { family: 'Inter', style: 'Regular' }, fontSize: 14 },
+        { characters: ' HIGH', fontName: { family: 'Inter', style: 'Bold' }, fontSize: 14, fills: [solid('#FF3B30')], fillStyleId: 'S:alarm' }
+      ]
+    })
+  ]), { styles });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.fonts.map(f => f.displayString), [
+    'Inter Bold 14px',
+    'Inter Regular 14px',
+    'Roboto Mono Bold 32px'
+  ]);
+  assert.ok(!result.fonts.some(f => f.fontSize === 'Mixed'));
+  assert.equal(result.fonts[2].styleName, 'Readout/Value');
+  assert.deepEqual(result.textStyles.map(t => t.styleName), ['Readout/Value']);
+  assert.deepEqual(result.colors.map(c => `${c.hex} ${c.styleName}`), ['#000000 null', '#FF3B30 Status/Alarm']);
+});
+
+test('color palette frame: solid fills and strokes with styles, opacity, gradients kept out of colors', async () => {
+  const styles = [
+    { id: 'S:primary', name: 'Brand/Primary', type: 'PAINT' },
+    { id: 'S:border', name: 'Neutral/Border', type: 'PAINT' }
+  ];
+  const palette = [];
+  for (let i = 0; i < 15; i++) {
+    const channel = (i * 16).toString(16).padStart(2, '0').toUpperCase();
+    palette.push(rect({ fills: [solid(`#${channel}0000`)] }));
+  }
+  const screen = setupScreen(frame({ name: 'Palette' }, palette.concat([
+    rect({ fills: [solid('#1E88E5')], fillStyleId: 'S:primary' }),
+    rect({ fills: [], strokes: [solid('#CCCCCC')], strokeStyleId: 'S:border' }),
+    rect({ fills: [solid('#1E88E5', 0.5)] }),
+    rect({ fills: [{ type: 'GRADIENT_LINEAR', gradientStops: [] }] }),
+    rect({ fills: [Object.assign(solid('#123456'), { visible: false })] })
+  ])), { styles });
+
+  const result = await analyzeFrame(screen);
+  const byKey = Object.fromEntries(result.colors.map(c => [c.displayHex, c]));
+
+  assert.equal(result.colors.length, 18);
+  assert.equal(byKey['#1E88E5'].styleName, 'Brand/Primary');
+  assert.equal(byKey['#1E88E5 (50%)'].opacity, 0.5);
+  assert.equal(byKey['#CCCCCC'].type, 'stroke');
+  assert.equal(byKey['#CCCCCC'].styleName, 'Neutral/Border');
+  assert.equal(byKey['#123456'], undefined);
+  assert.deepEqual(result.colorStyles, ['Brand/Primary', 'Neutral/Border']);
+});
+
+test('bound variables: colors, radii, spacing and text properties resolve to collection and name', async () => {
+  const collections = [{ id: 'C:1', name: 'Theme' }, { id: 'C:2', name: 'Tokens' }];
+  const variables = [
+    { id: 'V:primary', name: 'color/primary', resolvedType: 'COLOR', variableCollectionId: 'C:1' },
+    { id: 'V:radius', name: 'radius/md', resolvedType: 'FLOAT', variableCollectionId: 'C:2' },
+    { id: 'V:gap', name: 'space/200', resolvedType: 'FLOAT', variableCollectionId: 'C:2' },
+    { id: 'V:body', name: 'font/body', resolvedType: 'FLOAT', variableCollectionId: 'C:2' }
+  ];
+  const primary = Object.assign(solid('#1E88E5'), { boundVariables: { color: alias('V:primary') } });
+  const screen = setupScreen(frame({ name: 'Tokens', itemSpacing: 16, boundVariables: { itemSpacing: alias('V:gap') } }, [
+    rect({ fills: [primary], cornerRadius: 8, boundVariables: { cornerRadius: alias('V:radius') } }),
+    rect({ fills: [], strokes: [primary] }),
+    rect({ fills: [solid('#FF00FF')], boundVariables: { cornerRadius: alias('V:deleted') } }),
+    text({ fontSize: 16, fills: [], boundVariables: { fontSize: alias('V:body') } })
+  ]), { variables, collections });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.variables.map(v => [`${v.collectionName}/${v.name}`, v.properties, v.usageCount]), [
+    ['Theme/color/primary', ['fills', 'strokes'], 2],
+    ['Tokens/font/body', ['fontSize'], 1],
+    ['Tokens/radius/md', ['cornerRadius'], 1],
+    ['Tokens/space/200', ['itemSpacing'], 1]
+  ]);
+  assert.deepEqual(result.variables.find(v => v.id === 'V:gap').values, [16]);
+
+  const color = result.colors.find(c => c.hex === '#1E88E5');
+  assert.equal(color.variableName, 'color/primary');
+  assert.equal(color.variableCollection, 'Theme');
+  assert.equal(result.colors.find(c => c.hex === '#FF00FF').variableName, null);
+  assert.deepEqual(result.fonts[0].variables, { fontSize: 'Tokens / font/body' });
+});
+
+test('aliases into another collection resolve through its default mode', async () => {
+  const collections = [
+    { id: 'C:theme', name: 'HMI Theme', defaultModeId: 'M:day', modes: [{ modeId: 'M:day', name: 'Day' }, { modeId: 'M:night', name: 'Night' }] },
+    { id: 'C:brand', name: 'Brand', defaultModeId: 'M:b', modes: [{ modeId: 'M:a', name: 'Alt' }, { modeId: 'M:b', name: 'Main' }] }
+  ];
+  const variables = [
+    {
+      id: 'V:brand',
+      name: 'brand/primary',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:brand',
+      valuesByMode: { 'M:a': { r: 1, g: 0, b: 0, a: 1 }, 'M:b': { r: 0, g: 0, b: 1, a: 1 } }
+    },
+    {
+      id: 'V:accent',
+      name: 'accent',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:theme',
+      valuesByMode: { 'M:day': { r: 0, g: 1, b: 0, a: 1 }, 'M:night': { type: 'VARIABLE_ALIAS', id: 'V:brand' } }
+    }
+  ];
+  const screen = setupScreen(frame({ name: 'Home', fills: [] }, [
+    rect({ fills: [Object.assign(solid('#00FF00'), { boundVariables: { color: alias('V:accent') } })] })
+  ]), { variables, collections });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.variables[0].modes.map(mode => [mode.name, mode.hex]), [['Day', '#00FF00'], ['Night', '#0000FF']]);
+});
+
+test('gradient and image fills: stops, angle, scale mode and pixel size', async () => {
+  const styles = [{ id: 'S:sky', name: 'Backgrounds/Sky', type: 'PAINT' }];
+  const stops = [
+    { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+    { position: 1, color: { r: 0, g: 0, b: 1, a: 0.5 } }
+  ];
+  const topToBottom = { type: 'GRADIENT_LINEAR', gradientTransform: [[0, 1, 0], [-1, 0, 1]], gradientStops: stops };
+  const screen = setupScreen(frame({ name: 'Media' }, [
+    rect({ fills: [topToBottom], fillStyleId: 'S:sky' }),
+    rect({ fills: [topToBottom] }),
+    rect({ fills: [{ type: 'GRADIENT_RADIAL', gradientTransform: [[1, 0, 0], [0, 1, 0]], gradientStops: stops }] }),
+    // REST paints describe the direction with handle positions instead of a transform
+    rect({ fills: [{ type: 'GRADIENT_LINEAR', gradientHandlePositions: [{ x: 1, y: 0.5 }, { x: 0, y: 0.5 }, { x: 1, y: 1 }], gradientStops: stops }] }),
+    rect({ width: 320, height: 240, fills: [{ type: 'IMAGE', imageHash: 'abc123def456', scaleMode: 'FIT' }] }),
+    rect({ width: 320, height: 240, fills: [{ type: 'IMAGE', imageHash: 'abc123def456', scaleMode: 'FIT' }] }),
+    rect({ fills: [{ type: 'IMAGE', imageRef: 'missing', scaleMode: 'TILE' }] })
+  ]), { styles, images: { abc123def456: { width: 640, height: 480 } } });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.gradients.map(g => [g.gradientType, g.angle, g.usageCount, g.styleName]), [
+    ['Linear', 90, 2, 'Backgrounds/Sky'],
+    ['Radial', 0, 1, null],
+    ['Linear', 180, 1, null]
+  ]);
+  assert.deepEqual(result.gradients[0].stops, [
+    { position: 0, hex: '#FF0000', rgb565: '0xF800', opacity: 1 },
+    { position: 1, hex: '#0000FF', rgb565: '0x001F', opacity: 0.5 }
+  ]);
+  assert.deepEqual(result.images.map(i => [i.imageHash, i.scaleMode, i.pixelWidth, i.pixelHeight, i.width, i.usageCount]), [
+    ['abc123def456', 'FIT', 640, 480, 320, 2],
+    ['missing', 'TILE', null, null, 100, 1]
+  ]);
+  assert.equal(result.colors.length, 0, 'gradient stops are not reported as solid colors');
+});
+
+test('effects: raw shadow and blur values are captured on every node', async () => {
+  const styles = [{ id: 'S:card', name: 'Elevation/Card', type: 'EFFECT' }];
+  const cardShadow = { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 12, spread: 2, visible: true };
+  const screen = setupScreen(frame({ name: 'Cards' }, [
+    rect({ effects: [cardShadow], effectStyleId: 'S:card' }),
+    rect({ effects: [cardShadow] }),
+    rect({ effects: [{ type: 'INNER_SHADOW', color: { r: 1, g: 1, b: 1, a: 1 }, offset: { x: 0, y: -1 }, radius: 0, visible: true }] }),
+    rect({ effects: [{ type: 'BACKGROUND_BLUR', radius: 20, visible: true }, { type: 'LAYER_BLUR', radius: 4, visible: false }] })
+  ]), { styles });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.effectStyles, ['Elevation/Card']);
+  assert.deepEqual(result.effects.map(e => [e.effectType, e.offsetX, e.offsetY, e.radius, e.spread, e.hex, e.opacity, e.styleName, e.usageCount]), [
+    ['DROP_SHADOW', 0, 4, 12, 2, '#000000', 0.25, 'Elevation/Card', 2],
+    ['INNER_SHADOW', 0, -1, 0, 0, '#FFFFFF', 1, null, 1],
+    ['BACKGROUND_BLUR', 0, 0, 20, 0, null, null, null, 1]
+  ]);
+});
+
+test('shape tokens: corner radii, stroke weights, alignment and dashes with counts', async () => {
+  const stroke = [solid('#CCCCCC')];
+  const screen = setupScreen(frame({ name: 'Shapes', cornerRadius: 0 }, [
+    rect({ cornerRadius: 8 }),
+    rect({ cornerRadius: 8, strokes: stroke, strokeWeight: 1, strokeAlign: 'INSIDE' }),
+    rect({
+      cornerRadius: MIXED,
+      topLeftRadius: 12,
+      topRightRadius: 12,
+      bottomRightRadius: 0,
+      bottomLeftRadius: 0,
+      strokes: stroke,
+      strokeWeight: 1,
+      strokeAlign: 'INSIDE'
+    }),
+    rect({ cornerRadius: 4, strokes: stroke, strokeWeight: 2, strokeAlign: 'CENTER', dashPattern: [4, 2] }),
+    rect({
+      strokes: stroke,
+      strokeWeight: MIXED,
+      strokeTopWeight: 0,
+      strokeRightWeight: 0,
+      strokeBottomWeight: 1,
+      strokeLeftWeight: 0,
+      strokeAlign: 'INSIDE'
+    }),
+    rect({ strokes: [], strokeWeight: 3 })
+  ]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.radii.map(r => [r.radius, r.corners, r.usageCount]), [
+    [4, null, 1],
+    [8, null, 2],
+    [null, [12, 12, 0, 0], 1]
+  ]);
+  assert.deepEqual(result.borders.map(b => [b.weight, b.sides, b.align, b.dashPattern, b.usageCount]), [
+    [1, null, 'INSIDE', [], 2],
+    [1, [0, 0, 1, 0], 'INSIDE', [], 1],
+    [2, null, 'CENTER', [4, 2], 1]
+  ]);
+});
+
+test('spacing: auto layout spacing and padding plus measured gaps between absolute children', async () => {
+  const collections = [{ id: 'C:1', name: 'Spacing' }];
+  const variables = [{ id: 'V:md', name: 'spacing/md', resolvedType: 'FLOAT', variableCollectionId: 'C:1' }];
+  const screen = setupScreen(frame({ name: 'Layout', layoutMode: 'VERTICAL', itemSpacing: 0 }, [
+    frame({
+      layoutMode: 'VERTICAL',
+      itemSpacing: 16,
+      paddingTop: 16,
+      paddingRight: 16,
+      paddingBottom: 16,
+      paddingLeft: 16,
+      boundVariables: { itemSpacing: alias('V:md') }
+    }),
+    frame({ layoutMode: 'HORIZONTAL', itemSpacing: 40, primaryAxisAlignItems: 'SPACE_BETWEEN', paddingLeft: 6 }),
+    frame({ layoutMode: 'HORIZONTAL', itemSpacing: 8, layoutWrap: 'WRAP', counterAxisSpacing: 12 }),
+    group({ x: 0, y: 500 }, [
+      rect({ x: 0, y: 500, width: 40, height: 40 }),
+      rect({ x: 48, y: 500, width: 40, height: 40 }),
+      rect({ x: 0, y: 550, width: 88, height: 20 }),
+      rect({ x: 200, y: 700, width: 10, height: 10, visible: false })
+    ])
+  ]), { variables, collections });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.spacing.map(s => [s.value, s.properties, s.measuredCount, s.usageCount]), [
+    [6, { pad_left: 1 }, 0, 1],
+    [8, { pad_column: 2 }, 1, 2],
+    [10, { pad_row: 2 }, 2, 2],
+    [12, { pad_row: 1 }, 0, 1],
+    [16, { pad_row: 1, pad_top: 1, pad_right: 1, pad_bottom: 1, pad_left: 1 }, 0, 5]
+  ]);
+  assert.equal(result.spacing[4].variableName, 'spacing/md');
+});
+
+test('usage counts: every paint and styled text range counts towards its color and font', async () => {
+  const screen = setupScreen(frame({ name: 'Counts', fills: [solid('#FFFFFF')] }, [
+    rect({ fills: [solid('#FF3B30')], strokes: [solid('#FF3B30')] }),
+    rect({ fills: [solid('#FF3B30', 0.4)] }),
+    text({ fontSize: 14 }),
+    text({
+      segments: [
+        { characters: 'Bold', fontName: { family: 'Inter', style: 'Bold' }, fontSize: 14 },
+        { characters: ' regular', fontSize: 14 }
+      ]
+    })
+  ]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.colors.map(c => [c.displayHex, c.usageCount]), [
+    ['#000000', 2],
+    ['#FF3B30', 2],
+    ['#FF3B30 (40%)', 1],
+    ['#FFFFFF', 1]
+  ]);
+  assert.deepEqual(result.fonts.map(f => [f.displayString, f.usageCount]), [
+    ['Inter Bold 14px', 1],
+    ['Inter Regular 14px', 2]
+  ]);
+});
+
+test('where used: entries record the IDs of the layers using them, once per layer', async () => {
+  const button = component({ name: 'Button' });
+  const first = instance(button);
+  const second = instance(button);
+  const outlined = rect({ fills: [solid('#FF3B30')], strokes: [solid('#FF3B30')] });
+  const label = text({
+    segments: [
+      { characters: 'A', fontSize: 14 },
+      { characters: 'B', fontSize: 16 },
+      { characters: 'C', fontSize: 14 }
+    ]
+  });
+  const screen = setupScreen(frame({ name: 'Where' }, [outlined, label, first, second]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.colors.find(c => c.hex === '#FF3B30').nodeIds, [outlined.id]);
+  assert.deepEqual(result.colors.find(c => c.hex === '#000000').nodeIds, [label.id]);
+  assert.deepEqual(result.fonts.map(f => f.nodeIds), [[label.id], [label.id]]);
+  assert.deepEqual(result.components[0].nodeIds, [first.id, second.id]);
+});
+
+test('instance configuration: component property values and overrides not set through a property', async () => {
+  const chevron = component({ name: 'Chevron' });
+  const button = component({ name: 'Button' });
+  const props = (label, showIcon) => ({
+    'Label#1:0': { type: 'TEXT', value: label },
+    'Show icon#2:0': { type: 'BOOLEAN', value: showIcon },
+    'Icon#3:0': { type: 'INSTANCE_SWAP', value: chevron.id },
+    'State': { type: 'VARIANT', value: 'Default' }
+  });
+  const plain = instance(button, { componentProperties: props('OK', true) });
+  const faked = instance(button, { componentProperties: props('OK', false) });
+  const caption = text({ characters: 'Cancel', componentPropertyReferences: { characters: 'Label#1:0' } });
+  const badge = rect({ componentPropertyReferences: {} });
+  faked.appendChild(caption);
+  faked.appendChild(badge);
+  faked.overrides = [
+    { id: faked.id, overriddenFields: ['fills', 'opacity'] },
+    { id: caption.id, overriddenFields: ['characters'] },
+    { id: badge.id, overriddenFields: ['visible'] }
+  ];
+  const screen = setupScreen(frame({ name: 'Dialog' }, [chevron, plain, faked]));
+
+  const result = await analyzeFrame(screen);
+  const entry = result.components.find(c => c.masterName === 'Button');
+
+  assert.deepEqual(entry.componentProperties, {
+    Label: { type: 'TEXT', values: { OK: 2 } },
+    'Show icon': { type: 'BOOLEAN', values: { true: 1, false: 1 } },
+    Icon: { type: 'INSTANCE_SWAP', values: { Chevron: 2 } }
+  });
+  assert.deepEqual(entry.overrides, { fills: 1, visibility: 1 });
+});
+
+test('look-alikes: frames matching a component by two of name, layer tree and size are flagged as detached', async () => {
+  const button = component({ name: 'State=Default', width: 160, height: 48 }, [rect(), text({ characters: 'OK' })]);
+  componentSet({ name: 'Button' }, [button]);
+  const detached = frame({ name: 'Button', width: 160, height: 48 }, [rect(), text({ characters: 'OK' })]);
+  const tweaked = frame({ name: 'Save', width: 150, height: 50 }, [rect(), text({ characters: 'Save' })]);
+  const card = frame({ name: 'Card', width: 300, height: 200 }, [rect(), text({ characters: 'Title' })]);
+  const heading = frame({ name: 'button', width: 400, height: 40 }, [text({ characters: 'Buttons' })]);
+  const screen = frame({ name: 'Form', layoutMode: 'VERTICAL' }, [detached, tweaked, card, heading, instance(button)]);
+  useFigma({ pages: [page({ name: 'Screens' }, [screen]), page({ name: 'Library' }, [button.parent])] });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.detached, [
+    { name: 'Button', nodeId: detached.id, componentName: 'Button', componentId: button.parent.id, reasons: ['name', 'layer tree', 'size'] },
+    { name: 'Save', nodeId: tweaked.id, componentName: 'Button', componentId: button.parent.id, reasons: ['layer tree', 'size'] }
+  ]);
+  assert.equal(result.components[0].instanceCount, 1);
+});
+
+test('contrast: text is rated against the blended layers behind it, weakest range first', async () => {
+  const grey = text({ characters: 'Grey', fills: [solid('#777777')], x: 0, y: 0, width: 80, height: 20 });
+  const dim = text({ characters: 'Dim', fills: [solid('#767676')], x: 100, y: 0, width: 80, height: 20 });
+  const heading = text({ characters: 'Heading', fills: [solid('#949494')], fontName: { family: 'Inter', style: 'Bold' }, fontSize: 20, x: 200, y: 0, width: 80, height: 20 });
+  const onCard = text({ characters: 'On card', fills: [solid('#FFFFFF')], x: 10, y: 110, width: 80, height: 20 });
+  const onScrim = text({ characters: 'On scrim', fills: [solid('#FFFFFF')], x: 10, y: 10, width: 80, height: 20 });
+  const onPhoto = text({ characters: 'On photo', x: 10, y: 310, width: 80, height: 20 });
+  const screen = setupScreen(frame({ name: 'Cabin', width: 400, height: 400, fills: [solid('#FFFFFF')] }, [
+    grey, dim, heading,
+    rect({ x: 0, y: 100, width: 200, height: 100, fills: [solid('#1E1E1E')] }),
+    onCard,
+    frame({ x: 0, y: 200, width: 200, height: 100, fills: [] }, [
+      rect({ x: 0, y: 0, width: 200, height: 100, fills: [solid('#000000')], opacity: 0.5 }),
+      onScrim
+    ]),
+    rect({ x: 0, y: 300, width: 200, height: 100, fills: [{ type: 'IMAGE', imageHash: 'photo', scaleMode: 'FILL' }] }),
+    onPhoto
+  ]));
+
+  const result = await analyzeFrame(screen);
+  const issues = result.accessibility.issues.map(issue =>
+    [issue.characters, issue.level, issue.largeText, issue.textHex, issue.backgroundHex, issue.nodeId]);
+
+  assert.equal(result.accessibility.checkedCount, 5);
+  assert.deepEqual(issues, [
+    ['Heading', 'AA', true, '#949494', '#FFFFFF', heading.id],
+    ['On scrim', 'fail', false, '#FFFFFF', '#808080', onScrim.id],
+    ['Grey', 'fail', false, '#777777', '#FFFFFF', grey.id],
+    ['Dim', 'AA', false, '#767676', '#FFFFFF', dim.id]
+  ]);
+  assert.equal(result.accessibility.issues[2].ratio, 4.48);
+});
+
+test('contrast: text inside a faded group is rated with the group opacity', async () => {
+  const faded = text({ characters: 'Faded', fills: [solid('#000000')], x: 0, y: 0, width: 80, height: 20 });
+  const screen = setupScreen(frame({ name: 'Cabin', width: 400, height: 400, fills: [solid('#FFFFFF')] }, [
+    group({ x: 0, y: 0, width: 80, height: 20, opacity: 0.2 }, [faded])
+  ]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.equal(result.accessibility.checkedCount, 1);
+  assert.deepEqual(result.accessibility.issues.map(issue => [issue.nodeId, issue.level, issue.textHex, issue.ratio]), [
+    [faded.id, 'fail', '#CCCCCC', 1.61]
+  ]);
+});
+
+test('touch targets: undersized and crowded interactive instances under the configured rule', async () => {
+  const button = component({ name: 'Button', width: 40, height: 40 });
+  const key = component({ name: 'Digit', width: 60, height: 60 });
+  const keypad = component({ name: 'Keypad', width: 200, height: 60 });
+  const label = component({ name: 'Label', width: 20, height: 20 });
+  const small = instance(button, { x: 0, y: 0 });
+  const first = instance(key, { x: 0, y: 100 });
+  const second = instance(key, { x: 64, y: 100 });
+  const pad = instance(keypad, { x: 0, y: 200 });
+  pad.appendChild(instance(button, { x: 0, y: 0 }));
+  const screen = setupScreen(frame({ name: 'Dial', width: 400, height: 400 }, [
+    small, first, second, pad, instance(label, { x: 300, y: 0 })
+  ]));
+
+  setTouchTargetRule({ minSizeMm: 9, minGapMm: 2, namePattern: 'button', componentSets: 'Digit, Keypad' });
+  try {
+    const result = await analyzeFrame(screen);
+    const { touchTargets } = result;
+
+    assert.equal(touchTargets.minSizePx, 57);
+    assert.equal(touchTargets.minGapPx, 13);
+    assert.equal(touchTargets.checkedCount, 4);
+    assert.deepEqual(touchTargets.undersized.map(target => [target.nodeId, target.width, target.height]), [[small.id, 40, 40]]);
+    assert.deepEqual(touchTargets.tooClose.map(pair => [pair.first.nodeId, pair.second.nodeId, pair.gap]), [[first.id, second.id, 4]]);
+  } finally {
+    setTouchTargetRule(null);
+  }
+});
+
+test('touch targets: sizes are converted at the DPI of the frame\'s display profile', async () => {
+  const button = component({ name: 'Button', width: 60, height: 60 });
+  const target = instance(button, { x: 0, y: 0 });
+  const screen = setupScreen(frame({ name: 'Dial', width: 400, height: 400 }, [target]));
+  saveDisplayProfile({ name: 'Dense', dpi: 220, colorFormat: 'RGB565' });
+  setFrameDisplayProfile(screen, 'Dense');
+
+  const { touchTargets } = await analyzeFrame(screen);
+
+  assert.equal(touchTargets.minSizePx, 78);
+  assert.equal(touchTargets.rule.dpi, 220);
+  assert.deepEqual(touchTargets.undersized.map(entry => entry.nodeId), [target.id]);
+});
+
+test('touch targets: the name pattern matches whole words only, including camelCase humps', async () => {
+  const names = ['Tab Bar', 'Table', 'Keyline', 'Primary_Button', 'Key/Digit', 'Tablet frame', 'PrimaryButton', 'toggleSwitch', 'UIKey', 'Keypad'];
+  const targets = names.map((name, index) => instance(component({ name: name, width: 20, height: 20 }), { x: index * 100, y: 0 }));
+  const screen = setupScreen(frame({ name: 'Dial', width: 1200, height: 400 }, targets));
+
+  const { touchTargets } = await analyzeFrame(screen);
+
+  assert.deepEqual(touchTargets.undersized.map(entry => entry.name), ['Tab Bar', 'Primary_Button', 'Key/Digit', 'PrimaryButton', 'toggleSwitch', 'UIKey']);
+});
+
+test('near-duplicate colors: clustered by CIEDE2000 within the threshold, with the closest paint style', async () => {
+  const styles = [
+    { id: 'S:blue', name: 'Primary/Blue', type: 'PAINT', paints: [solid('#1E88E5')] },
+    { id: 'S:red', name: 'Alarm', type: 'PAINT', paints: [solid('#E53935')] }
+  ];
+  const screen = setupScreen(frame({ name: 'Home', fills: [] }, [
+    rect({ fills: [solid('#1E88E5')] }),
+    rect({ fills: [solid('#1E88E5')] }),
+    rect({ fills: [solid('#1E87E6')] }),
+    rect({ fills: [solid('#1E87E6', 0.5)] }),
+    rect({ fills: [solid('#E53935')] }),
+    rect({ fills: [solid('#E63A36')] }),
+    rect({ fills: [solid('#43A047')] })
+  ]), { styles });
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.colorClusters.map(cluster => [cluster.members.map(member => [member.hex, member.usageCount]), cluster.usageCount]), [
+    [[['#1E88E5', 2], ['#1E87E6', 1]], 3],
+    [[['#E53935', 1], ['#E63A36', 1]], 2]
+  ]);
+  assert.equal(result.colorClusters[0].maxDistance, 0.44);
+  assert.deepEqual(result.colorClusters[0].closestStyle, { name: 'Primary/Blue', hex: '#1E88E5', distance: 0 });
+  assert.equal(result.colorClusters[1].closestStyle.name, 'Alarm');
+
+  setColorDistanceThreshold(0.4);
+  try {
+    assert.deepEqual((await analyzeFrame(screen)).colorClusters.map(cluster => cluster.members.length), [2]);
+  } finally {
+    setColorDistanceThreshold(null);
+  }
+});
+
+test('display profiles: stored in the document, chosen per frame, first profile by default', async () => {
+  const dashboard = frame({ name: 'Dashboard', width: 800, height: 480 });
+  const settings = frame({ name: 'Settings', width: 480, height: 800 });
+  useFigma({ pages: [page({ name: 'Screens' }, [dashboard, settings])] });
+
+  assert.deepEqual(getDisplayProfiles().map(profile => profile.name), ['Default']);
+  assert.equal((await analyzeFrame(dashboard)).frameInfo.displayProfile.colorFormat, 'RGB565');
+
+  saveDisplayProfile({ name: ' Panel 7" ', width: '800', height: '480', dpi: '133', colorFormat: 'ARGB8888' });
+  saveDisplayProfile({ name: 'Mono', width: '', height: null, dpi: 100, colorFormat: 'L8' });
+  assert.throws(() => saveDisplayProfile({ name: 'Broken', dpi: 160, colorFormat: 'RGB444' }), /Unknown color format/);
+  assert.throws(() => saveDisplayProfile({ name: 'Broken', dpi: 0, colorFormat: 'RGB565' }), /Invalid display DPI/);
+  assert.throws(() => saveDisplayProfile({ name: '', dpi: 160, colorFormat: 'RGB565' }), /needs a name/);
+  assert.throws(() => setFrameDisplayProfile(dashboard, 'Unknown'), /Unknown display profile/);
+
+  setFrameDisplayProfile(dashboard, 'Panel 7"');
+  setFrameDisplayProfile(settings, 'Mono');
+  assert.deepEqual((await analyzeFrame(dashboard)).frameInfo.displayProfile,
+    { name: 'Panel 7"', width: 800, height: 480, dpi: 133, colorFormat: 'ARGB8888' });
+  assert.deepEqual((await analyzeFrame(settings)).frameInfo.displayProfile,
+    { name: 'Mono', width: null, height: null, dpi: 100, colorFormat: 'L8' });
+
+  // Frames using a deleted profile fall back to the first one; the last profile stays
+  deleteDisplayProfile('Mono');
+  assert.equal((await analyzeFrame(settings)).frameInfo.displayProfile.name, 'Default');
+  deleteDisplayProfile('Default');
+  assert.throws(() => deleteDisplayProfile('Panel 7"'), /last display profile/);
+  assert.equal((await analyzeFrame(settings)).frameInfo.displayProfile.name, 'Panel 7"');
+});
+
+test('icons are separated from components', async () => {
+  const icon = component({ name: 'ic_warning', width: 24, height: 24 });
+  const prefixed = component({ name: 'i-pump', width: 48, height: 48 });
+  const card = component({ name: 'c-icon-card', width: 48, height: 48 });
+  const screen = setupScreen(frame({ name: 'Status' }, [instance(icon), instance(prefixed), instance(card)]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.icons.map(i => i.masterName).sort(), ['i-pump', 'ic_warning']);
+  assert.deepEqual(result.components.map(c => c.masterName), ['c-icon-card']);
+  assert.ok(result.icons.every(i => i.isIcon));
+});
+
+test('nested frames are analysed and hidden or tiny nodes are skipped', async () => {
+  const screen = setupScreen(frame({ name: 'Nested' }, [
+    frame({ name: 'Panel' }, [
+      group({ name: 'Group' }, [rect({ fills: [solid('#00FF00')] })])
+    ]),
+    rect({ fills: [solid('#FF00FF')], visible: false }),
+    rect({ fills: [solid('#0000FF')], width: 0.5, height: 0.5 })
+  ]));
+
+  const result = await analyzeFrame(screen);
+  const hexes = result.colors.map(c => c.hex);
+
+  assert.ok(hexes.includes('#00FF00'));
+  assert.ok(!hexes.includes('#FF00FF'));
+  assert.ok(!hexes.includes('#0000FF'));
+});
+
+test('the analysed frame contributes its own fill', async () => {
+  const screen = setupScreen(frame({ name: 'Background', fills: [solid('#101820')] }, [rect({ fills: [] })]));
+
+  const result = await analyzeFrame(screen);
+
+  assert.deepEqual(result.colors.map(c => c.hex), ['#101820']);
+});
+
+test('large frame: analyses every element and reports progress', async () => {
+  const children = [];
+  for (let i = 0; i < 1000; i++) {
+    children.push(rect({ fills: [solid(i % 2 === 0 ? '#FFFFFF' : '#000000')] }));
+  }
+  const screen = setupScreen(frame({ name: 'Large' }, children));
+
+  const result = await analyzeFrame(screen);
+
+  assert.equal(result.frameInfo.elementCount, 1000);
+  assert.equal(result.colors.length, 2);
+  const progress = figma.ui.messages.filter(m => m.type === 'progress').map(m => m.message);
+  assert.ok(progress.includes('Processed 1000/1000 elements...'));
+});
+
+test('analyzeNode fills the given collectors', async () => {
+  setupScreen(frame({ name: 'Unused' }));
+  const collectors = createAnalysisCollectors();
+
+  await analyzeNode(text({ fontName: { family: 'Inter', style: 'Medium' }, fontSize: 18 }), collectors);
+
+  assert.deepEqual(Array.from(collectors.fonts.keys()), ['Inter - Medium - 18px']);
+  assert.deepEqual(Array.from(collectors.colors.keys()), ['#000000']);
+});
+
+test('validateSelection rejects empty, non-frame and mixed selections', () => {
+  const screen = frame({ name: 'Screen' });
+  const shape = rect({});
+
+  assert.equal(validateSelection([]).isValid, false);
+  assert.match(validateSelection([shape]).message, /not frames/);
+  assert.match(validateSelection([screen, shape]).message, /1 non-frame/);
+  assert.deepEqual(validateSelection([screen]).frames, [screen]);
+});
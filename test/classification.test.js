@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAnalyser, component, componentSet } = require('./helpers/fake-figma');
+
+const { isComponentAnIcon, normalizeComponentIconClassification } = loadAnalyser();
+
+test('isComponentAnIcon: icon naming conventions', () => {
+  assert.equal(isComponentAnIcon(component({ name: 'ic_alarm' })), true);
+  assert.equal(isComponentAnIcon(component({ name: 'Icon / Pump' })), true);
+  assert.equal(isComponentAnIcon(component({ name: 'i-valve' })), true);
+  assert.equal(isComponentAnIcon(component({ name: 'Button', width: 24, height: 24 })), false);
+});
+
+test('isComponentAnIcon: hard prefixes win over naming', () => {
+  assert.equal(isComponentAnIcon(component({ name: 'c-icon-button' })), false);
+  assert.equal(isComponentAnIcon(component({ name: 'i-button' })), true);
+});
+
+test('isComponentAnIcon: component set name and variant properties', () => {
+  const variant = component({ name: 'Size=24' });
+  componentSet({ name: 'Icon/Alarm' }, [variant]);
+  assert.equal(isComponentAnIcon(variant), true);
+
+  const withIconProp = component({ name: 'Type=Icon', variantProperties: { Type: 'Icon' } });
+  componentSet({ name: 'Badge' }, [withIconProp]);
+  assert.equal(isComponentAnIcon(withIconProp), true);
+});
+
+test('normalizeComponentIconClassification moves entries between lists', () => {
+  const data = normalizeComponentIconClassification({
+    components: [
+      { masterName: 'Icons/i-pump', isIcon: false },
+      { masterName: 'Button', isIcon: false }
+    ],
+    icons: [
+      { masterName: 'c-badge', isIcon: true },
+      { masterName: 'ic_warning', isIcon: true }
+    ]
+  });
+
+  assert.deepEqual(data.components.map(c => c.masterName), ['Button', 'c-badge']);
+  assert.deepEqual(data.icons.map(c => c.masterName), ['Icons/i-pump', 'ic_warning']);
+  assert.ok(data.icons.every(c => c.isIcon === true));
+  assert.ok(data.components.every(c => c.isIcon === false));
+});
+
+test('normalizeComponentIconClassification tolerates missing lists', () => {
+  assert.equal(normalizeComponentIconClassification(null), null);
+  assert.deepEqual(normalizeComponentIconClassification({}), { components: [], icons: [] });
+});
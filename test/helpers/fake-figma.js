@@ -0,0 +1,260 @@
+// In-memory stand-in for the parts of the Figma Plugin API that code.js uses.
+// Nodes are plain objects with the same property names as the plugin API, so the
+// analysis core runs unchanged in Node.
+
+let nextId = 1;
+
+class FakeNode {
+  constructor(type, props = {}, children = []) {
+    Object.assign(this, {
+      id: `${nextId++}:1`,
+      type: type,
+      name: type.toLowerCase(),
+      visible: true,
+      removed: false,
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100
+    }, props);
+    this.parent = null;
+    this.children = [];
+    this.pluginData = {};
+    children.forEach(child => this.appendChild(child));
+  }
+
+  appendChild(child) {
+    if (child.parent) {
+      child.parent.children = child.parent.children.filter(c => c !== child);
+    }
+    child.parent = this;
+    this.children.push(child);
+  }
+
+  remove() {
+    if (this.parent) {
+      this.parent.children = this.parent.children.filter(c => c !== this);
+    }
+    this.parent = null;
+    this.removed = true;
+  }
+
+  // Depth-first descendants (excluding the node itself), like the plugin API
+  findAll(callback) {
+    const found = [];
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (!callback || callback(child)) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  findOne(callback) {
+    return this.findAll(callback)[0] || null;
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getPluginData(key) {
+    return this.pluginData[key] || '';
+  }
+
+  setPluginData(key, value) {
+    this.pluginData[key] = value;
+  }
+
+  async exportAsync() {
+    return new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+  }
+
+  async getMainComponentAsync() {
+    return this.mainComponent || null;
+  }
+
+  // Styled ranges for TEXT nodes built with text({ segments })
+  getStyledTextSegments(fields) {
+    let start = 0;
+    return (this.segments || []).map(segment => {
+      const characters = segment.characters || '';
+      const range = { characters: characters, start: start, end: start + characters.length };
+      fields.forEach(field => { range[field] = segment[field]; });
+      start += characters.length;
+      return range;
+    });
+  }
+}
+
+// Stand-in for figma.mixed (the analyser only checks for a symbol)
+const MIXED = Symbol('figma.mixed');
+
+// Solid paint from a hex string, e.g. solid('#FF3B30', 0.5)
+function solid(hex, opacity) {
+  const value = hex.replace('#', '');
+  const paint = {
+    type: 'SOLID',
+    visible: true,
+    color: {
+      r: parseInt(value.slice(0, 2), 16) / 255,
+      g: parseInt(value.slice(2, 4), 16) / 255,
+      b: parseInt(value.slice(4, 6), 16) / 255
+    }
+  };
+  if (opacity !== undefined) paint.opacity = opacity;
+  return paint;
+}
+
+const frame = (props, children) => new FakeNode('FRAME', props, children);
+const group = (props, children) => new FakeNode('GROUP', props, children);
+const rect = (props) => new FakeNode('RECTANGLE', props);
+const page = (props, children) => new FakeNode('PAGE', props, children);
+const componentSet = (props, children) => new FakeNode('COMPONENT_SET', props, children);
+
+// Text node; pass `segments` (styled ranges) to build mixed-style text, in which case any
+// property that differs between ranges reads as figma.mixed on the node
+function text(props = {}) {
+  const defaults = {
+    characters: 'Label',
+    fontName: { family: 'Inter', style: 'Regular' },
+    fontSize: 14,
+    textStyleId: '',
+    fillStyleId: '',
+    fills: [solid('#000000')],
+    lineHeight: { unit: 'AUTO' },
+    letterSpacing: { value: 0, unit: 'PERCENT' },
+    paragraphSpacing: 0,
+    textCase: 'ORIGINAL',
+    textDecoration: 'NONE',
+    textAlignHorizontal: 'LEFT'
+  };
+
+  if (props.segments) {
+    const segments = props.segments.map(segment => Object.assign({}, defaults, segment));
+    defaults.characters = segments.map(segment => segment.characters).join('');
+    for (const field of ['fontName', 'fontSize', 'textStyleId', 'fillStyleId', 'fills', 'lineHeight', 'letterSpacing', 'textCase', 'textDecoration']) {
+      const values = segments.map(segment => JSON.stringify(segment[field]));
+      defaults[field] = values.every(value => value === values[0]) ? segments[0][field] : MIXED;
+    }
+    props = Object.assign({}, props, { segments: segments });
+  }
+
+  return new FakeNode('TEXT', Object.assign(defaults, props));
+}
+
+function component(props = {}, children) {
+  return new FakeNode('COMPONENT', Object.assign({ key: `key-${nextId}` }, props), children);
+}
+
+function instance(mainComponent, props = {}) {
+  return new FakeNode('INSTANCE', Object.assign({
+    name: mainComponent.name,
+    mainComponent: mainComponent,
+    width: mainComponent.width,
+    height: mainComponent.height
+  }, props));
+}
+
+// Alias binding a property or paint to a variable, as found in `boundVariables`
+function alias(variableId) {
+  return { type: 'VARIABLE_ALIAS', id: variableId };
+}
+
+// Build a fake `figma` global. `pages` become the document's pages; `styles` is a list of
+// { id, name, type, ... } returned by getStyleByIdAsync() and, unless `remote`, listed as local
+// styles; `variables` and `collections` are
+// { id, ... } objects returned by figma.variables; `images` maps image hashes to pixel sizes.
+function createFakeFigma({ pages = [], styles = [], variables = [], collections = [], images = {} } = {}) {
+  const root = new FakeNode('DOCUMENT', { name: 'Document' });
+  (pages.length > 0 ? pages : [page({ name: 'Page 1' })]).forEach(p => root.appendChild(p));
+
+  const styleMap = new Map(styles.map(style => [style.id, style]));
+  const variableMap = new Map(variables.map(variable => [variable.id, variable]));
+  const collectionMap = new Map(collections.map(collection => [collection.id, collection]));
+  const storage = new Map();
+  const messages = [];
+
+  const created = (node) => {
+    figmaApi.currentPage.appendChild(node);
+    return node;
+  };
+
+  const figmaApi = {
+    root: root,
+    currentPage: root.children[0],
+    mixed: MIXED,
+    ui: {
+      messages: messages,
+      postMessage: (msg) => messages.push(msg),
+      onmessage: null
+    },
+    viewport: { scrollAndZoomIntoView: () => {} },
+    clientStorage: {
+      getAsync: async (key) => storage.get(key),
+      setAsync: async (key, value) => { storage.set(key, value); }
+    },
+    getNodeById: (id) => {
+      if (root.id === id) return root;
+      return root.findOne(node => node.id === id);
+    },
+    getStyleByIdAsync: async (id) => styleMap.get(id) || null,
+    getLocalPaintStylesAsync: async () => styles.filter(style => style.type === 'PAINT' && !style.remote),
+    getLocalTextStylesAsync: async () => styles.filter(style => style.type === 'TEXT' && !style.remote),
+    getLocalEffectStylesAsync: async () => styles.filter(style => style.type === 'EFFECT' && !style.remote),
+    variables: {
+      getVariableByIdAsync: async (id) => variableMap.get(id) || null,
+      getVariableCollectionByIdAsync: async (id) => collectionMap.get(id) || null
+    },
+    loadFontAsync: async () => {},
+    createPage: () => {
+      const newPage = page({ name: 'Page' });
+      root.appendChild(newPage);
+      return newPage;
+    },
+    createFrame: () => created(frame({ name: 'Frame' })),
+    createText: () => created(text({ characters: '' })),
+    createRectangle: () => created(rect({ name: 'Rectangle' })),
+    createImage: () => ({ hash: `image-${nextId++}` }),
+    getImageByHash: (hash) => (images[hash]
+      ? { hash: hash, getSizeAsync: async () => images[hash] }
+      : null),
+    closePlugin: () => {}
+  };
+
+  return figmaApi;
+}
+
+// Install a fake `figma` global and load code.js headless (the module is loaded once and
+// reads the global on every call, so tests can swap documents between cases)
+function useFigma(options) {
+  const fakeFigma = createFakeFigma(options);
+  global.figma = fakeFigma;
+  return fakeFigma;
+}
+
+function loadAnalyser() {
+  if (!global.figma) useFigma();
+  return require('../../code.js');
+}
+
+module.exports = {
+  FakeNode,
+  MIXED,
+  alias,
+  useFigma,
+  loadAnalyser,
+  createFakeFigma,
+  solid,
+  frame,
+  group,
+  rect,
+  text,
+  page,
+  component,
+  componentSet,
+  instance
+};
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRestFigma, selectFrames, fontStyleName } = require('../cli/rest-adapter');
+const { parseArgs, analyseFile, main } = require('../cli/frame-analyser');
+const { parseVariantProperties } = require('../code.js');
+
+const fixturePath = path.join(__dirname, 'fixtures', 'rest-file.json');
+const variablesPath = path.join(__dirname, 'fixtures', 'rest-variables.json');
+const loadFixture = () => JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+const loadVariables = () => JSON.parse(fs.readFileSync(variablesPath, 'utf8'));
+
+test('fontStyleName derives plugin style names from REST type styles', () => {
+  assert.equal(fontStyleName({ fontStyle: 'Bold Italic' }), 'Bold Italic');
+  assert.equal(fontStyleName({ fontPostScriptName: 'Inter-SemiBold', fontWeight: 600 }), 'SemiBold');
+  assert.equal(fontStyleName({ fontPostScriptName: 'Inter-MediumItalic' }), 'Medium Italic');
+  assert.equal(fontStyleName({ fontWeight: 700 }), 'Bold');
+  assert.equal(fontStyleName({ fontWeight: 400, italic: true }), 'Italic');
+});
+
+test('parseVariantProperties splits variant properties', () => {
+  assert.deepEqual(parseVariantProperties('State=Pressed, Size=Large'), { State: 'Pressed', Size: 'Large' });
+  assert.equal(parseVariantProperties('Button'), null);
+});
+
+test('createRestFigma exposes nodes and styles in plugin API shape', async () => {
+  const restFigma = createRestFigma(loadFixture());
+  const title = restFigma.getNodeById('1:2');
+  const button = restFigma.getNodeById('1:5');
+
+  assert.equal(restFigma.root.children[0].type, 'PAGE');
+  assert.deepEqual(title.fontName, { family: 'Inter', style: 'SemiBold' });
+  assert.equal(title.textStyleId, 'S:heading');
+  assert.equal(title.x, 24);
+  assert.equal((await restFigma.getStyleByIdAsync('S:heading')).name, 'Heading/H1');
+
+  const main = await button.getMainComponentAsync();
+  assert.equal(main.key, 'btn-default');
+  assert.equal(main.parent.name, 'Button');
+  assert.deepEqual(main.variantProperties, { State: 'Default' });
+
+  const remote = await restFigma.getNodeById('1:6').getMainComponentAsync();
+  assert.equal(remote.name, 'ic_alarm');
+  assert.equal(remote.remote, true);
+});
+
+test('REST character style overrides become styled text ranges', () => {
+  const restFigma = createRestFigma(loadFixture());
+  const pressure = restFigma.getNodeById('1:7');
+
+  assert.equal(pressure.fontName, restFigma.mixed);
+  assert.equal(pressure.fills, restFigma.mixed);
+  assert.deepEqual(pressure.getStyledTextSegments(['fontName', 'fontSize']), [
+    { characters: '4.2', start: 0, end: 3, fontName: { family: 'Roboto Mono', style: 'Bold' }, fontSize: 32 },
+    { characters: ' bar', start: 3, end: 7, fontName: { family: 'Roboto', style: 'Regular' }, fontSize: 14 }
+  ]);
+});
+
+test('REST type styles map to plugin line height, letter spacing and text settings', () => {
+  const restFigma = createRestFigma(loadFixture());
+  const status = restFigma.getNodeById('1:3');
+  const title = restFigma.getNodeById('1:2');
+
+  assert.deepEqual(status.lineHeight, { value: 20, unit: 'PIXELS' });
+  assert.deepEqual(status.letterSpacing, { value: 0.5, unit: 'PIXELS' });
+  assert.equal(status.textCase, 'UPPER');
+  assert.equal(status.textAlignHorizontal, 'CENTER');
+  assert.deepEqual(title.lineHeight, { unit: 'AUTO' });
+  assert.equal(title.textDecoration, 'NONE');
+});
+
+test('selectFrames picks frames by name or ID, defaulting to all top-level frames', () => {
+  const restFigma = createRestFigma(loadFixture());
+
+  assert.deepEqual(selectFrames(restFigma).map(f => f.name), ['Home', 'Settings']);
+  assert.deepEqual(selectFrames(restFigma, ['Settings', '1:1']).map(f => f.id), ['2:1', '1:1']);
+  assert.deepEqual(selectFrames(restFigma, [], 'Components'), []);
+  assert.throws(() => selectFrames(restFigma, ['Missing']), /No frame found matching "Missing"/);
+});
+
+test('analyseFile runs the plugin extraction and produces the LVGL stylesheet', async () => {
+  const { frames, stylesheet } = await analyseFile(loadFixture(), { frames: ['Home'] });
+  const analyser = require('../code.js');
+  const home = analyser.globalAnalysisData.get('1:1');
+
+  assert.deepEqual(frames, [{ id: '1:1', name: 'Home' }]);
+  assert.deepEqual(home.components.map(c => `${c.masterName}:${c.variantName}`), ['Button:State=Default']);
+  assert.deepEqual(home.icons.map(c => c.masterName), ['ic_alarm']);
+  assert.ok(!home.colors.some(c => c.hex === '#FF00FF'), 'hidden layers are skipped');
+  assert.deepEqual(home.colors.map(c => c.hex), ['#101820', '#1E88E5', '#34C759', '#999999', '#FFFFFF']);
+
+  assert.deepEqual(Object.keys(stylesheet.typography).sort(), ['headingh1', 'roboto_mono_bold_32', 'roboto_regular_14', 'roboto_regular_14_lh20_ls1_center_upper']);
+  assert.equal(stylesheet.typography.headingh1.font_weight, 'SemiBold');
+  assert.equal(stylesheet.typography.roboto_regular_14_lh20_ls1_center_upper.line_space, 6);
+  assert.equal(stylesheet.typography.roboto_regular_14_lh20_ls1_center_upper.text_align, 'LV_TEXT_ALIGN_CENTER');
+  assert.equal(stylesheet.colors.surfacebackground.hex, '#101820');
+  assert.equal(stylesheet.colors.surfacebackground.rgb565, '0x10C4');
+});
+
+test('analyseFile resolves bound variables from the local variables response', async () => {
+  const { stylesheet } = await analyseFile(loadFixture(), { frames: ['Home'], variables: loadVariables() });
+  const home = require('../code.js').globalAnalysisData.get('1:1');
+
+  assert.deepEqual(home.variables.map(v => [v.collectionName, v.name, v.properties]), [
+    ['HMI Theme', 'action/primary', ['fills']],
+    ['HMI Theme', 'radius/button', ['topLeftRadius']]
+  ]);
+  assert.equal(stylesheet.colors.actionprimary.hex, '#1E88E5');
+  assert.equal(stylesheet.colors.actionprimary.figma_variable, 'HMI Theme/action/primary');
+});
+
+test('analyseFile reports only the frames it analysed, not empty ones it skipped', async () => {
+  const fileJson = loadFixture();
+  fileJson.document.children[0].children.push({ id: '9:1', name: 'Blank', type: 'FRAME', children: [] });
+
+  const { frames } = await analyseFile(fileJson, { frames: ['Home', 'Blank'] });
+
+  assert.deepEqual(frames, [{ id: '1:1', name: 'Home' }]);
+});
+
+test('analyseFile writes colors for the display profile it is given', async () => {
+  const displayProfile = { name: 'Dash 7"', width: 1024, height: 600, dpi: 170, colorFormat: 'RGB888' };
+  const { stylesheet } = await analyseFile(loadFixture(), { frames: ['Home'], displayProfile });
+
+  assert.deepEqual(stylesheet.display, {
+    name: 'Dash 7"',
+    width: 1024,
+    height: 600,
+    dpi: 170,
+    color_format: 'RGB888',
+    lv_color_depth: 24
+  });
+  assert.equal(stylesheet.colors.surfacebackground.color_value, '0x101820');
+  await assert.rejects(analyseFile(loadFixture(), { displayProfile: { name: 'Bad', dpi: 160, colorFormat: 'RGB999' } }), /Unknown color format/);
+});
+
+test('parseArgs reads repeatable frames and options', () => {
+  assert.deepEqual(parseArgs(['file.json', '-f', 'Home', '--frame', '2:1', '--variables', 'vars.json', '-o', 'out.json', '-v']), {
+    file: 'file.json',
+    frames: ['Home', '2:1'],
+    page: null,
+    variables: 'vars.json',
+    spacingScale: null,
+    displayProfile: null,
+    out: 'out.json',
+    verbose: true,
+    help: false
+  });
+  assert.throws(() => parseArgs(['--frame']), /Missing value for --frame/);
+  assert.throws(() => parseArgs(['--bogus']), /Unknown option/);
+  assert.equal(parseArgs(['file.json', '--spacing-scale', '8']).spacingScale, 8);
+  assert.equal(parseArgs(['file.json', '--display-profile', 'dash.json']).displayProfile, 'dash.json');
+  assert.throws(() => parseArgs(['file.json', '--spacing-scale', '0']), /Invalid spacing scale/);
+});
+
+test('main writes the stylesheet file', async () => {
+  const outPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'frame-analyser-')), 'stylesheet.json');
+  const stderr = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await main([fixturePath, '--variables', variablesPath, '--out', outPath]), 0);
+  } finally {
+    console.error = stderr;
+  }
+
+  const written = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+  assert.deepEqual(Object.keys(written), ['display', 'colors', 'typography', 'themes', 'shadows', 'radii', 'borders', 'spacing', 'components']);
+  assert.deepEqual(Object.keys(written.radii), ['radiusbutton', 'radius_8_8_0_0']);
+  assert.equal(written.radii.radiusbutton.figma_variable, 'radius/button');
+  assert.deepEqual(written.radii.radius_8_8_0_0.figma_corners, [8, 8, 0, 0]);
+  assert.equal(written.borders.border_1_dashed_4_2.border_width, 1);
+  assert.deepEqual(written.spacing.pad_8.lvgl_props, ['pad_row']);
+  assert.deepEqual(written.spacing.pad_20.lvgl_props, ['pad_left', 'pad_row', 'pad_top']);
+  assert.deepEqual(written.spacing.pad_12.lvgl_props, ['pad_row']);
+  assert.equal(written.spacing.pad_18.on_scale, false);
+  assert.deepEqual(written.shadows.shadow_0_2_6_0_000000, {
+    figma_style_name: null,
+    shadow_width: 6,
+    shadow_ofs_x: 0,
+    shadow_ofs_y: 2,
+    shadow_spread: 0,
+    shadow_color: 'lv_color_hex(0x000000)',
+    shadow_opa: 64,
+    hex: '#000000',
+    rgb565: '0x0000'
+  });
+  assert.equal(written.colors.color_cccccc.hex, '#CCCCCC');
+  assert.equal(written.themes.day.colors.actionprimary.hex, '#1E88E5');
+  assert.equal(written.themes.night.colors.actionprimary.hex, '#0D47A1');
+});
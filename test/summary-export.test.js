@@ -0,0 +1,979 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeNode, MIXED, useFigma, loadAnalyser, alias, solid, frame, rect, text, page, component, componentSet, instance } = require('./helpers/fake-figma');
+
+const {
+  analyzeFrame,
+  storeAnalysisData,
+  globalAnalysisData,
+  persistAnalysisData,
+  readPersistedAnalysisData,
+  loadPersistedAnalysisData,
+  collectSummaryData,
+  groupBySource,
+  buildWhereUsedIndex,
+  selectNodesById,
+  buildComponentMatrix,
+  componentMatrixToCsv,
+  createOrUpdateSummaryAnalysis,
+  generateLVGLJson,
+  setSpacingScale,
+  rgbToHex,
+  hexToRgb,
+  hexToRgb565,
+  convertColor,
+  quantizeColor,
+  buildQuantizationReport,
+  hexToLab,
+  getCIEDE2000,
+  saveDisplayProfile,
+  setFrameDisplayProfile
+} = loadAnalyser();
+
+// Analyse each screen and cache the results the way analyzeSelectedFrame() does
+async function analyseScreens(screens, options = {}) {
+  useFigma(Object.assign({ pages: [page({ name: 'Screens' }, screens)] }, options));
+  globalAnalysisData.clear();
+  for (const screen of screens) {
+    storeAnalysisData(screen.id, await analyzeFrame(screen));
+  }
+}
+
+test('hexToRgb565 packs 5-6-5 bits', () => {
+  assert.equal(hexToRgb565('#000000'), '0x0000');
+  assert.equal(hexToRgb565('#FFFFFF'), '0xFFFF');
+  assert.equal(hexToRgb565('#FF0000'), '0xF800');
+  assert.equal(hexToRgb565('#00FF00'), '0x07E0');
+  assert.equal(hexToRgb565('#0000FF'), '0x001F');
+  assert.equal(hexToRgb565('#808080'), '0x8410');
+  assert.equal(hexToRgb565('not a color'), '0x0000');
+});
+
+test('convertColor packs the native value of each display color format', () => {
+  assert.equal(convertColor('#FF0000'), '0xF800');
+  assert.equal(convertColor('#FF0000', 'RGB888'), '0xFF0000');
+  assert.equal(convertColor('#FF0000', 'ARGB8888'), '0xFFFF0000');
+  assert.equal(convertColor('#FF0000', 'ARGB8888', 0.5), '0x80FF0000');
+  assert.equal(convertColor('#FF0000', 'RGB332'), '0xE0');
+  assert.equal(convertColor('#FFFFFF', 'RGB332'), '0xFF');
+  assert.equal(convertColor('#FF0000', 'L8'), '0x4C');
+  assert.equal(convertColor('#808080', 'L8'), '0x80');
+  assert.equal(convertColor('#808080', 'unknown'), hexToRgb565('#808080'));
+});
+
+test('getCIEDE2000 matches the reference color differences', () => {
+  const pairs = [
+    [{ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 }, 2.0425],
+    [{ l: 50, a: 0, b: 0 }, { l: 50, a: -1, b: 2 }, 2.3669],
+    [{ l: 50, a: 2.49, b: -0.001 }, { l: 50, a: -2.49, b: 0.0009 }, 7.1792],
+    [{ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 }, 27.1492],
+    [{ l: 60.2574, a: -34.0099, b: 36.2677 }, { l: 60.4626, a: -34.1751, b: 39.4387 }, 1.2644]
+  ];
+  for (const [first, second, expected] of pairs) {
+    assert.equal(Math.round(getCIEDE2000(first, second) * 10000) / 10000, expected);
+  }
+  assert.equal(Math.round(hexToLab('#FFFFFF').l), 100);
+});
+
+test('rgbToHex and hexToRgb round-trip', () => {
+  assert.equal(rgbToHex(1, 0.5, 0), '#FF8000');
+  const rgb = hexToRgb('#FF8000');
+  assert.equal(rgbToHex(rgb.r, rgb.g, rgb.b), '#FF8000');
+});
+
+test('collectSummaryData aggregates all cached frames, including same-named screens', async () => {
+  const button = component({ name: 'Button' });
+  await analyseScreens([
+    frame({ name: 'Home' }, [rect({ fills: [solid('#FF0000')] }), text({ fontSize: 12 })]),
+    frame({ name: 'Home' }, [rect({ fills: [solid('#00FF00')] }), text({ fontSize: 12 })]),
+    frame({ name: 'Controls' }, [instance(button)])
+  ]);
+
+  const summary = await collectSummaryData();
+
+  assert.equal(globalAnalysisData.size, 3);
+  assert.deepEqual(summary.colors.map(c => c.hex).sort(), ['#000000', '#00FF00', '#FF0000']);
+  assert.equal(summary.totalFonts, 1);
+  assert.equal(summary.totalComponents, 1);
+});
+
+test('collectSummaryData adds up usage counts per document and keeps translucent colors apart', async () => {
+  const styles = [{ id: 'S:red', name: 'Alarm', type: 'PAINT' }];
+  const button = component({ name: 'Button' });
+  await analyseScreens([
+    frame({ name: 'Home' }, [
+      rect({ fills: [solid('#FF0000')] }),
+      rect({ fills: [solid('#FF0000')] }),
+      rect({ fills: [solid('#FF0000', 0.5)] }),
+      text({ fontSize: 12 }),
+      instance(button),
+      instance(button)
+    ]),
+    frame({ name: 'Alarms' }, [
+      rect({ fills: [solid('#FF0000')], fillStyleId: 'S:red' }),
+      text({ fontSize: 12 }),
+      text({ fontSize: 12 }),
+      instance(button)
+    ])
+  ], { styles });
+
+  const summary = await collectSummaryData();
+
+  const red = summary.colors.find(c => c.hex === '#FF0000' && c.opacity === 1);
+  assert.equal(red.usageCount, 3);
+  assert.equal(red.frameCount, 2);
+  assert.equal(red.styleName, 'Alarm');
+  assert.equal(summary.colors.find(c => c.hex === '#FF0000' && c.opacity === 0.5).usageCount, 1);
+  assert.equal(summary.totalColors, 3);
+  assert.equal(summary.fonts[0].usageCount, 3);
+  assert.equal(summary.components[0].instanceCount, 3);
+  assert.equal(summary.components[0].frameCount, 2);
+
+  // The per-frame results are left untouched
+  assert.equal(Array.from(globalAnalysisData.values())[0].components[0].instanceCount, 2);
+});
+
+test('collectSummaryData reports local variants and styles no analyzed frame uses', async () => {
+  const styles = [
+    { id: 'S:alarm', name: 'Alarm', type: 'PAINT' },
+    { id: 'S:legacy', name: 'Legacy Blue', type: 'PAINT' },
+    { id: 'S:brand', name: 'Brand', type: 'PAINT', remote: true },
+    { id: 'S:body', name: 'Body', type: 'TEXT' },
+    { id: 'S:caption', name: 'Caption', type: 'TEXT' },
+    { id: 'S:card', name: 'Card Shadow', type: 'EFFECT' }
+  ];
+  const primary = component({ name: 'State=Default' });
+  const pressed = component({ name: 'State=Pressed' });
+  const disabled = component({ name: 'State=Disabled' });
+  const toggleOn = component({ name: 'On=true' });
+  const toggleOff = component({ name: 'On=false' });
+  const library = page({ name: 'Components' }, [
+    componentSet({ name: 'Button' }, [primary, pressed, disabled]),
+    componentSet({ name: 'Toggle' }, [toggleOn, toggleOff]),
+    component({ name: 'Card' })
+  ]);
+  const screen = frame({ name: 'Home' }, [
+    instance(primary),
+    instance(pressed),
+    rect({ fills: [solid('#FF3B30')], fillStyleId: 'S:alarm' }),
+    text({ textStyleId: 'S:body' })
+  ]);
+  useFigma({ pages: [page({ name: 'Screens' }, [screen]), library], styles });
+  globalAnalysisData.clear();
+  storeAnalysisData(screen.id, await analyzeFrame(screen));
+
+  const { unused } = await collectSummaryData();
+
+  assert.deepEqual(unused.componentSets.map(set => [set.name, set.unusedVariants, set.variantCount]), [
+    ['Button', ['State=Disabled'], 3],
+    ['Toggle', ['On=true', 'On=false'], 2]
+  ]);
+  assert.deepEqual(unused.components.map(comp => comp.name), ['Card']);
+  assert.deepEqual(unused.styles, { paint: ['Legacy Blue'], text: ['Caption'], effect: ['Card Shadow'] });
+});
+
+test('collectSummaryData groups components and styles by source and totals broken references', async () => {
+  const button = component({ name: 'Button', remote: true });
+  const orphan = () => new FakeNode('INSTANCE', { name: 'Legacy Tab', mainComponent: null });
+  await analyseScreens([
+    frame({ name: 'Home' }, [instance(button), orphan(), rect({ fills: [solid('#FF0000')], fillStyleId: 'S:brand' })]),
+    frame({ name: 'Settings' }, [orphan(), orphan(), rect({ fills: [solid('#00FF00')], fillStyleId: 'S:deleted' })])
+  ], { styles: [{ id: 'S:brand', name: 'Brand/Red', type: 'PAINT' }] });
+
+  const summary = await collectSummaryData();
+
+  assert.deepEqual(summary.missingComponents.map(missing => [missing.name, missing.instanceCount, missing.nodeIds.length]), [
+    ['Legacy Tab', 3, 3]
+  ]);
+  assert.deepEqual(groupBySource(summary), {
+    local: ['Brand/Red (paint style)'],
+    library: ['Button (component)'],
+    missing: ['Legacy Tab (component, 3 instances)', 'S:deleted (paint style, 1 layer)']
+  });
+});
+
+test('summary accessibility section lists contrast issues of every frame, linked to the layers', async () => {
+  const faint = text({ characters: 'Faint', fills: [solid('#AAAAAA')] });
+  await analyseScreens([
+    frame({ name: 'Home', fills: [solid('#FFFFFF')] }, [text({ characters: 'Title' })]),
+    frame({ name: 'Settings', fills: [solid('#FFFFFF')] }, [faint])
+  ]);
+
+  const summary = await collectSummaryData();
+  assert.equal(summary.accessibility.checkedCount, 2);
+  assert.deepEqual(summary.accessibility.issues.map(issue => [issue.frameName, issue.characters, issue.level]), [
+    ['Settings', 'Faint', 'fail']
+  ]);
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const summaryFrame = figma.root.children.find(p => p.name === 'Frames Analysed').children.find(node => node.name === 'Summary Analysis');
+  const lines = summaryFrame.findAll(node => node.name === 'Accessibility Section')[0].children;
+
+  assert.equal(lines[1].characters, '1 of 2 text layers meet WCAG AA contrast, 1 meet AAA');
+  assert.equal(lines[2].characters, '• Settings: "Faint" 2.32:1, #AAAAAA on #FFFFFF, 14px — fails AA');
+  assert.deepEqual(lines[2].hyperlink, { type: 'NODE', value: faint.id });
+});
+
+test('collectSummaryData totals gradients and image fills across frames', async () => {
+  const gradient = () => ({
+    type: 'GRADIENT_LINEAR',
+    gradientTransform: [[1, 0, 0], [0, 1, 0]],
+    gradientStops: [{ position: 0, color: { r: 0, g: 0, b: 0, a: 1 } }, { position: 1, color: { r: 1, g: 1, b: 1, a: 1 } }]
+  });
+  const image = { type: 'IMAGE', imageHash: 'logo', scaleMode: 'FILL' };
+  await analyseScreens([
+    frame({ name: 'Home' }, [rect({ fills: [gradient()] }), rect({ fills: [image] })]),
+    frame({ name: 'About' }, [rect({ fills: [gradient()] }), rect({ fills: [image] }), rect({ fills: [image] })])
+  ]);
+
+  const summary = await collectSummaryData();
+
+  assert.equal(summary.totalGradients, 1);
+  assert.equal(summary.gradients[0].usageCount, 2);
+  assert.equal(summary.totalImages, 1);
+  assert.equal(summary.images[0].usageCount, 3);
+});
+
+test('paint styles used only as image fills count as used', async () => {
+  const styles = [
+    { id: 'S:photo', name: 'Backdrop Photo', type: 'PAINT' },
+    { id: 'S:legacy', name: 'Legacy Photo', type: 'PAINT' }
+  ];
+  const image = { type: 'IMAGE', imageHash: 'backdrop', scaleMode: 'FILL' };
+  await analyseScreens([
+    frame({ name: 'Home' }, [rect({ fills: [image] }), rect({ fills: [image], fillStyleId: 'S:photo' })])
+  ], { styles });
+
+  const summary = await collectSummaryData();
+
+  assert.equal(summary.images[0].styleName, 'Backdrop Photo');
+  assert.deepEqual(summary.unused.styles.paint, ['Legacy Photo']);
+});
+
+test('where-used index lists the layers behind each entry across history frames and selects them', async () => {
+  const styles = [{ id: 'S:alarm', name: 'Alarm', type: 'PAINT' }];
+  const homeAlarm = rect({ fills: [solid('#FF3B30')], fillStyleId: 'S:alarm' });
+  const stray = rect({ fills: [solid('#FF3B31')] });
+  const settingsAlarm = rect({ fills: [solid('#FF3B30')] });
+  const home = frame({ name: 'Home', fills: [] }, [homeAlarm, stray]);
+  const settings = frame({ name: 'Settings', fills: [] }, [settingsAlarm]);
+  const archived = frame({ name: 'Archived', fills: [] }, [rect({ fills: [solid('#FF3B30')] })]);
+  const analysisFrames = [home, settings].map(screen => frame({ name: `Analysis: ${screen.name}` }));
+  const figma = useFigma({
+    pages: [
+      page({ name: 'Screens' }, [home, archived]),
+      page({ name: 'Settings' }, [settings]),
+      page({ name: 'Frames Analysed' }, analysisFrames)
+    ],
+    styles
+  });
+
+  // Home and Settings are in the analysis history; Archived only has cached results
+  globalAnalysisData.clear();
+  const history = {};
+  for (const [index, screen] of [home, settings, archived].entries()) {
+    storeAnalysisData(screen.id, await analyzeFrame(screen));
+    if (index < 2) {
+      analysisFrames[index].setPluginData('sourceFrameId', screen.id);
+      history[screen.id] = { id: screen.id, name: screen.name, analysisFrameId: analysisFrames[index].id };
+    }
+  }
+  figma.root.setPluginData('analyzedFrames', JSON.stringify(history));
+
+  const index = await buildWhereUsedIndex();
+
+  assert.deepEqual(index.colors.map(c => [c.label, c.count, c.hasStyle]), [
+    ['#FF3B30 - Alarm', 2, true],
+    ['#FF3B31', 1, false]
+  ]);
+  assert.deepEqual(index.colors[0].nodeIds, [homeAlarm.id, settingsAlarm.id]);
+
+  const result = await selectNodesById(index.colors[0].nodeIds.concat(['404:1']));
+
+  assert.deepEqual(result, { selected: 1, missing: 1, pageName: 'Screens', otherPages: 1 });
+  assert.equal(figma.currentPage.name, 'Screens');
+  assert.deepEqual(figma.currentPage.selection, [homeAlarm]);
+});
+
+test('where-used entries restored without node IDs keep their usage and ask for re-analysis', async () => {
+  const home = frame({ name: 'Home', fills: [] }, [rect({ fills: [solid('#FF3B30')] }), rect({ fills: [solid('#FF3B30')] })]);
+  const analysisFrame = frame({ name: 'Analysis: Home' });
+  const figma = useFigma({
+    pages: [page({ name: 'Screens' }, [home]), page({ name: 'Frames Analysed' }, [analysisFrame])]
+  });
+
+  // As restored from a result too large to persist with node IDs
+  globalAnalysisData.clear();
+  const analysisData = await analyzeFrame(home);
+  analysisData.colors.forEach(color => delete color.nodeIds);
+  storeAnalysisData(home.id, analysisData);
+  analysisFrame.setPluginData('sourceFrameId', home.id);
+  figma.root.setPluginData('analyzedFrames', JSON.stringify({
+    [home.id]: { id: home.id, name: home.name, analysisFrameId: analysisFrame.id }
+  }));
+
+  const index = await buildWhereUsedIndex();
+
+  assert.deepEqual(index.colors.map(c => [c.label, c.count, c.needsReanalysis]), [['#FF3B30', 2, true]]);
+});
+
+test('component matrix counts instances per variant and history screen, as a frame and as CSV', async () => {
+  const primary = component({ name: 'State=Default' });
+  const pressed = component({ name: 'State=Pressed' });
+  componentSet({ name: 'Button' }, [primary, pressed]);
+  const alarm = component({ name: 'icon/alarm, "red"' });
+  const home = frame({ name: 'Home' }, [instance(primary), instance(primary), instance(alarm)]);
+  const settings = frame({ name: '=Settings' }, [instance(primary), instance(pressed)]);
+  const archived = frame({ name: 'Archived' }, [instance(pressed)]);
+  const analysisFrames = [home, settings].map(screen => frame({ name: `Analysis: ${screen.name}` }));
+  const figma = useFigma({
+    pages: [page({ name: 'Screens' }, [home, settings, archived]), page({ name: 'Frames Analysed' }, analysisFrames)]
+  });
+
+  // Home and Settings are in the analysis history; Archived only has cached results
+  globalAnalysisData.clear();
+  const history = {};
+  for (const [index, screen] of [home, settings, archived].entries()) {
+    storeAnalysisData(screen.id, await analyzeFrame(screen));
+    if (index < 2) {
+      analysisFrames[index].setPluginData('sourceFrameId', screen.id);
+      history[screen.id] = { id: screen.id, name: screen.name, analysisFrameId: analysisFrames[index].id };
+    }
+  }
+  figma.root.setPluginData('analyzedFrames', JSON.stringify(history));
+
+  const matrix = await buildComponentMatrix();
+
+  assert.deepEqual(matrix.screens.map(screen => screen.name), ['Home', '=Settings']);
+  assert.deepEqual(matrix.rows.map(row => [row.masterName, row.variantName, row.isIcon, row.counts, row.total]), [
+    ['Button', 'State=Default', false, [2, 1], 3],
+    ['Button', 'State=Pressed', false, [0, 1], 1],
+    ['icon/alarm, "red"', null, true, [1, 0], 1]
+  ]);
+  assert.equal(componentMatrixToCsv(matrix), [
+    "Component,Variant,Type,Home,'=Settings,Total",
+    'Button,State=Default,Component,2,1,3',
+    'Button,State=Pressed,Component,0,1,1',
+    '"icon/alarm, ""red""",,Icon,1,0,1',
+    ''
+  ].join('\r\n'));
+  assert.equal(componentMatrixToCsv({
+    screens: [],
+    rows: [{ masterName: '@sum', variantName: '-1+1', isIcon: false, counts: [], total: 1 }]
+  }), "Component,Variant,Type,Total\r\n'@sum,'-1+1,Component,1\r\n");
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const analysisPage = figma.root.children.find(p => p.name === 'Frames Analysed');
+  const summaryFrame = analysisPage.children.find(node => node.name === 'Summary Analysis');
+  const matrixFrame = analysisPage.children.find(node => node.name === 'Component Matrix');
+  const cells = (name) => matrixFrame.children.find(row => row.name === name).children.map(cell => cell.children[0].characters);
+
+  assert.deepEqual(cells('Header'), ['Component', 'Home', '=Settings', 'Total']);
+  assert.deepEqual(cells('Button (State=Pressed)'), ['Button (State=Pressed)', '–', '1', '1']);
+  assert.ok(matrixFrame.x + matrixFrame.width < summaryFrame.x);
+});
+
+test('variant property tables: used property combinations per component set, in the summary and export', async () => {
+  const variants = {};
+  ['Default', 'Pressed'].forEach(state => ['Small', 'Large'].forEach(size => {
+    variants[`${state}/${size}`] = component({ name: `State=${state}, Size=${size}` });
+  }));
+  componentSet({ name: 'Primary Button' }, Object.values(variants));
+  const toggle = component({ name: 'Toggle' });
+  await analyseScreens([
+    frame({ name: 'Home' }, [instance(variants['Pressed/Large']), instance(variants['Default/Small']), instance(toggle)]),
+    frame({ name: 'Settings' }, [instance(variants['Default/Small']), instance(variants['Default/Large'])])
+  ]);
+
+  assert.deepEqual(generateLVGLJson().components, {
+    primary_button: {
+      figma_component: 'Primary Button',
+      properties: { State: ['Default', 'Pressed'], Size: ['Large', 'Small'] },
+      states: [
+        { properties: { State: 'Default', Size: 'Large' }, instance_count: 1 },
+        { properties: { State: 'Default', Size: 'Small' }, instance_count: 2 },
+        { properties: { State: 'Pressed', Size: 'Large' }, instance_count: 1 }
+      ],
+      instance_count: 4
+    }
+  });
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const analysisPage = figma.root.children.find(p => p.name === 'Frames Analysed');
+  const summaryFrame = analysisPage.children.find(node => node.name === 'Summary Analysis');
+  const table = summaryFrame.findAll(node => node.name === 'Primary Button Properties')[0];
+  const rows = table.children.map(row => row.children.map(cell => cell.children[0].characters));
+
+  assert.deepEqual(rows, [
+    ['State', 'Size', 'Instances'],
+    ['Default', 'Large', '1'],
+    ['Default', 'Small', '2'],
+    ['Pressed', 'Large', '1']
+  ]);
+});
+
+test('generateLVGLJson names entries by style or value', async () => {
+  const styles = [
+    { id: 'S:body', name: 'Body / Regular', type: 'TEXT' },
+    { id: 'S:alarm', name: 'Status/Alarm Red', type: 'PAINT' }
+  ];
+  await analyseScreens([
+    frame({ name: 'Alarm' }, [
+      rect({ fills: [solid('#FF3B30')], fillStyleId: 'S:alarm' }),
+      rect({ fills: [solid('#1E88E5')] }),
+      text({ fontName: { family: 'Inter', style: 'Regular' }, fontSize: 16, textStyleId: 'S:body', fills: [] }),
+      text({ fontName: { family: 'Roboto', style: 'Bold' }, fontSize: 20, fills: [] })
+    ])
+  ], { styles });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.colors).sort(), ['color_1e88e5', 'statusalarm_red']);
+  assert.deepEqual(json.colors.statusalarm_red, {
+    figma_style_name: 'Status/Alarm Red',
+    figma_variable: null,
+    hex: '#FF3B30',
+    rgb565: '0xF9E6',
+    color_format: 'RGB565',
+    color_value: '0xF9E6',
+    lvgl_color: 'lv_color_hex(0xFF3B30)',
+    lvgl_macro: '#define STATUSALARM_RED 0xF9E6'
+  });
+  assert.deepEqual(Object.keys(json.typography).sort(), ['body_regular', 'roboto_bold_20']);
+  assert.equal(json.typography.body_regular.font_size, 16);
+  assert.equal(json.typography.roboto_bold_20.lvgl_declaration, 'LV_FONT_DECLARE(roboto_bold_20);');
+});
+
+test('generateLVGLJson exports line and letter spacing as LVGL text style values', async () => {
+  await analyseScreens([
+    frame({ name: 'Labels' }, [
+      text({ fontSize: 16, fills: [] }),
+      text({
+        fontSize: 16,
+        lineHeight: { value: 150, unit: 'PERCENT' },
+        letterSpacing: { value: 5, unit: 'PERCENT' },
+        textDecoration: 'UNDERLINE',
+        textAlignHorizontal: 'RIGHT',
+        fills: []
+      })
+    ])
+  ]);
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.typography).sort(), ['inter_regular_16', 'inter_regular_16_lh24_ls1_underline_right']);
+  assert.equal(json.typography.inter_regular_16.line_space, 0);
+  assert.equal(json.typography.inter_regular_16.text_align, 'LV_TEXT_ALIGN_LEFT');
+
+  const spaced = json.typography.inter_regular_16_lh24_ls1_underline_right;
+  assert.equal(spaced.line_height, '150%');
+  assert.equal(spaced.letter_spacing, '5%');
+  assert.equal(spaced.line_space, 8);
+  assert.equal(spaced.letter_space, 1);
+  assert.equal(spaced.text_decor, 'LV_TEXT_DECOR_UNDERLINE');
+  assert.equal(spaced.text_align, 'LV_TEXT_ALIGN_RIGHT');
+});
+
+test('generateLVGLJson keeps unstyled text styles apart by paragraph spacing, decoration, alignment and case, sharing one font', async () => {
+  await analyseScreens([
+    frame({ name: 'Labels' }, [
+      text({ fontSize: 14, fills: [] }),
+      text({ fontSize: 14, paragraphSpacing: 8, fills: [] }),
+      text({ fontSize: 14, textDecoration: 'STRIKETHROUGH', fills: [] }),
+      text({ fontSize: 14, textAlignHorizontal: 'CENTER', fills: [] }),
+      text({ fontSize: 14, textCase: 'UPPER', fills: [] })
+    ])
+  ]);
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.typography).sort(), [
+    'inter_regular_14',
+    'inter_regular_14_center',
+    'inter_regular_14_ps8',
+    'inter_regular_14_strikethrough',
+    'inter_regular_14_upper'
+  ]);
+  assert.equal(json.typography.inter_regular_14_ps8.paragraph_spacing, 8);
+  assert.equal(json.typography.inter_regular_14_upper.text_case, 'UPPER');
+  assert.equal(json.typography.inter_regular_14_center.text_align, 'LV_TEXT_ALIGN_CENTER');
+  assert.deepEqual(new Set(Object.values(json.typography).map(entry => entry.lvgl_font)), new Set(['&inter_regular_14']));
+  assert.equal(json.typography.inter_regular_14_strikethrough.lvgl_declaration, 'LV_FONT_DECLARE(inter_regular_14);');
+});
+
+test('bound color variables name exported colors and are totalled in the summary', async () => {
+  const styles = [{ id: 'S:alarm', name: 'Status/Alarm Red', type: 'PAINT' }];
+  const collections = [{ id: 'C:1', name: 'HMI' }];
+  const variables = [{ id: 'V:alarm', name: 'status/alarm', resolvedType: 'COLOR', variableCollectionId: 'C:1' }];
+  const alarm = () => Object.assign(solid('#FF3B30'), { boundVariables: { color: alias('V:alarm') } });
+
+  await analyseScreens([
+    frame({ name: 'Alarm' }, [rect({ fills: [alarm()], fillStyleId: 'S:alarm' })]),
+    frame({ name: 'Trend' }, [rect({ fills: [alarm()] }), rect({ fills: [], strokes: [alarm()] })])
+  ], { styles, variables, collections });
+
+  const json = generateLVGLJson();
+  assert.deepEqual(Object.keys(json.colors), ['statusalarm']);
+  assert.equal(json.colors.statusalarm.figma_variable, 'HMI/status/alarm');
+  assert.equal(json.colors.statusalarm.figma_style_name, 'Status/Alarm Red');
+
+  const summary = await collectSummaryData();
+  assert.equal(summary.totalVariables, 1);
+  assert.deepEqual(summary.variables[0].properties, ['fills', 'strokes']);
+  assert.equal(summary.variables[0].usageCount, 3);
+});
+
+test('bound text variables are recorded on exported typography named by style or font', async () => {
+  const styles = [{ id: 'S:body', name: 'Body / Regular', type: 'TEXT' }];
+  const collections = [{ id: 'C:1', name: 'Tokens' }];
+  const variables = [
+    { id: 'V:family', name: 'font/family', resolvedType: 'STRING', variableCollectionId: 'C:1' },
+    { id: 'V:body', name: 'font/size/body', resolvedType: 'FLOAT', variableCollectionId: 'C:1' }
+  ];
+
+  await analyseScreens([
+    frame({ name: 'Labels' }, [
+      text({ fontSize: 16, textStyleId: 'S:body', fills: [], boundVariables: { fontSize: alias('V:body') } }),
+      text({ fontSize: 16, lineHeight: { value: 24, unit: 'PIXELS' }, fills: [], boundVariables: { fontSize: alias('V:body'), fontFamily: alias('V:family') } }),
+      text({ fontName: { family: 'Roboto', style: 'Bold' }, fontSize: 16, fills: [], boundVariables: { fontSize: alias('V:body') } })
+    ])
+  ], { styles, variables, collections });
+
+  const json = generateLVGLJson();
+
+  // Fonts sharing only a size variable keep their own entries
+  assert.deepEqual(Object.keys(json.typography).sort(), ['body_regular', 'inter_regular_16_lh24', 'roboto_bold_16']);
+  assert.deepEqual(json.typography.body_regular.figma_variables, { fontSize: 'Tokens / font/size/body' });
+  assert.deepEqual(json.typography.inter_regular_16_lh24.figma_variables, {
+    fontFamily: 'Tokens / font/family',
+    fontSize: 'Tokens / font/size/body'
+  });
+  assert.equal(json.typography.roboto_bold_16.font_weight, 'Bold');
+});
+
+test('multi-mode color variables export one theme block per mode', async () => {
+  const collections = [
+    { id: 'C:theme', name: 'HMI Theme', defaultModeId: 'M:day', modes: [{ modeId: 'M:day', name: 'Day' }, { modeId: 'M:night', name: 'Night' }] },
+    { id: 'C:palette', name: 'Palette', defaultModeId: 'M:base', modes: [{ modeId: 'M:base', name: 'Base' }] }
+  ];
+  const variables = [
+    { id: 'V:blue', name: 'blue/700', resolvedType: 'COLOR', variableCollectionId: 'C:palette', valuesByMode: { 'M:base': { r: 0, g: 0, b: 0.5, a: 1 } } },
+    {
+      id: 'V:surface',
+      name: 'surface',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:theme',
+      valuesByMode: { 'M:day': { r: 1, g: 1, b: 1, a: 1 }, 'M:night': { r: 0, g: 0, b: 0, a: 0.8 } }
+    },
+    {
+      id: 'V:accent',
+      name: 'accent',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:theme',
+      valuesByMode: { 'M:day': { r: 0, g: 0.5, b: 1, a: 1 }, 'M:night': { type: 'VARIABLE_ALIAS', id: 'V:blue' } }
+    }
+  ];
+  const bound = (hex, id) => Object.assign(solid(hex), { boundVariables: { color: alias(id) } });
+
+  await analyseScreens([
+    frame({ name: 'Home', fills: [bound('#FFFFFF', 'V:surface')] }, [
+      rect({ fills: [bound('#0080FF', 'V:accent')] }),
+      rect({ fills: [bound('#000080', 'V:blue')] })
+    ])
+  ], { variables, collections });
+
+  const surface = globalAnalysisData.values().next().value.variables.find(v => v.id === 'V:surface');
+  assert.deepEqual(surface.modes.map(m => [m.name, m.hex, m.opacity, m.isDefault]), [
+    ['Day', '#FFFFFF', 1, true],
+    ['Night', '#000000', 0.8, false]
+  ]);
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.themes), ['day', 'night']);
+  assert.equal(json.themes.day.figma_mode, 'Day');
+  assert.equal(json.themes.day.is_default, true);
+  assert.deepEqual(json.themes.night.figma_collections, ['HMI Theme']);
+  assert.deepEqual(Object.keys(json.themes.day.colors).sort(), ['accent', 'surface']);
+  assert.deepEqual(Object.keys(json.themes.night.colors).sort(), ['accent', 'surface']);
+  assert.equal(json.themes.day.colors.accent.hex, '#0080FF');
+  assert.equal(json.themes.night.colors.accent.hex, '#000080', 'aliases resolve to the target value');
+  assert.equal(json.themes.night.colors.surface.lvgl_macro, '#define SURFACE 0x0000');
+  assert.equal(json.colors.blue700.hex, '#000080', 'single-mode colors stay in the flat table only');
+});
+
+test('color variables sharing a default value each get their color and theme entries', async () => {
+  const collections = [
+    { id: 'C:theme', name: 'HMI Theme', defaultModeId: 'M:day', modes: [{ modeId: 'M:day', name: 'Day' }, { modeId: 'M:night', name: 'Night' }] }
+  ];
+  const variables = [
+    {
+      id: 'V:text',
+      name: 'text/primary',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:theme',
+      valuesByMode: { 'M:day': { r: 0, g: 0, b: 0, a: 1 }, 'M:night': { r: 1, g: 1, b: 1, a: 1 } }
+    },
+    {
+      id: 'V:icon',
+      name: 'icon/default',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C:theme',
+      valuesByMode: { 'M:day': { r: 0, g: 0, b: 0, a: 1 }, 'M:night': { r: 0.6, g: 0.6, b: 0.6, a: 1 } }
+    }
+  ];
+  const bound = (hex, id) => Object.assign(solid(hex), { boundVariables: { color: alias(id) } });
+
+  await analyseScreens([
+    frame({ name: 'Home', fills: [] }, [
+      rect({ fills: [bound('#000000', 'V:text')] }),
+      rect({ fills: [bound('#000000', 'V:icon')] })
+    ])
+  ], { variables, collections });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.colors).sort(), ['icondefault', 'textprimary']);
+  assert.equal(json.colors.icondefault.figma_variable, 'HMI Theme/icon/default');
+  assert.equal(json.colors.icondefault.hex, '#000000');
+  assert.deepEqual(Object.keys(json.themes.night.colors).sort(), ['icondefault', 'textprimary']);
+  assert.equal(json.themes.night.colors.textprimary.hex, '#FFFFFF');
+  assert.equal(json.themes.night.colors.icondefault.hex, '#999999');
+});
+
+test('generateLVGLJson exports drop shadows as LVGL shadow properties', async () => {
+  const styles = [{ id: 'S:raised', name: 'Elevation/Raised', type: 'EFFECT' }];
+  await analyseScreens([
+    frame({ name: 'Panel' }, [
+      rect({ fills: [], effects: [{ type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.5 }, offset: { x: 2, y: 4 }, radius: 8, spread: 1, visible: true }], effectStyleId: 'S:raised' }),
+      rect({ fills: [], effects: [{ type: 'DROP_SHADOW', color: { r: 1, g: 0, b: 0, a: 1 }, offset: { x: -2, y: 0 }, radius: 4, spread: 0, visible: true }] }),
+      rect({ fills: [], effects: [{ type: 'INNER_SHADOW', color: { r: 0, g: 0, b: 0, a: 1 }, offset: { x: 0, y: 1 }, radius: 2, visible: true }] })
+    ])
+  ], { styles });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.shadows).sort(), ['elevationraised', 'shadow_n2_0_4_0_ff0000']);
+  assert.deepEqual(json.shadows.elevationraised, {
+    figma_style_name: 'Elevation/Raised',
+    shadow_width: 8,
+    shadow_ofs_x: 2,
+    shadow_ofs_y: 4,
+    shadow_spread: 1,
+    shadow_color: 'lv_color_hex(0x000000)',
+    shadow_opa: 128,
+    hex: '#000000',
+    rgb565: '0x0000'
+  });
+});
+
+test('generateLVGLJson keeps every drop shadow of a multi-shadow effect style', async () => {
+  const styles = [{ id: 'S:float', name: 'Elevation/Floating', type: 'EFFECT' }];
+  await analyseScreens([
+    frame({ name: 'Dialog' }, [
+      rect({
+        fills: [],
+        effects: [
+          { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.3 }, offset: { x: 0, y: 1 }, radius: 2, spread: 0, visible: true },
+          { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.15 }, offset: { x: 0, y: 4 }, radius: 12, spread: 2, visible: true }
+        ],
+        effectStyleId: 'S:float'
+      })
+    ])
+  ], { styles });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.shadows), ['elevationfloating_1', 'elevationfloating_2']);
+  assert.equal(json.shadows.elevationfloating_1.shadow_width, 2);
+  assert.equal(json.shadows.elevationfloating_2.shadow_width, 12);
+  assert.equal(json.shadows.elevationfloating_2.shadow_spread, 2);
+  assert.equal(json.shadows.elevationfloating_2.figma_style_name, 'Elevation/Floating');
+});
+
+test('generateLVGLJson exports corner radii and stroke weights as radius and border tokens', async () => {
+  const collections = [{ id: 'C:1', name: 'Shape' }];
+  const variables = [{ id: 'V:card', name: 'radius/card', resolvedType: 'FLOAT', variableCollectionId: 'C:1' }];
+  const stroke = [solid('#CCCCCC')];
+  await analyseScreens([
+    frame({ name: 'Cards', fills: [] }, [
+      rect({ fills: [], cornerRadius: 12, boundVariables: { cornerRadius: alias('V:card') } }),
+      rect({ fills: [], cornerRadius: 4.5 }),
+      rect({ fills: [], strokes: stroke, strokeWeight: 1, strokeAlign: 'INSIDE' }),
+      rect({ fills: [], strokes: stroke, strokeWeight: 2, strokeAlign: 'OUTSIDE', dashPattern: [4, 2] }),
+      rect({
+        fills: [],
+        strokes: stroke,
+        strokeWeight: MIXED,
+        strokeTopWeight: 1,
+        strokeRightWeight: 0,
+        strokeBottomWeight: 1,
+        strokeLeftWeight: 0,
+        strokeAlign: 'INSIDE'
+      })
+    ])
+  ], { variables, collections });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.radii).sort(), ['radius_4p5', 'radiuscard']);
+  assert.deepEqual(json.radii.radiuscard, {
+    figma_variable: 'radius/card',
+    radius: 12,
+    figma_corners: null,
+    lvgl_macro: '#define RADIUSCARD 12'
+  });
+  assert.deepEqual(Object.keys(json.borders).sort(), ['border_1', 'border_1_top_bottom', 'border_2_outside_dashed_4_2']);
+  assert.equal(json.borders.border_1.border_side, 'LV_BORDER_SIDE_FULL');
+  assert.equal(json.borders.border_1_top_bottom.border_side, 'LV_BORDER_SIDE_TOP | LV_BORDER_SIDE_BOTTOM');
+  assert.deepEqual(json.borders.border_2_outside_dashed_4_2.dash_pattern, [4, 2]);
+});
+
+test('radius and border tokens take the variable of a bound layer that follows an unbound one', async () => {
+  const collections = [{ id: 'C:1', name: 'Shape' }];
+  const variables = [
+    { id: 'V:card', name: 'radius/card', resolvedType: 'FLOAT', variableCollectionId: 'C:1' },
+    { id: 'V:hairline', name: 'stroke/hairline', resolvedType: 'FLOAT', variableCollectionId: 'C:1' }
+  ];
+  const stroke = [solid('#CCCCCC')];
+  await analyseScreens([
+    frame({ name: 'Cards', fills: [] }, [
+      rect({ fills: [], cornerRadius: 12, strokes: stroke, strokeWeight: 1, strokeAlign: 'INSIDE' }),
+      rect({
+        fills: [],
+        cornerRadius: 12,
+        strokes: stroke,
+        strokeWeight: 1,
+        strokeAlign: 'INSIDE',
+        boundVariables: { cornerRadius: alias('V:card'), strokeWeight: alias('V:hairline') }
+      })
+    ])
+  ], { variables, collections });
+
+  const json = generateLVGLJson();
+
+  assert.deepEqual(Object.keys(json.radii), ['radiuscard']);
+  assert.deepEqual(Object.keys(json.borders), ['strokehairline']);
+  assert.equal(json.borders.strokehairline.figma_variable, 'stroke/hairline');
+});
+
+test('generateLVGLJson exports spacing as pad tokens flagged against the spacing scale', async () => {
+  await analyseScreens([
+    frame({ name: 'List', layoutMode: 'VERTICAL', itemSpacing: 12, paddingTop: 8, paddingLeft: 8 }),
+    frame({ name: 'Row', layoutMode: 'HORIZONTAL', itemSpacing: 8, paddingLeft: 6 })
+  ]);
+
+  try {
+    assert.deepEqual(generateLVGLJson().spacing, {
+      pad_6: { figma_variable: null, value: 6, on_scale: false, lvgl_props: ['pad_left'], lvgl_macro: '#define PAD_6 6' },
+      pad_8: { figma_variable: null, value: 8, on_scale: true, lvgl_props: ['pad_column', 'pad_left', 'pad_top'], lvgl_macro: '#define PAD_8 8' },
+      pad_12: { figma_variable: null, value: 12, on_scale: true, lvgl_props: ['pad_row'], lvgl_macro: '#define PAD_12 12' }
+    });
+
+    setSpacingScale(8);
+    const spacing = generateLVGLJson().spacing;
+    assert.deepEqual(Object.keys(spacing).filter(name => spacing[name].on_scale), ['pad_8']);
+  } finally {
+    setSpacingScale(null);
+  }
+});
+
+test('export and summary write colors in the format of the display most frames target', async () => {
+  const screens = [
+    frame({ name: 'Home', width: 800, height: 480 }, [rect({ fills: [solid('#FF0000', 0.5)] })]),
+    frame({ name: 'Alarm', width: 800, height: 480 }, [rect({ fills: [solid('#FF0000', 0.5)] })]),
+    frame({ name: 'Boot', width: 800, height: 480 }, [])
+  ];
+  useFigma({ pages: [page({ name: 'Screens' }, screens)] });
+  saveDisplayProfile({ name: 'Panel', width: 800, height: 480, dpi: 133, colorFormat: 'ARGB8888' });
+  setFrameDisplayProfile(screens[0], 'Panel');
+  setFrameDisplayProfile(screens[1], 'Panel');
+  globalAnalysisData.clear();
+  for (const screen of screens) {
+    storeAnalysisData(screen.id, await analyzeFrame(screen));
+  }
+
+  const json = generateLVGLJson();
+  assert.deepEqual(json.display, { name: 'Panel', width: 800, height: 480, dpi: 133, color_format: 'ARGB8888', lv_color_depth: 32 });
+  assert.equal(json.colors.color_ff0000.rgb565, '0xF800');
+  assert.equal(json.colors.color_ff0000.color_value, '0x80FF0000');
+  assert.equal(json.colors.color_ff0000.lvgl_macro, '#define COLOR_FF0000 0x80FF0000');
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const summaryFrame = figma.root.children.find(p => p.name === 'Frames Analysed').children.find(node => node.name === 'Summary Analysis');
+  const colorLines = summaryFrame.findAll(node => node.type === 'TEXT' && node.characters.startsWith('#FF0000'));
+  assert.match(colorLines[0].characters, /\| 0x80FF0000/);
+});
+
+test('quantization: colors merged by the display color format and banded gradients, with displayed swatches', async () => {
+  const fade = {
+    type: 'GRADIENT_LINEAR',
+    gradientTransform: [[1, 0, 0], [0, 1, 0]],
+    gradientStops: [{ position: 0, color: { r: 0.94, g: 0.94, b: 0.94, a: 1 } }, { position: 1, color: { r: 1, g: 1, b: 1, a: 1 } }]
+  };
+  const styles = [{ id: 'S:alarm', name: 'Alarm', type: 'PAINT' }];
+  await analyseScreens([
+    frame({ name: 'Home' }, [rect({ fills: [solid('#FF3B30')], fillStyleId: 'S:alarm' }), rect({ fills: [fade] })]),
+    frame({ name: 'Alarm' }, [rect({ fills: [solid('#FF3C31')] }), rect({ fills: [solid('#FF3B30', 0.5)] })])
+  ], { styles });
+
+  assert.equal(quantizeColor('#FF3B30', 'RGB565'), '#FF3D31');
+  assert.equal(quantizeColor('#FF3B30', 'RGB888'), '#FF3B30');
+  assert.equal(quantizeColor('#FF0000', 'L8'), '#4C4C4C');
+
+  const summary = await collectSummaryData();
+  assert.deepEqual(summary.quantization.collisions, [{
+    value: '0xF9E6',
+    displayedHex: '#FF3D31',
+    colors: [
+      { hex: '#FF3B30', styleName: 'Alarm', variableName: null, error: 2 },
+      { hex: '#FF3C31', styleName: null, variableName: null, error: 1 }
+    ]
+  }]);
+  assert.deepEqual(summary.quantization.banding, [
+    { gradientType: 'Linear', styleName: null, from: '#F0F0F0', to: '#FFFFFF', levels: 5, sourceLevels: 16 }
+  ]);
+
+  const lossless = buildQuantizationReport(summary.colors, summary.gradients, 'RGB888');
+  assert.deepEqual([lossless.collisions, lossless.banding], [[], []]);
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const summaryFrame = figma.root.children.find(p => p.name === 'Frames Analysed').children.find(node => node.name === 'Summary Analysis');
+  const lines = summaryFrame.findAll(node => node.name === 'Quantization Section')[0].children.map(node => node.characters);
+  assert.deepEqual(lines, [
+    'Quantization (RGB565)',
+    '• 0xF9E6 shown as #FF3D31: #FF3B30 (Alarm) Δ2 · #FF3C31 Δ1',
+    '• Linear #F0F0F0 → #FFFFFF: 5 steps instead of 16'
+  ]);
+  const colorRow = summaryFrame.findAll(node => node.type === 'TEXT' && node.characters.startsWith('#FF3C31'))[0].parent;
+  assert.equal(colorRow.children[0].fills[0].color.b, hexToRgb('#FF3C31').b);
+  assert.equal(colorRow.children[1].name, 'Displayed');
+  assert.match(colorRow.children[2].characters, /^#FF3C31 \| 0xF9E6 → #FF3D31 Δ1/);
+});
+
+test('summary color consolidation clusters near-duplicates across frames', async () => {
+  const styles = [{ id: 'S:blue', name: 'Primary/Blue', type: 'PAINT', paints: [solid('#1E88E5')] }];
+  await analyseScreens([
+    frame({ name: 'Home', fills: [] }, [rect({ fills: [solid('#1E88E5')] }), rect({ fills: [solid('#1E88E5')] })]),
+    frame({ name: 'Settings', fills: [] }, [rect({ fills: [solid('#1E87E6')] }), rect({ fills: [solid('#43A047')] })])
+  ], { styles });
+
+  const summary = await collectSummaryData();
+  assert.deepEqual(summary.colorClusters.map(cluster => cluster.members.map(member => member.hex)), [['#1E88E5', '#1E87E6']]);
+
+  figma.currentPage.selection = [];
+  await createOrUpdateSummaryAnalysis();
+  const summaryFrame = figma.root.children.find(p => p.name === 'Frames Analysed').children.find(node => node.name === 'Summary Analysis');
+  const section = summaryFrame.findAll(node => node.name === 'Color Consolidation Section')[0];
+  assert.equal(section.children[0].characters, 'Color Consolidation (1)');
+  const row = section.children[1];
+  assert.deepEqual(row.children.filter(node => node.type === 'RECTANGLE').map(node => node.fills[0].color.g), [hexToRgb('#1E88E5').g, hexToRgb('#1E87E6').g]);
+  assert.equal(row.children[2].characters, '#1E88E5 ×2 · #1E87E6 ×1 (ΔE 0.44) → Primary/Blue #1E88E5, ΔE 0');
+});
+
+test('analysis results persist on the source frame and restore intact', async () => {
+  const screen = frame({ name: 'Pump' }, [
+    rect({ fills: [solid('#1E88E5', 0.5)] }),
+    text({ fontName: { family: 'Inter', style: 'Bold' }, fontSize: 18 })
+  ]);
+  await analyseScreens([screen]);
+  const analysisData = globalAnalysisData.get(screen.id);
+
+  assert.equal(persistAnalysisData(screen, analysisData), true);
+  const restored = readPersistedAnalysisData(screen);
+
+  assert.deepEqual(restored.colors, analysisData.colors);
+  assert.deepEqual(restored.fonts, analysisData.fonts);
+  assert.deepEqual(restored.frameInfo, analysisData.frameInfo);
+});
+
+test('persisted results of deleted analyses are not restored into the export', async () => {
+  const pump = frame({ name: 'Pump', fills: [] }, [rect({ fills: [solid('#1E88E5')] })]);
+  const tank = frame({ name: 'Tank', fills: [] }, [rect({ fills: [solid('#FF3B30')] })]);
+  const analysisFrames = [pump, tank].map(screen => frame({ name: `Analysis: ${screen.name}` }));
+  const figma = useFigma({
+    pages: [page({ name: 'Screens' }, [pump, tank]), page({ name: 'Frames Analysed' }, analysisFrames)]
+  });
+
+  globalAnalysisData.clear();
+  const history = {};
+  for (const [index, screen] of [pump, tank].entries()) {
+    persistAnalysisData(screen, await analyzeFrame(screen));
+    analysisFrames[index].setPluginData('sourceFrameId', screen.id);
+    history[screen.id] = { id: screen.id, name: screen.name, analysisFrameId: analysisFrames[index].id };
+  }
+  figma.root.setPluginData('analyzedFrames', JSON.stringify(history));
+
+  // The Tank analysis is deleted, then a new session restores the stored results
+  analysisFrames[1].remove();
+  assert.equal(await loadPersistedAnalysisData(), 1);
+
+  assert.deepEqual(Array.from(globalAnalysisData.keys()), [pump.id]);
+  assert.deepEqual(Object.values(generateLVGLJson().colors).map(color => color.hex), ['#1E88E5']);
+});
+
+test('legacy analysis frames are linked by the history on load; other frames need the ID link', async () => {
+  const pump = frame({ name: 'Pump', fills: [] }, [rect({ fills: [solid('#1E88E5')] })]);
+  const tank = frame({ name: 'Tank', fills: [] }, [rect({ fills: [solid('#FF3B30')] })]);
+  const legacy = frame({ name: 'Analysis: Pump (09:30)' });
+  const notes = frame({ name: 'Notes' });
+  const figma = useFigma({
+    pages: [page({ name: 'Screens' }, [pump, tank]), page({ name: 'Frames Analysed' }, [legacy, notes])]
+  });
+
+  globalAnalysisData.clear();
+  persistAnalysisData(pump, await analyzeFrame(pump));
+  persistAnalysisData(tank, await analyzeFrame(tank));
+  figma.root.setPluginData('analyzedFrames', JSON.stringify({
+    [pump.id]: { id: pump.id, name: pump.name, analysisFrameId: legacy.id },
+    [tank.id]: { id: tank.id, name: tank.name, analysisFrameId: notes.id }
+  }));
+
+  assert.equal(await loadPersistedAnalysisData(), 1);
+
+  assert.equal(legacy.getPluginData('sourceFrameId'), pump.id);
+  assert.equal(pump.getPluginData('analysisFrameId'), legacy.id);
+  assert.equal(notes.getPluginData('sourceFrameId'), '');
+  assert.deepEqual(Array.from(globalAnalysisData.keys()), [pump.id]);
+});
+
+test('persisted results are ignored on duplicated frames and other versions', async () => {
+  const screen = frame({ name: 'Pump' }, [rect({ fills: [solid('#FFFFFF')] })]);
+  const duplicate = frame({ name: 'Pump' });
+  await analyseScreens([screen, duplicate]);
+  persistAnalysisData(screen, globalAnalysisData.get(screen.id));
+
+  duplicate.setPluginData('analysisData', screen.getPluginData('analysisData'));
+  assert.equal(readPersistedAnalysisData(duplicate), null);
+
+  screen.setPluginData('analysisData', JSON.stringify({ version: 0, data: {} }));
+  assert.equal(readPersistedAnalysisData(screen), null);
+});
+
+test('results too large to persist with node IDs are saved without them', async () => {
+  const screen = frame({ name: 'Busy' }, [rect({ fills: [solid('#FFFFFF')] })]);
+  await analyseScreens([screen]);
+  const analysisData = globalAnalysisData.get(screen.id);
+  analysisData.colors[0].nodeIds = Array.from({ length: 12000 }, (_, index) => `${index}:1`);
+
+  assert.equal(persistAnalysisData(screen, analysisData), true);
+
+  const restored = readPersistedAnalysisData(screen);
+  assert.equal(restored.colors[0].hex, '#FFFFFF');
+  assert.equal(restored.colors[0].nodeIds, undefined);
+});
+
+test('the persisted size limit counts UTF-8 bytes, not characters', async () => {
+  const screen = frame({ name: 'Pumpe' }, [rect({ fills: [solid('#FFFFFF')] })]);
+  await analyseScreens([screen]);
+  const analysisData = globalAnalysisData.get(screen.id);
+  analysisData.colors[0].styleName = 'Überdruck '.repeat(1000) + '警报'.repeat(20000);
+
+  assert.equal(persistAnalysisData(screen, analysisData), false);
+  assert.equal(screen.getPluginData('analysisData'), '');
+});